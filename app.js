@@ -1,22 +1,44 @@
 // SPDX-License-Identifier: CC0-1.0 OR 0BSD
-import { RiscvState, RiscvMemory } from './emulator.js';
-import { assemble_riscv } from './assembler.js';
+import { RiscvState, RiscvMemory, expand_compressed } from './emulator.js';
+import { RamDevice, Uart16550, ClintDevice } from './devices.js';
+import { assemble_riscv, parse_defines } from './assembler.js';
+import { link_objects } from './linker.js';
+import { parse_elf, parse_elf_object, is_elf_object, load_elf, elf_dump, write_elf_executable, write_elf_object } from './elf.js';
+import { disassemble } from './disassembler.js';
 
 const els = {
     editor: document.getElementById('source-code'),
     editorHighlight: document.getElementById('editor-highlight'),
+    editorGutter: document.getElementById('editor-gutter'),
+    editorWrapper: document.querySelector('.editor-wrapper'),
+    btnLoadElf: document.getElementById('btn-load-elf'),
+    defines: document.getElementById('defines'),
+    elfFile: document.getElementById('elf-file'),
+    elfBadge: document.getElementById('elf-badge'),
+    objectBadges: document.getElementById('object-badges'),
     btnStartStop: document.getElementById('btn-start-stop'),
     btnReset: document.getElementById('btn-reset'), 
     btnDump: document.getElementById('btn-dump'),
     btnRun: document.getElementById('btn-run'),
     btnStep: document.getElementById('btn-step'),
+    btnStepOver: document.getElementById('btn-step-over'),
+    btnStepOut: document.getElementById('btn-step-out'),
+    btnRunToCursor: document.getElementById('btn-run-to-cursor'),
+    btnStepBack: document.getElementById('btn-step-back'),
+    btnReverse: document.getElementById('btn-reverse'),
+    timeline: document.getElementById('timeline'),
+    timelineLabel: document.getElementById('timeline-label'),
     btnClearTerm: document.getElementById('btn-clear-term'),
     btnTheme: document.getElementById('btn-theme'),
     checkPause: document.getElementById('check-pause'),
+    checkHistory: document.getElementById('check-history'),
     regContainer: document.getElementById('registers-container'),
+    fregContainer: document.getElementById('fregisters-container'),
+    fcsrBadge: document.getElementById('fcsr-badge'),
     terminal: document.getElementById('terminal-output'),
     statusMsg: document.getElementById('status-message'),
     pcBadge: document.getElementById('pc-badge'),
+    insnBadge: document.getElementById('insn-badge'),
     
     // CSR Elements
     csrPriv: document.getElementById('csr-priv'),
@@ -27,8 +49,26 @@ const els = {
     csrMepc: document.getElementById('csr-mepc'),
     csrMtval: document.getElementById('csr-mtval'),
     csrMcause: document.getElementById('csr-mcause'),
+    csrMie: document.getElementById('csr-mie'),
+    csrMip: document.getElementById('csr-mip'),
+    csrMedeleg: document.getElementById('csr-medeleg'),
+    csrMideleg: document.getElementById('csr-mideleg'),
+    csrSscratch: document.getElementById('csr-sscratch'),
+    csrStvec: document.getElementById('csr-stvec'),
+    csrSepc: document.getElementById('csr-sepc'),
+    csrStval: document.getElementById('csr-stval'),
+    csrScause: document.getElementById('csr-scause'),
+    csrSatp: document.getElementById('csr-satp'),
+    csrPmp: document.getElementById('csr-pmp'),
     csrCycle: document.getElementById('csr-cycle'),
     csrInstret: document.getElementById('csr-instret'),
+    memoryMap: document.getElementById('memory-map'),
+    watchAddress: document.getElementById('watch-address'),
+    watchSize: document.getElementById('watch-size'),
+    watchAccess: document.getElementById('watch-access'),
+    watchValue: document.getElementById('watch-value'),
+    btnAddWatch: document.getElementById('btn-add-watch'),
+    watchList: document.getElementById('watch-list'),
 
     // Modal Elements
     modalDump: document.getElementById('dump-modal'),
@@ -36,59 +76,119 @@ const els = {
     btnCloseModal: document.getElementById('btn-close-modal'),
     btnCloseModalAction: document.getElementById('btn-close-modal-action'),
     btnCopyDump: document.getElementById('btn-copy-dump'),
+    btnDownloadElf: document.getElementById('btn-download-elf'),
+    btnDownloadObject: document.getElementById('btn-download-object'),
 };
 
-class UiMemory extends RiscvMemory {
-    constructor(terminalEl) {
-        super(1 << 20); 
-        this.terminalEl = terminalEl;
-        this.decoder = new TextDecoder();
-    }
-    read(address, width) {
-        if (address === 0x10000000) return (width === 4 || width === 1) ? 0 : null;
-        return super.read(address, width);
-    }
-    write(address, width, data) {
-        if (address === 0x10000000) {
-            if (width === 4 || width === 1) {
-                const char = this.decoder.decode(new Uint8Array([data & 0xff]));
-                this.terminalEl.textContent += char;
-                this.terminalEl.scrollTop = this.terminalEl.scrollHeight;
-                return true;
-            }
-            return null;
-        }
-        return super.write(address, width, data);
-    }
+const RAM_BASE = 0x40000000;
+const RAM_SIZE = 1 << 20;
+
+function createUart(terminalEl) {
+    const decoder = new TextDecoder();
+    // Length of the terminal's text before each byte, to take output back
+    // when stepping backwards
+    const marks = [];
+    const uart = new Uart16550((byte) => {
+        // Each byte takes an instruction, so once older instructions drop
+        // out of the history only the last HISTORY_LIMIT can be taken back
+        if (marks.length >= 2 * HISTORY_LIMIT) marks.splice(0, marks.length - HISTORY_LIMIT);
+        marks.push(terminalEl.textContent.length);
+        terminalEl.textContent += decoder.decode(new Uint8Array([byte]), { stream: true });
+        terminalEl.scrollTop = terminalEl.scrollHeight;
+    });
+    uart.on_unwrite = (count) => {
+        const length = marks.splice(marks.length - count)[0];
+        terminalEl.textContent = terminalEl.textContent.slice(0, length);
+    };
+    return uart;
+}
+
+function createMemory(uart) {
+    return new RiscvMemory([
+        { name: 'clint', base: 0x02000000, device: new ClintDevice() },
+        { name: 'uart', base: 0x10000000, device: uart },
+        { name: 'ram', base: RAM_BASE, device: new RamDevice(RAM_SIZE) },
+    ]);
+}
+
+const KEY_BYTES = { Enter: 0x0a, Backspace: 0x08, Tab: 0x09, Escape: 0x1b };
+
+// Bytes sent to the UART for a keydown, or null if the key isn't for us
+function keyToBytes(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey) return null;
+    if (KEY_BYTES[e.key] !== undefined) return [KEY_BYTES[e.key]];
+    if ([...e.key].length === 1) return new TextEncoder().encode(e.key);
+    return null;
 }
 
 let state = {
     mem: null,
+    uart: null,
     riscv: null,
+    elf: null, // Loaded ELF executable, run instead of the editor's code
+    objects: [], // { name, object } of loaded ELF objects, linked with the editor's code
     running: false,
     started: false,
     timer: null,
     lastRegs: new Uint32Array(32), 
+    lastFregs: new Uint32Array(32),
     lastCsr: {},
     pcToLine: new Map(),
+    breakpoints: new Set(), // Source lines, kept across Reset
+    breakPcs: new Map(), // pc -> line of the breakpoints in the running program
+    skipBreakpoint: false, // Set when resuming from a breakpoint
+    goal: null, // { name, reached, budget, first } of Step Over, Step Out or Run to Cursor
+    furthest: 0, // Latest cycle reached, the end of the timeline
+    watchpoints: [], // { address (text), size, access, value, id }, kept across Reset
+    symbols: new Map(), // For branch targets in the current instruction
     dumpStr: "",
+    downloads: null, // ELF files of the assembled program, made on demand
     themeMode: 'auto'
 };
 
 const REG_NAMES = "zero ra sp gp tp t0 t1 t2 s0 s1 a0 a1 a2 a3 a4 a5 a6 a7 s2 s3 s4 s5 s6 s7 s8 s9 s10 s11 t3 t4 t5 t6".split(' ');
+const FREG_NAMES = "ft0 ft1 ft2 ft3 ft4 ft5 ft6 ft7 fs0 fs1 fa0 fa1 fa2 fa3 fa4 fa5 fa6 fa7 fs2 fs3 fs4 fs5 fs6 fs7 fs8 fs9 fs10 fs11 ft8 ft9 ft10 ft11".split(' ');
+const RM_NAMES = ['RNE', 'RTZ', 'RDN', 'RUP', 'RMM', '???', '???', '???'];
+const FFLAG_NAMES = ['NX', 'UF', 'OF', 'DZ', 'NV'];
 const CAUSES = new Map([
     [0x00, "Instruction address misaligned"],
     [0x01, "Instruction access fault"],
     [0x02, "Illegal instruction"],
     [0x03, "Breakpoint"],
+    [0x04, "Load address misaligned"],
     [0x05, "Load access fault"],
+    [0x06, "Store/AMO address misaligned"],
     [0x07, "Store/AMO access fault"],
     [0x08, "User ECALL"],
-    [0x0b, "Machine ECALL"]
+    [0x09, "Supervisor ECALL"],
+    [0x0b, "Machine ECALL"],
+    [0x0c, "Instruction page fault"],
+    [0x0d, "Load page fault"],
+    [0x0f, "Store/AMO page fault"]
 ]);
 
 const fmtHex = (x) => `0x${(x >>> 0).toString(16).padStart(8, '0')}`;
 const fmtHex64 = (hi, lo) => `0x${(hi >>> 0).toString(16).padStart(8, '0')}_${(lo >>> 0).toString(16).padStart(8, '0')}`;
+const fmtPmp = (regions) => regions.length === 0 ? 'off' : regions.map((r) =>
+    `${r.index}: ${r.mode} ${fmtHex(r.start)}-${fmtHex(r.end - 1)} ${r.r ? 'R' : '-'}${r.w ? 'W' : '-'}${r.x ? 'X' : '-'}${r.locked ? ' L' : ''}`
+).join(', ');
+// 9 significant digits are enough to tell any two singles apart
+const fmtFloat = (bits) => String(Number(new Float32Array(new Uint32Array([bits]).buffer)[0].toPrecision(9)));
+
+function renderMemoryMap() {
+    els.memoryMap.replaceChildren(...state.mem.memory_map().map(({ name, start, end, executable }) => {
+        const item = document.createElement('div');
+        item.className = 'csr-item';
+        const label = document.createElement('span');
+        label.className = 'label';
+        label.textContent = `${name}:`;
+        const value = document.createElement('span');
+        value.className = 'value';
+        value.textContent = `${fmtHex(start)}-${fmtHex(end)}${executable ? ' X' : ''}`;
+        item.append(label, value);
+        return item;
+    }));
+}
 
 function logToTerminal(msg) {
     els.terminal.textContent += msg + '\n';
@@ -117,6 +217,19 @@ function initRegGrid() {
         `;
         els.regContainer.appendChild(div);
     }
+
+    els.fregContainer.innerHTML = '';
+    for (let i = 0; i < 32; i++) {
+        const div = document.createElement('div');
+        div.className = 'reg-item';
+        div.id = `reg-f${i}`;
+        div.innerHTML = `
+            <span class="reg-name">f${i} ${FREG_NAMES[i]}</span>
+            <span class="reg-val">0x00000000</span>
+            <span class="reg-float">0</span>
+        `;
+        els.fregContainer.appendChild(div);
+    }
 }
 
 function updateView(forceReset = false) {
@@ -134,6 +247,9 @@ function updateView(forceReset = false) {
 
     // PC Badge Color is now handled by CSS var, text content here
     els.pcBadge.textContent = `PC: ${fmtHex(dump.pc)}`;
+    const insn = state.riscv.fetch();
+    els.insnBadge.textContent = insn === null ? '???' : disassemble(insn, dump.pc, state.symbols).text;
+    renderTimeline(dump);
 
     for (let i = 0; i < 32; i++) {
         const el = document.getElementById(`reg-x${i}`);
@@ -153,7 +269,19 @@ function updateView(forceReset = false) {
         }
     }
 
-    const privLabels = { 0: 'User', 3: 'Machine' };
+    for (let i = 0; i < 32; i++) {
+        const el = document.getElementById(`reg-f${i}`);
+        const currentVal = dump.fregs[i];
+        el.querySelector('.reg-val').textContent = fmtHex(currentVal);
+        el.querySelector('.reg-float').textContent = fmtFloat(currentVal);
+        el.classList.toggle('reg-changed', !forceReset && currentVal !== state.lastFregs[i]);
+    }
+
+    const flags = FFLAG_NAMES.filter((name, i) => dump.fflags & (1 << i));
+    els.fcsrBadge.textContent = `fcsr: 0x${((dump.frm << 5) | dump.fflags).toString(16).padStart(2, '0')} `
+        + `(${RM_NAMES[dump.frm]}${flags.length ? ' ' + flags.join(' ') : ''})`;
+
+    const privLabels = { 0: 'User', 1: 'Supervisor', 3: 'Machine' };
     const privStr = `${dump.priv} (${privLabels[dump.priv] || '???'})`;
     const mppStr = `${dump.mpp} (${privLabels[dump.mpp] || '???'})`;
     
@@ -168,17 +296,29 @@ function updateView(forceReset = false) {
     };
 
     updateCsr(els.csrPriv, privStr, 'priv');
-    updateCsr(els.csrMstatus, fmtHex(dump.priv << 11), 'mstatus');
+    updateCsr(els.csrMstatus, fmtHex(dump.mstatus), 'mstatus');
     updateCsr(els.csrMpp, mppStr, 'mpp');
     updateCsr(els.csrMscratch, fmtHex(dump.mscratch), 'mscratch');
     updateCsr(els.csrMtvec, fmtHex(dump.mtvec), 'mtvec');
     updateCsr(els.csrMepc, fmtHex(dump.mepc), 'mepc');
     updateCsr(els.csrMtval, fmtHex(dump.mtval), 'mtval');
     updateCsr(els.csrMcause, fmtHex(dump.mcause), 'mcause');
+    updateCsr(els.csrMie, fmtHex(dump.mie), 'mie');
+    updateCsr(els.csrMip, fmtHex(dump.mip), 'mip');
+    updateCsr(els.csrMedeleg, fmtHex(dump.medeleg), 'medeleg');
+    updateCsr(els.csrMideleg, fmtHex(dump.mideleg), 'mideleg');
+    updateCsr(els.csrSscratch, fmtHex(dump.sscratch), 'sscratch');
+    updateCsr(els.csrStvec, fmtHex(dump.stvec), 'stvec');
+    updateCsr(els.csrSepc, fmtHex(dump.sepc), 'sepc');
+    updateCsr(els.csrStval, fmtHex(dump.stval), 'stval');
+    updateCsr(els.csrScause, fmtHex(dump.scause), 'scause');
+    updateCsr(els.csrSatp, fmtHex(dump.satp), 'satp');
+    updateCsr(els.csrPmp, fmtPmp(state.riscv.pmp_regions()), 'pmp');
     updateCsr(els.csrCycle, fmtHex64(dump.cycle[1], dump.cycle[0]), 'cycle');
     updateCsr(els.csrInstret, fmtHex64(dump.instret[1], dump.instret[0]), 'instret');
 
     state.lastRegs.set(dump.regs);
+    state.lastFregs.set(dump.fregs);
 }
 
 function updateEditorHighlight(lineNo) {
@@ -194,40 +334,111 @@ function updateEditorHighlight(lineNo) {
     els.editorHighlight.style.display = 'block';
 }
 
-function start() {
-    clearError();
-    const code = els.editor.value;
-    const origin = 0x40000000;
-    
-    const res = assemble_riscv(code, origin);
-    
+// Assembles the editor's code, or uses the loaded ELF executable. Returns
+// null after showing an error.
+function buildProgram() {
+    if (state.elf) {
+        const elf = state.elf;
+        return {
+            entry: elf.entry,
+            dump: elf_dump(elf),
+            downloads: null,
+            symbols: elf.symbols,
+            lineMap: new Map(),
+            load: (mem) => load_elf(elf, mem),
+        };
+    }
+
+    const defines = parse_defines(els.defines.value);
+    if (defines.type === 'error') {
+        showError(`Defines Error: ${defines.message}`);
+        return null;
+    }
+
+    if (state.objects.length) return linkProgram(defines.defines);
+
+    const res = assemble_riscv(els.editor.value, RAM_BASE, { defines: defines.defines });
+    for (const { lineno, message } of res.warnings) {
+        logToTerminal(`[ Warning (Line ${lineno}): ${message} ]`);
+    }
+
     if (res.type === 'errors') {
         const firstErr = res.errors[0];
         showError(`Assemble Error (Line ${firstErr.lineno}): ${firstErr.message}`);
+        return null;
+    }
+
+    return {
+        entry: res.symbols.get('_start') ?? RAM_BASE,
+        dump: res.dump,
+        downloads: {
+            elf: () => ({ type: 'ok', buffer: write_elf_executable(res, RAM_BASE) }),
+            // Objects can fail where images don't, like on .byte label
+            object: () => {
+                const obj = assemble_riscv(els.editor.value, 0, { defines: defines.defines, object: true });
+                if (obj.type === 'errors') {
+                    const firstErr = obj.errors[0];
+                    return { type: 'error', message: `Line ${firstErr.lineno}: ${firstErr.message}` };
+                }
+                return { type: 'ok', buffer: write_elf_object(obj.object) };
+            },
+        },
+        symbols: res.symbols,
+        lineMap: res.lineMap || new Map(),
+        load: (mem) => {
+            mem.load(RAM_BASE, new Uint8Array(res.data));
+            return { type: 'ok' };
+        },
+    };
+}
+
+function start() {
+    clearError();
+    const program = buildProgram();
+    if (program === null) return;
+
+    const uart = createUart(els.terminal);
+    const mem = createMemory(uart);
+    const loaded = program.load(mem);
+    if (loaded.type === 'error') {
+        showError(`Load Error: ${loaded.message}`);
         return;
     }
 
-    state.pcToLine = res.lineMap || new Map();
-    state.dumpStr = res.dump;
+    state.pcToLine = program.lineMap;
+    state.breakPcs = breakpointPcs();
+    state.symbols = program.symbols;
+    state.dumpStr = program.dump;
+    state.downloads = program.downloads;
 
-    state.mem = new UiMemory(els.terminal);
-    new Uint8Array(state.mem.memory).set(new Uint8Array(res.data));
+    state.uart = uart;
+    state.mem = mem;
+    renderMemoryMap();
+    for (const watchpoint of state.watchpoints) {
+        attachWatchpoint(watchpoint);
+    }
+    renderWatchpoints();
     
     state.riscv = new RiscvState(state.mem);
-    state.riscv.pc = res.symbols.get('_start') ?? origin;
-    state.riscv.regs[2] = origin + state.mem.memory.byteLength;
+    state.riscv.pc = program.entry;
+    state.riscv.regs[2] = RAM_BASE + RAM_SIZE;
+    state.riscv.record_history(els.checkHistory.checked ? HISTORY_LIMIT : 0);
+    state.furthest = 0;
 
     state.lastRegs.fill(0); 
+    state.lastFregs.fill(0);
     state.lastCsr = {};
 
     state.started = true;
     state.running = false;
     
-    els.editor.disabled = true;
+    // Read-only rather than disabled so the caret can pick a line for Run to Cursor
+    els.editor.readOnly = true;
+    els.defines.disabled = true;
     els.btnStartStop.innerHTML = '<span class="material-symbols-outlined">stop_circle</span> Stop';
     els.btnStartStop.classList.replace('md-btn-filled', 'md-btn-outlined');
     els.btnRun.disabled = false;
-    els.btnStep.disabled = false;
+    setStepping(true);
     els.btnReset.disabled = false; // Enable reset
     els.btnDump.disabled = false; // Enable dump
     
@@ -238,20 +449,31 @@ function start() {
 function stop() {
     state.running = false;
     state.started = false;
+    state.goal = null;
     clearTimeout(state.timer);
     state.riscv = null;
     state.mem = null;
+    state.uart = null;
     state.pcToLine = new Map();
+    state.breakPcs = new Map();
+    state.symbols = new Map();
     state.dumpStr = "";
+    state.downloads = null;
+    for (const watchpoint of state.watchpoints) watchpoint.id = null;
+    renderWatchpoints();
+    els.memoryMap.replaceChildren();
+    els.insnBadge.textContent = '';
+    els.timelineLabel.textContent = '';
     els.editorHighlight.style.display = 'none';
 
-    els.editor.disabled = false;
+    els.editor.readOnly = !!state.elf;
+    els.defines.disabled = false;
     els.btnStartStop.innerHTML = '<span class="material-symbols-outlined">power_settings_new</span> Start';
     els.btnStartStop.classList.replace('md-btn-outlined', 'md-btn-filled');
     
     els.btnRun.innerHTML = '<span class="material-symbols-outlined">play_arrow</span> Run';
     els.btnRun.disabled = true;
-    els.btnStep.disabled = true;
+    setStepping(false);
     els.btnReset.disabled = true; // Disable reset
     els.btnDump.disabled = true; // Disable dump
     
@@ -271,7 +493,11 @@ function step() {
     if (!state.started) return;
     const res = state.riscv.step();
     updateView(); 
+    reportStep(res);
+}
 
+// Shows why a single step stopped, if it did
+function reportStep(res) {
     if (res.type === 'exception') {
         const causeStr = CAUSES.get(res.cause) || `Unknown (${res.cause})`;
         showError(`Exception: ${causeStr} @PC=${fmtHex(res.epc)}`);
@@ -279,14 +505,42 @@ function step() {
     } else if (res.type === 'stop') {
         showError("Program halted (ebreak)");
         pause();
+    } else if (res.type === 'watch') {
+        showError(describeWatch(res));
     }
 }
 
 function runLoop() {
     if (!state.running) return;
-    const STEPS_PER_BATCH = 50;
+    // Goals only show where they end up, so they can run in bigger batches
+    const STEPS_PER_BATCH = state.goal ? 10000 : 50;
 
     for (let i = 0; i < STEPS_PER_BATCH; i++) {
+        const goal = state.goal;
+        if (goal) {
+            if (goal.reached() && !goal.first) {
+                updateView();
+                clearError();
+                pause();
+                return;
+            } else if (goal.budget-- === 0) {
+                updateView();
+                showError(`${goal.name} gave up after ${GOAL_BUDGET} instructions`);
+                pause();
+                return;
+            }
+            goal.first = false;
+        }
+
+        const line = state.breakPcs.get(state.riscv.pc);
+        if (line !== undefined && !state.skipBreakpoint) {
+            updateView();
+            showError(`Breakpoint at line ${line}`);
+            pause();
+            return;
+        }
+        state.skipBreakpoint = false;
+
         const res = state.riscv.step();
         
         if (res.type === 'exception') {
@@ -302,6 +556,11 @@ function runLoop() {
             showError("Program halted (ebreak)");
             pause();
             return;
+        } else if (res.type === 'watch') {
+            updateView();
+            showError(describeWatch(res));
+            pause();
+            return;
         }
     }
     updateView();
@@ -314,22 +573,173 @@ function toggleRun() {
     } else {
         if (!state.started) return;
         state.running = true;
+        state.skipBreakpoint = true;
         els.btnRun.innerHTML = '<span class="material-symbols-outlined">pause</span> Pause';
-        els.btnStep.disabled = true;
+        setStepping(false);
         runLoop();
     }
 }
 
 function pause() {
     state.running = false;
+    state.goal = null;
     clearTimeout(state.timer);
     els.btnRun.innerHTML = '<span class="material-symbols-outlined">play_arrow</span> Run';
-    els.btnStep.disabled = false;
+    setStepping(true);
+}
+
+function setStepping(enabled) {
+    els.btnStep.disabled = !enabled;
+    els.btnStepOver.disabled = !enabled;
+    els.btnStepOut.disabled = !enabled;
+    els.btnRunToCursor.disabled = !enabled;
+    els.btnStepBack.disabled = !enabled;
+    els.btnReverse.disabled = !enabled;
+    els.timeline.disabled = !enabled;
+}
+
+// Step Over, Step Out and Run to Cursor
+// These run like Run until reached() is true before an instruction (other
+// than the first), and give up after GOAL_BUDGET instructions so that a
+// loop that never gets there doesn't run forever
+const GOAL_BUDGET = 1000000;
+
+function runGoal(name, reached) {
+    if (!state.started) return;
+    state.goal = { name, reached, budget: GOAL_BUDGET, first: true };
+    toggleRun();
+}
+
+// The length of the instruction at va and whether it is a call (jal/jalr
+// that write ra), a return (jalr x0 through ra) or an auipc to ra, which
+// starts a call pseudo-instruction
+function controlFlow(va) {
+    const raw = state.riscv.fetch(va);
+    if (raw === null) return { kind: null, length: 4 };
+    const length = (raw & 0b11) === 0b11 ? 4 : 2;
+    const insn = length === 4 ? raw : expand_compressed(raw);
+    if (insn === null) return { kind: null, length };
+
+    const opcode = insn & 0x7f;
+    const rd = (insn >>> 7) & 0x1f;
+    const rs1 = (insn >>> 15) & 0x1f;
+    let kind = null;
+    if ((opcode === 0x6f || opcode === 0x67) && rd === 1) kind = 'call';
+    else if (opcode === 0x67 && rd === 0 && rs1 === 1) kind = 'return';
+    else if (opcode === 0x17 && rd === 1) kind = 'auipc';
+    return { kind, length };
+}
+
+// Runs a call until it returns to the next instruction, which is pc+8 for
+// auipc+jalr. The stack pointer has to be back too, so a recursive call
+// returning to the same place doesn't stop it early.
+function stepOver() {
+    if (!state.started) return;
+    const pc = state.riscv.pc;
+    let here = controlFlow(pc);
+    let target = pc + here.length;
+    if (here.kind === 'auipc') {
+        here = controlFlow((pc + 4) >>> 0);
+        target = pc + 4 + here.length;
+    }
+    if (here.kind !== 'call') {
+        step();
+        return;
+    }
+    target >>>= 0;
+    const sp = state.riscv.regs[2];
+    runGoal('Step over', () => state.riscv.pc === target && state.riscv.regs[2] >= sp);
+}
+
+// Runs until the current function returns, counting the calls and returns
+// on the way so that those of nested calls don't count
+function stepOut() {
+    let depth = 0;
+    let returned = false;
+    runGoal('Step out', () => {
+        if (returned) return true;
+        const { kind } = controlFlow(state.riscv.pc);
+        if (kind === 'call') depth++;
+        else if (kind === 'return' && depth-- === 0) returned = true;
+        return false;
+    });
+}
+
+// Reverse execution
+// The emulator keeps an undo log of the last HISTORY_LIMIT instructions,
+// unless Record is unchecked since that makes running a few times slower.
+// Going forward again on the timeline runs them again, which gives the same
+// results unless there was input in between.
+const HISTORY_LIMIT = 10000;
+
+// Instructions so far, every step counts one cycle
+const cycles = (dump) => dump.cycle[0] + dump.cycle[1] * 2 ** 32;
+
+function renderTimeline(dump) {
+    const now = cycles(dump);
+    state.furthest = Math.max(state.furthest, now);
+    els.timeline.min = now - state.riscv.history.length;
+    els.timeline.max = state.furthest;
+    els.timeline.value = now;
+    els.timelineLabel.textContent = `${now} / ${state.furthest}`;
+}
+
+function stepBack() {
+    if (!state.started) return;
+    clearError();
+    if (!state.riscv.step_back()) showError("No earlier instructions recorded");
+    updateView();
+}
+
+function reverseContinue() {
+    if (!state.started) return;
+    const res = state.riscv.reverse_continue(state.breakPcs);
+    updateView();
+    if (res.type === 'ok') {
+        showError(`Breakpoint at line ${state.breakPcs.get(state.riscv.pc)}`);
+    } else {
+        showError("Reached the oldest recorded instruction");
+    }
+}
+
+function seek(target) {
+    if (!state.started) return;
+    let now = cycles(state.riscv.dump_state());
+    while (now > target && state.riscv.step_back()) now--;
+    clearError();
+    // Replaying stops where it goes differently, like at a watchpoint
+    while (now < target) {
+        const res = state.riscv.step();
+        now++;
+        if (res.type !== 'ok' && res.type !== 'interrupt') {
+            updateView();
+            reportStep(res);
+            return;
+        }
+    }
+    updateView();
+}
+
+// Runs until any instruction of the line with the caret
+function runToCursor() {
+    if (!state.started) return;
+    const line = els.editor.value.slice(0, els.editor.selectionStart).split('\n').length;
+    const pcs = new Set();
+    for (const [pc, pcLine] of state.pcToLine) {
+        if (pcLine === line) pcs.add(pc);
+    }
+    if (pcs.size === 0) {
+        showError(`No instructions at line ${line}`);
+        return;
+    }
+    runGoal('Run to cursor', () => pcs.has(state.riscv.pc));
 }
 
 // Modal Logic
 function showDump() {
     els.modalContent.textContent = state.dumpStr;
+    els.btnDownloadElf.classList.toggle('hidden', !state.downloads);
+    els.btnDownloadObject.classList.toggle('hidden', !state.downloads);
     els.modalDump.classList.remove('hidden');
 }
 
@@ -347,6 +757,25 @@ function copyDump() {
     });
 }
 
+function downloadFile(name, buffer) {
+    const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function download(kind) {
+    const res = state.downloads[kind]();
+    if (res.type === 'error') {
+        hideDump();
+        showError(`Download Error (${res.message})`);
+        return;
+    }
+    downloadFile(kind === 'elf' ? 'program.elf' : 'program.o', res.buffer);
+}
+
 // Theme Logic
 const THEMES = ['auto', 'light', 'dark'];
 const THEME_ICONS = {
@@ -375,10 +804,137 @@ function toggleTheme() {
     applyTheme(THEMES[nextIdx]);
 }
 
+// Breakpoints
+// Stops at the first instruction of each line with a breakpoint
+function breakpointPcs() {
+    const pcs = new Map();
+    for (const [pc, line] of state.pcToLine) {
+        if (state.breakpoints.has(line) && !(pcs.get(line) < pc)) {
+            pcs.set(line, pc);
+        }
+    }
+    return new Map([...pcs].map(([line, pc]) => [pc, line]));
+}
+
+function renderGutter() {
+    const count = els.editor.value.split('\n').length;
+    for (const line of state.breakpoints) {
+        if (line > count) state.breakpoints.delete(line);
+    }
+    const lines = [];
+    for (let line = 1; line <= count; line++) {
+        const div = document.createElement('div');
+        div.className = 'gutter-line';
+        div.classList.toggle('breakpoint', state.breakpoints.has(line));
+        div.dataset.line = line;
+        div.textContent = line;
+        lines.push(div);
+    }
+    els.editorGutter.replaceChildren(...lines);
+    els.editorGutter.scrollTop = els.editor.scrollTop;
+}
+
+function toggleBreakpoint(line) {
+    if (state.breakpoints.has(line)) {
+        state.breakpoints.delete(line);
+    } else {
+        state.breakpoints.add(line);
+    }
+    state.breakPcs = breakpointPcs();
+    renderGutter();
+}
+
+// Watchpoints
+// Addresses are numbers or symbols, resolved again on each start since the
+// program may have changed
+function resolveAddress(text) {
+    if (/^(0x[0-9a-f]+|\d+)$/i.test(text)) return Number(text) >>> 0;
+    return state.symbols.get(text) ?? null;
+}
+
+// Adds the watchpoint to the running program's memory, if it resolves
+function attachWatchpoint(watchpoint) {
+    watchpoint.id = null;
+    const start = resolveAddress(watchpoint.address);
+    if (!state.mem || start === null) return;
+    watchpoint.start = start;
+    watchpoint.id = state.mem.add_watchpoint({
+        start,
+        end: start + watchpoint.size,
+        access: watchpoint.access,
+        value: watchpoint.value,
+    });
+}
+
+function renderWatchpoints() {
+    els.watchList.replaceChildren(...state.watchpoints.map((watchpoint) => {
+        const item = document.createElement('div');
+        item.className = 'watch-item';
+        item.classList.toggle('unresolved', state.started && watchpoint.id === null);
+        const label = document.createElement('span');
+        const where = watchpoint.id !== null && watchpoint.address !== fmtHex(watchpoint.start)
+            ? `${watchpoint.address} (${fmtHex(watchpoint.start)})` : watchpoint.address;
+        const value = watchpoint.value === null ? '' : ` = ${fmtHex(watchpoint.value)}`;
+        label.textContent = `${watchpoint.access} ${where}, ${watchpoint.size} bytes${value}`;
+        const remove = document.createElement('button');
+        remove.className = 'icon-btn';
+        remove.title = 'Remove Watchpoint';
+        remove.innerHTML = '<span class="material-symbols-outlined">close</span>';
+        remove.addEventListener('click', () => removeWatchpoint(watchpoint));
+        item.append(label, remove);
+        return item;
+    }));
+}
+
+function addWatchpoint() {
+    const address = els.watchAddress.value.trim();
+    const size = Number(els.watchSize.value || '4');
+    const valueText = els.watchValue.value.trim();
+    const value = valueText === '' ? null : Number(valueText);
+    if (address === '' || !Number.isInteger(size) || size <= 0) {
+        showError('Watchpoint Error: Expecting an address and a size in bytes');
+        return;
+    } else if (value !== null && !Number.isInteger(value)) {
+        showError(`Watchpoint Error: Invalid value ${valueText}`);
+        return;
+    }
+    const watchpoint = { address, size, access: els.watchAccess.value, value, id: null };
+    attachWatchpoint(watchpoint);
+    if (state.started && watchpoint.id === null) {
+        showError(`Watchpoint Error: Unknown symbol ${address}`);
+        return;
+    }
+    clearError();
+    state.watchpoints.push(watchpoint);
+    els.watchAddress.value = '';
+    els.watchValue.value = '';
+    renderWatchpoints();
+}
+
+function removeWatchpoint(watchpoint) {
+    if (state.mem && watchpoint.id !== null) state.mem.remove_watchpoint(watchpoint.id);
+    state.watchpoints = state.watchpoints.filter((other) => other !== watchpoint);
+    renderWatchpoints();
+}
+
+function describeWatch(res) {
+    const old = res.old_value === null ? '' : `, was ${fmtHex(res.old_value)}`;
+    const verb = res.access === 'read' ? 'Read' : 'Write';
+    return `Watchpoint: ${verb} of ${fmtHex(res.new_value)} at ${fmtHex(res.address)}${old} @PC=${fmtHex(res.pc)}`;
+}
+
 // Event Listeners
 els.btnTheme.addEventListener('click', toggleTheme);
 
+els.editor.addEventListener('input', renderGutter);
+
+els.editorGutter.addEventListener('click', (e) => {
+    const line = e.target.closest('.gutter-line');
+    if (line) toggleBreakpoint(Number(line.dataset.line));
+});
+
 els.editor.addEventListener('scroll', () => {
+    els.editorGutter.scrollTop = els.editor.scrollTop;
     if (state.started && state.riscv) {
         const lineNo = state.pcToLine.get(state.riscv.pc);
         if (lineNo) updateEditorHighlight(lineNo);
@@ -400,6 +956,8 @@ els.btnDump.addEventListener('click', showDump);
 els.btnCloseModal.addEventListener('click', hideDump);
 els.btnCloseModalAction.addEventListener('click', hideDump);
 els.btnCopyDump.addEventListener('click', copyDump);
+els.btnDownloadElf.addEventListener('click', () => download('elf'));
+els.btnDownloadObject.addEventListener('click', () => download('object'));
 els.modalDump.addEventListener('click', (e) => {
     if (e.target === els.modalDump) hideDump();
 });
@@ -408,6 +966,163 @@ els.btnStep.addEventListener('click', () => {
     pause();
     step();
 });
+els.btnStepOver.addEventListener('click', stepOver);
+els.btnStepOut.addEventListener('click', stepOut);
+els.btnRunToCursor.addEventListener('click', runToCursor);
+els.btnStepBack.addEventListener('click', stepBack);
+els.btnReverse.addEventListener('click', reverseContinue);
+els.timeline.addEventListener('input', () => seek(Number(els.timeline.value)));
+els.checkHistory.addEventListener('change', () => {
+    if (!state.riscv) return;
+    // Turning it back on starts a new history from here
+    state.riscv.record_history(els.checkHistory.checked ? HISTORY_LIMIT : 0);
+    updateView();
+});
+
+els.terminal.addEventListener('keydown', (e) => {
+    if (!state.uart) return;
+    const bytes = keyToBytes(e);
+    if (bytes === null) return;
+    e.preventDefault();
+    for (const byte of bytes) state.uart.receive(byte);
+});
+
+els.terminal.addEventListener('paste', (e) => {
+    if (!state.uart) return;
+    e.preventDefault();
+    const text = e.clipboardData.getData('text').replace(/\r\n?/g, '\n');
+    for (const byte of new TextEncoder().encode(text)) state.uart.receive(byte);
+});
+
+// Assembles the editor's code as an object and links it with the loaded
+// objects. It goes first, so its sections start their output sections.
+function linkProgram(defines) {
+    const obj = assemble_riscv(els.editor.value, 0, { defines, object: true });
+    for (const { lineno, message } of obj.warnings) {
+        logToTerminal(`[ Warning (Line ${lineno}): ${message} ]`);
+    }
+
+    if (obj.type === 'errors') {
+        const firstErr = obj.errors[0];
+        showError(`Assemble Error (Line ${firstErr.lineno}): ${firstErr.message}`);
+        return null;
+    }
+
+    const res = link_objects([{ name: 'editor', object: obj.object }, ...state.objects], RAM_BASE);
+    if (res.type === 'errors') {
+        const firstErr = res.errors[0];
+        showError(`Link Error${firstErr.file ? ` (${firstErr.file})` : ''}: ${firstErr.message}`);
+        return null;
+    }
+
+    const addresses = new Map(res.sections.map((section) => [section.name, section.address]));
+    const lineMap = new Map();
+    for (const [section, lines] of obj.lineMap) {
+        for (const [offset, line] of lines) lineMap.set(addresses.get(section) + offset, line);
+    }
+
+    return {
+        entry: res.entry,
+        dump: `${res.dump}\n${obj.dump}`,
+        downloads: {
+            elf: () => ({ type: 'ok', buffer: write_elf_executable(res, RAM_BASE) }),
+            object: () => ({ type: 'ok', buffer: write_elf_object(obj.object) }),
+        },
+        symbols: res.symbols,
+        lineMap,
+        load: (mem) => {
+            mem.load(RAM_BASE, new Uint8Array(res.data));
+            return { type: 'ok' };
+        },
+    };
+}
+
+function renderObjects() {
+    els.objectBadges.replaceChildren(...state.objects.map(({ name }, i) => {
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = `Object: ${name}`;
+        badge.title = 'Click to stop linking this object';
+        badge.addEventListener('click', () => {
+            if (state.started) stop();
+            state.objects.splice(i, 1);
+            renderObjects();
+        });
+        return badge;
+    }));
+}
+
+function setElf(elf) {
+    state.elf = elf;
+    els.elfBadge.textContent = elf ? `ELF: ${elf.name}` : '';
+    els.elfBadge.classList.toggle('hidden', !elf);
+    els.editor.readOnly = !!elf;
+}
+
+function loadElfFile(file) {
+    file.arrayBuffer().then((buffer) => {
+        // Objects are linked with the editor's code rather than replacing it
+        if (is_elf_object(buffer)) {
+            const obj = parse_elf_object(buffer);
+            if (obj.type === 'error') {
+                showError(`ELF Error (${file.name}): ${obj.message}`);
+                return;
+            }
+            if (state.started) stop();
+            setElf(null);
+            state.objects.push({ name: file.name, object: obj.object });
+            renderObjects();
+            return;
+        }
+
+        const elf = parse_elf(buffer);
+        if (elf.type === 'error') {
+            showError(`ELF Error (${file.name}): ${elf.message}`);
+            return;
+        }
+        if (state.started) stop();
+        setElf({ name: file.name, ...elf });
+        start();
+    }).catch((err) => {
+        showError(`ELF Error (${file.name}): ${err.message}`);
+    });
+}
+
+els.btnLoadElf.addEventListener('click', () => els.elfFile.click());
+
+els.elfFile.addEventListener('change', () => {
+    for (const file of els.elfFile.files) loadElfFile(file);
+    els.elfFile.value = '';
+});
+
+els.elfBadge.addEventListener('click', () => {
+    if (state.started) stop();
+    setElf(null);
+});
+
+els.editorWrapper.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    els.editorWrapper.classList.add('drag-over');
+});
+
+els.editorWrapper.addEventListener('dragleave', () => {
+    els.editorWrapper.classList.remove('drag-over');
+});
+
+els.editorWrapper.addEventListener('drop', (e) => {
+    els.editorWrapper.classList.remove('drag-over');
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    for (const file of e.dataTransfer.files) loadElfFile(file);
+});
+
+els.btnAddWatch.addEventListener('click', addWatchpoint);
+for (const input of [els.watchAddress, els.watchSize, els.watchValue]) {
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addWatchpoint();
+    });
+}
 
 els.btnClearTerm.addEventListener('click', () => {
     els.terminal.textContent = '';
@@ -415,4 +1130,5 @@ els.btnClearTerm.addEventListener('click', () => {
 
 // Init
 initRegGrid();
+renderGutter();
 applyTheme(localStorage.getItem('theme') || 'auto');
\ No newline at end of file
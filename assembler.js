@@ -1,7 +1,10 @@
 // SPDX-License-Identifier: CC0-1.0 OR 0BSD
 
-const REGEX_OPERATOR = /[#&()*+,/^|~:]/;
-const REGEX_TOKENIZE = /\s+|(?=[#&()*+,/^|~:])|(?<=[#&()*+,/^|~:])/;
+const REGEX_OPERATOR = /[#&()*+,\-/^|~:<>!=%]/;
+// Operators are captured so they become tokens of their own. A % followed by
+// a word is a relocation like %hi rather than the remainder operator. Quoted
+// strings and character literals are single tokens, spaces and all.
+const REGEX_TOKENIZE = /\s+|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|<<|>>|<=|>=|==|!=|&&|\|\||[#&()*+,\-/^|~:<>!=]|%(?!(?:hi|lo|pcrel_hi|pcrel_lo)\b))/;
 const REGS = (() => {
     const regs = new Map();
     for (let i = 0; i < 32; i ++) {
@@ -17,6 +20,19 @@ const REGS = (() => {
     return regs;
 })();
 
+const FREGS = (() => {
+    const fregs = new Map();
+    for (let i = 0; i < 32; i ++) {
+        fregs.set(`f${i}`, i);
+    }
+
+    const NAMED = "ft0 ft1 ft2 ft3 ft4 ft5 ft6 ft7 fs0 fs1 fa0 fa1 fa2 fa3 fa4 fa5 fa6 fa7 fs2 fs3 fs4 fs5 fs6 fs7 fs8 fs9 fs10 fs11 ft8 ft9 ft10 ft11";
+
+    NAMED.split(' ').forEach((name, i) => fregs.set(name, i));
+
+    return fregs;
+})();
+
 function parse_reg(tokens, p) {
     if (p.i >= tokens.length) {
         return {
@@ -38,13 +54,59 @@ function parse_reg(tokens, p) {
     }
 }
 
+function parse_freg(tokens, p) {
+    if (p.i >= tokens.length) {
+        return {
+            type: 'error',
+            message: 'Expecting FP register, got end of line'
+        };
+    } else if (FREGS.has(tokens[p.i])) {
+        const register = FREGS.get(tokens[p.i]);
+        p.i ++;
+        return {
+            type: 'register',
+            register
+        };
+    } else {
+        return {
+            type: 'error',
+            message: `Expecting FP register, got ${tokens[p.i]}`
+        };
+    }
+}
+
+const ROUNDING_MODES = new Map([
+    [ "rne", 0b000 ],
+    [ "rtz", 0b001 ],
+    [ "rdn", 0b010 ],
+    [ "rup", 0b011 ],
+    [ "rmm", 0b100 ],
+    [ "dyn", 0b111 ]
+]);
+
+function parse_rounding_mode(tokens, p) {
+    if (p.i < tokens.length && ROUNDING_MODES.has(tokens[p.i])) {
+        const rm = ROUNDING_MODES.get(tokens[p.i]);
+        p.i ++;
+        return {
+            type: 'rounding_mode',
+            rm
+        };
+    } else {
+        return {
+            type: 'error',
+            message: `Expecting rounding mode, got ${p.i >= tokens.length ? 'end of line' : tokens[p.i]}`
+        };
+    }
+}
+
 function parse_value(tokens, p) {
     if (p.i >= tokens.length) {
         return {
             type: 'error',
             message: 'Expecting value, got end of line'
         };
-    } else if (/^-?(?:[0-9]+|0\w+)$/.test(tokens[p.i])) {
+    } else if (/^(?:[0-9]+|0\w+)$/.test(tokens[p.i])) {
         const res = Number(tokens[p.i]);
         if (Number.isSafeInteger(res)) {
             p.i ++;
@@ -58,6 +120,28 @@ function parse_value(tokens, p) {
                 message: `Invalid number ${tokens[p.i]}`
             };
         }
+    } else if (tokens[p.i] === '.' && p.section !== undefined) {
+        // The location counter, placed once sections are
+        p.i ++;
+        return {
+            type: 'here',
+            position: { section: p.section, offset: p.offset }
+        };
+    } else if (/^'.*'$/.test(tokens[p.i])) {
+        const res = unescape_string(tokens[p.i].slice(1, -1));
+        if (res.type === 'error') {
+            return res;
+        } else if (res.bytes.length !== 1) {
+            return {
+                type: 'error',
+                message: `Character literal ${tokens[p.i]} must be one byte`
+            };
+        }
+        p.i ++;
+        return {
+            type: 'number',
+            value: res.bytes[0]
+        };
     } else if (/^\d+[fb]$/.test(tokens[p.i])) {
         const base = tokens[p.i].slice(0, -1);
         if (! p.loc_counter.has(base)) {
@@ -75,9 +159,19 @@ function parse_value(tokens, p) {
     } else if (!REGEX_OPERATOR.test(tokens[p.i])) {
         const label = tokens[p.i];
         p.i++;
+        // Symbols already set to a constant are known right away, others are
+        // looked up in the second pass as of the definitions seen so far
+        const defs = p.equ.get(label);
+        if (defs && defs.at(-1).value !== null) {
+            return {
+                type: 'number',
+                value: defs.at(-1).value
+            };
+        }
         return {
             type: 'label',
-            label
+            label,
+            version: defs ? defs.length : 0
         };
     } else {
         return {
@@ -87,6 +181,183 @@ function parse_value(tokens, p) {
     }
 }
 
+// Binary operators with C's precedence, higher binds tighter. Bitwise
+// operators and shifts work on 32-bit values, and shifting by 32 or more
+// shifts everything out rather than wrapping the count like JS.
+const BINARY_OPERATORS = new Map([
+    [ '||', { precedence: 1, apply: (a, b) => Number(a !== 0 || b !== 0) } ],
+    [ '&&', { precedence: 2, apply: (a, b) => Number(a !== 0 && b !== 0) } ],
+    [ '|',  { precedence: 3, apply: (a, b) => a | b } ],
+    [ '^',  { precedence: 4, apply: (a, b) => a ^ b } ],
+    [ '&',  { precedence: 5, apply: (a, b) => a & b } ],
+    [ '==', { precedence: 6, apply: (a, b) => Number(a === b) } ],
+    [ '!=', { precedence: 6, apply: (a, b) => Number(a !== b) } ],
+    [ '<',  { precedence: 7, apply: (a, b) => Number(a < b) } ],
+    [ '<=', { precedence: 7, apply: (a, b) => Number(a <= b) } ],
+    [ '>',  { precedence: 7, apply: (a, b) => Number(a > b) } ],
+    [ '>=', { precedence: 7, apply: (a, b) => Number(a >= b) } ],
+    [ '<<', { precedence: 8, apply: (a, b) => (b < 32 ? a << b : 0) } ],
+    [ '>>', { precedence: 8, apply: (a, b) => a >> Math.min(b, 31) } ],
+    [ '+',  { precedence: 9, apply: (a, b) => a + b } ],
+    [ '-',  { precedence: 9, apply: (a, b) => a - b } ],
+    [ '*',  { precedence: 10, apply: (a, b) => a * b } ],
+    [ '/',  { precedence: 10, apply: (a, b) => Math.trunc(a / b) } ],
+    [ '%',  { precedence: 10, apply: (a, b) => a % b } ],
+]);
+
+const UNARY_OPERATORS = new Map([
+    [ '+', (a) => a ],
+    [ '-', (a) => -a ],
+    [ '~', (a) => ~a ],
+    [ '!', (a) => Number(a === 0) ],
+]);
+
+const COMPARISONS = [ '==', '!=', '<', '<=', '>', '>=' ];
+
+function parse_primary(tokens, p) {
+    if (p.i < tokens.length && UNARY_OPERATORS.has(tokens[p.i])) {
+        const op = tokens[p.i];
+        p.i ++;
+        const operand = parse_primary(tokens, p);
+        if (operand.type === 'error') {
+            return operand;
+        }
+        return {
+            type: 'unary',
+            op, operand
+        };
+    } else if (p.i < tokens.length && tokens[p.i] === '(') {
+        p.i ++;
+        const inner = parse_expression(tokens, p);
+        if (inner.type === 'error') {
+            return inner;
+        }
+        if (p.i >= tokens.length || tokens[p.i] !== ')') {
+            return {
+                type: 'error',
+                message: `Expecting close paren, got ${p.i >= tokens.length ? 'end of line' : tokens[p.i]}`
+            };
+        }
+        p.i ++;
+        return inner;
+    } else {
+        return parse_value(tokens, p);
+    }
+}
+
+// Precedence climbing: parses operators binding at least as tight as
+// min_precedence, the right operand only takes tighter ones so operators
+// associate to the left.
+function parse_expression(tokens, p, min_precedence = 1) {
+    let left = parse_primary(tokens, p);
+    if (left.type === 'error') {
+        return left;
+    }
+
+    while (p.i < tokens.length
+           && BINARY_OPERATORS.has(tokens[p.i])
+           && BINARY_OPERATORS.get(tokens[p.i]).precedence >= min_precedence) {
+        const op = tokens[p.i];
+        p.i ++;
+        const right = parse_expression(tokens, p, BINARY_OPERATORS.get(op).precedence + 1);
+        if (right.type === 'error') {
+            return right;
+        }
+        left = {
+            type: 'binary',
+            op, left, right
+        };
+    }
+
+    return left;
+}
+
+// Evaluates operators, with leaf(expr) giving the value of everything else.
+// Values carry whether they're an address (relocatable): an address plus or
+// minus a constant is still one, the difference of two addresses is a
+// constant, and any other arithmetic on addresses is an error.
+function fold_expression(expr, leaf) {
+    if (expr.type === 'unary') {
+        const operand = fold_expression(expr.operand, leaf);
+        if (operand.type === 'error') {
+            return operand;
+        } else if (operand.relocatable && expr.op !== '+') {
+            return {
+                type: 'error',
+                message: `Cannot apply ${expr.op} to an address`
+            };
+        }
+        return {
+            type: 'ok',
+            value: UNARY_OPERATORS.get(expr.op)(operand.value),
+            relocatable: operand.relocatable
+        };
+    } else if (expr.type === 'binary') {
+        const left = fold_expression(expr.left, leaf);
+        if (left.type === 'error') {
+            return left;
+        }
+        const right = fold_expression(expr.right, leaf);
+        if (right.type === 'error') {
+            return right;
+        }
+
+        let relocatable = false;
+        if (expr.op === '+') {
+            if (left.relocatable && right.relocatable) {
+                return {
+                    type: 'error',
+                    message: 'Cannot add two addresses'
+                };
+            }
+            relocatable = left.relocatable || right.relocatable;
+        } else if (expr.op === '-') {
+            if (right.relocatable && ! left.relocatable) {
+                return {
+                    type: 'error',
+                    message: 'Cannot subtract an address from a constant'
+                };
+            } else if (typeof left.relocatable === 'object' && right.relocatable
+                && (left.relocatable.section === null || left.relocatable.section !== right.relocatable.section)) {
+                // In object files, only addresses in the same section are a
+                // known distance apart
+                return {
+                    type: 'error',
+                    message: `Cannot subtract addresses in different sections`
+                };
+            }
+            relocatable = left.relocatable && ! right.relocatable;
+        } else if (COMPARISONS.includes(expr.op) && left.relocatable && right.relocatable) {
+            // Comparing two addresses is fine, like their difference
+        } else if (left.relocatable || right.relocatable) {
+            return {
+                type: 'error',
+                message: `Operands of ${expr.op} must be constants, not addresses`
+            };
+        }
+
+        if ((expr.op === '/' || expr.op === '%') && right.value === 0) {
+            return {
+                type: 'error',
+                message: 'Division by zero'
+            };
+        } else if ((expr.op === '<<' || expr.op === '>>') && right.value < 0) {
+            return {
+                type: 'error',
+                message: `Negative shift count ${right.value}`
+            };
+        }
+
+        return {
+            type: 'ok',
+            value: BINARY_OPERATORS.get(expr.op).apply(left.value, right.value),
+            relocatable
+        };
+    } else {
+        return leaf(expr);
+    }
+}
+
 function parse_operand(tokens, p) {
     if (p.i < tokens.length && /%\w+/.test(tokens[p.i])) {
         const SPECIAL = [ '%hi', '%lo', '%pcrel_hi', '%pcrel_lo' ];
@@ -101,7 +372,7 @@ function parse_operand(tokens, p) {
                 return invalid;
             }
             p.i ++;
-            const inner = parse_value(tokens, p);
+            const inner = parse_expression(tokens, p);
             if (inner.type === 'error') {
                 return inner;
             }
@@ -121,7 +392,7 @@ function parse_operand(tokens, p) {
             };
         }
     } else {
-        return parse_value(tokens, p);
+        return parse_expression(tokens, p);
     }
 }
 
@@ -130,7 +401,7 @@ function parse_mem(tokens, p) {
         && tokens[p.i] === '('
         && REGS.has(tokens[p.i + 1])
         && tokens[p.i + 2] === ')'
-        && (p.i + 3 >= tokens.length || tokens[p.i] === '#')) {
+        && (p.i + 3 >= tokens.length || tokens[p.i + 3] === '#')) {
 
         const reg = REGS.get(tokens[p.i + 1]);
         p.i += 3;
@@ -212,16 +483,36 @@ function parse_multiple(tokens, p) {
     };
 }
 
-const CSR = new Map([
+export const CSR = new Map([
+    [ "fflags", 0x001 ],
+    [ "frm", 0x002 ],
+    [ "fcsr", 0x003 ],
+    [ "sstatus", 0x100 ],
+    [ "sie", 0x104 ],
+    [ "stvec", 0x105 ],
+    [ "sscratch", 0x140 ],
+    [ "sepc", 0x141 ],
+    [ "scause", 0x142 ],
+    [ "stval", 0x143 ],
+    [ "sip", 0x144 ],
+    [ "satp", 0x180 ],
     [ "mstatus", 0x300 ],
+    [ "medeleg", 0x302 ],
+    [ "mideleg", 0x303 ],
+    [ "mie", 0x304 ],
     [ "mtvec", 0x305 ],
     [ "mscratch", 0x340 ],
     [ "mepc", 0x341 ],
     [ "mcause", 0x342 ],
     [ "mtval", 0x343 ],
+    [ "mip", 0x344 ],
+    ... Array.from({ length: 4 }, (_, i) => [ `pmpcfg${i}`, 0x3a0 + i ]),
+    ... Array.from({ length: 16 }, (_, i) => [ `pmpaddr${i}`, 0x3b0 + i ]),
     [ "cycle", 0xc00 ],
+    [ "time", 0xc01 ],
     [ "instret", 0xc02 ],
     [ "cycleh", 0xc80 ],
+    [ "timeh", 0xc81 ],
     [ "instreth", 0xc82 ]
 ]);
 
@@ -262,6 +553,8 @@ const OPERAND_TYPES = (() => {
     types.set('m', parse_mem);
     types.set('o', parse_operand);
     types.set('c', parse_csr);
+    types.set('f', parse_freg);
+    types.set('R', parse_rounding_mode);
     return types;
 })();
 
@@ -272,7 +565,7 @@ function parse_types(types, tokens, p) {
         if (first) {
             first = false;
         } else {
-            if (p.i < tokens.length || tokens[p.i] === ',') {
+            if (p.i < tokens.length && tokens[p.i] === ',') {
                 p.i ++;
             } else {
                 return {
@@ -301,100 +594,447 @@ function parse_types(types, tokens, p) {
     };
 }
 
-function process_data(width) {
-    return {
-        parse(tokens, p) {
-            const multiple = parse_multiple(tokens, p);
-            if (multiple.type === 'error') {
-                return multiple;
-            }
+const STRING_ESCAPES = new Map([
+    [ 'a', 0x07 ], [ 'b', 0x08 ], [ 'e', 0x1b ], [ 'f', 0x0c ], [ 'n', 0x0a ],
+    [ 'r', 0x0d ], [ 't', 0x09 ], [ 'v', 0x0b ], [ '\\', 0x5c ], [ '"', 0x22 ],
+    [ "'", 0x27 ],
+]);
 
-            if (! (p.i >= tokens.length || tokens[p.i] === '#')) {
+const utf8 = new TextEncoder();
+
+// Decodes the C escapes \n, \x41, \101 and so on. Other characters become
+// their UTF-8 bytes.
+function unescape_string(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; ) {
+        if (text[i] !== '\\') {
+            const char = String.fromCodePoint(text.codePointAt(i));
+            bytes.push(... utf8.encode(char));
+            i += char.length;
+            continue;
+        }
+
+        const rest = text.slice(i + 1);
+        let match;
+        if ((match = /^[0-7]{1,3}/.exec(rest))) {
+            const value = parseInt(match[0], 8);
+            if (value > 0xff) {
                 return {
                     type: 'error',
-                    message: `Expecting, got ${tokens[p.i]}`
-                };
-            } else {
-                return {
-                    type: 'data',
-                    length: width * multiple.values.length,
-                    data: multiple.values
+                    message: `Octal escape \\${match[0]} out of range`
                 };
             }
-        },
-        assemble(parsed, { evaluate, view, offset }) {
-            for (const v of parsed.data) {
-                const res = evaluate(v);
-                if (res.type === 'error') {
-                    return res;
-                };
+            bytes.push(value);
+        } else if ((match = /^x([0-9a-fA-F]{1,2})/.exec(rest))) {
+            bytes.push(parseInt(match[1], 16));
+        } else if (STRING_ESCAPES.has(rest[0])) {
+            match = [ rest[0] ];
+            bytes.push(STRING_ESCAPES.get(rest[0]));
+        } else {
+            return {
+                type: 'error',
+                message: `Unknown escape \\${rest[0] ?? ''}`
+            };
+        }
+        i += 1 + match[0].length;
+    }
+    return { type: 'ok', bytes };
+}
 
-                const { value } = res;
+// Parses an expression whose value must be known in the first pass
+function parse_constant(tokens, p) {
+    const expr = parse_expression(tokens, p);
+    if (expr.type === 'error') {
+        return expr;
+    }
+    return const_value(expr);
+}
 
-                // Avoid shift overflow with Math.pow
-                if (value < - Math.pow(2, width * 8 - 1) || value >= Math.pow(2, width * 8)) {
+// An optional ", fill" byte after a size or alignment, null if absent or
+// left empty as in .balign 4,,2
+function parse_fill(tokens, p) {
+    if (tokens[p.i] !== ',') {
+        return { type: 'ok', value: null };
+    }
+    p.i ++;
+    if (p.i >= tokens.length || tokens[p.i] === ',' || tokens[p.i] === '#') {
+        return { type: 'ok', value: null };
+    }
+    const fill = parse_constant(tokens, p);
+    if (fill.type === 'error') {
+        return fill;
+    } else if (fill.value < -0x80 || fill.value > 0xff) {
+        return {
+            type: 'error',
+            message: `Fill value ${fill.value} out of range`
+        };
+    }
+    return { type: 'ok', value: fill.value & 0xff };
+}
+
+function expect_end(tokens, p, parsed) {
+    if (p.i < tokens.length && tokens[p.i] !== '#') {
+        return {
+            type: 'error',
+            message: `Expecting end of line, got ${tokens[p.i]}`
+        };
+    }
+    return parsed;
+}
+
+// Padding and fills of length 0 emit nothing
+// More padding than this is a mistake, like .org with an absolute address,
+// rather than something that fits in memory
+const MAX_PADDING = 1 << 24;
+
+function padding(length, parsed) {
+    if (length === 0) {
+        return {
+            type: 'directive',
+            length: 0
+        };
+    }
+    return {
+        type: 'data',
+        length,
+        ... parsed
+    };
+}
+
+function assemble_bytes(parsed, { view, offset }) {
+    for (let i = 0; i < parsed.length; i ++) {
+        view.setUint8(offset + i, parsed.bytes[i]);
+    }
+    return { type: 'ok' };
+}
+
+function assemble_fill_byte(parsed, { view, offset }) {
+    for (let i = 0; i < parsed.length; i ++) {
+        view.setUint8(offset + i, parsed.fill);
+    }
+    return { type: 'ok' };
+}
+
+// .ascii strings, .asciz and .string add a NUL after each
+function process_string(terminate) {
+    return {
+        parse(tokens, p) {
+            const bytes = [];
+            do {
+                const token = tokens[p.i] ?? 'end of line';
+                if (! /^".*"$/.test(token)) {
                     return {
                         type: 'error',
-                        message: `Value ${value} out of range`
+                        message: `Expecting string, got ${token}`
                     };
-                } else {
-                    if (width === 1) {
-                        view.setUint8(offset, value);
-                    } else if (width === 2) {
-                        view.setUint16(offset, value, /* littleEndian */ true);
-                    } else if (width === 4) {
-                        view.setUint32(offset, value, /* littleEndian */ true);
-                    } else {
-                        throw "Unexpected data width";
-                    }
-
-                    offset += width;
                 }
-            }
+                const res = unescape_string(token.slice(1, -1));
+                if (res.type === 'error') {
+                    return res;
+                }
+                bytes.push(... res.bytes);
+                if (terminate) {
+                    bytes.push(0);
+                }
+                p.i ++;
+            } while (tokens[p.i] === ',' && p.i ++);
 
-            return { type: 'ok' };
-        }
+            return expect_end(tokens, p, padding(bytes.length, { bytes }));
+        },
+        assemble: assemble_bytes
     };
 }
 
-function process_zfill() {
+// .balign takes a number of bytes, .p2align and RISC-V's .align a power of
+// two. The optional fill byte defaults to nops in executable sections, and
+// no padding happens if it would take more than the optional maximum.
+function process_align(power_of_two) {
     return {
         parse(tokens, p) {
-            const value = parse_value(tokens, p);
-            if (value.type === 'error') {
-                return value;
+            const res = parse_constant(tokens, p);
+            if (res.type === 'error') {
+                return res;
             }
-
-            if (! (p.i >= tokens.length || tokens[p.i] === '#')) {
+            let align = res.value;
+            if (power_of_two) {
+                if (align < 0 || align > 30) {
+                    return {
+                        type: 'error',
+                        message: `Alignment 2**${align} out of range`
+                    };
+                }
+                align = 1 << align;
+            } else if (align <= 0 || (align & (align - 1)) !== 0) {
                 return {
                     type: 'error',
-                    message: `Expecting, got ${tokens[p.i]}`
+                    message: `Alignment ${align} is not a power of two`
                 };
-            } else {
+            }
+            if (align > MAX_PADDING) {
                 return {
-                    type: 'data',
-                    length: value.value,
+                    type: 'error',
+                    message: `Alignment ${align} is larger than ${MAX_PADDING} bytes`
                 };
             }
+
+            const fill = parse_fill(tokens, p);
+            if (fill.type === 'error') {
+                return fill;
+            }
+            let max = null;
+            if (tokens[p.i] === ',') {
+                p.i ++;
+                const res = parse_constant(tokens, p);
+                if (res.type === 'error') {
+                    return res;
+                }
+                max = res.value;
+            }
+
+            // The section must start at least this aligned for the padding
+            // to work out
+            p.section.align = Math.max(p.section.align, align);
+            let length = (align - p.offset % align) % align;
+            if (max !== null && length > max) {
+                length = 0;
+            }
+            const nops = fill.value === null && p.section.flags.includes('x');
+            return expect_end(tokens, p, padding(length, {
+                fill: fill.value ?? 0,
+                nops,
+                rvc: p.options.rvc,
+                zero: ! nops && ! fill.value
+            }));
         },
-        assemble(parsed, { evaluate, view, offset }) {
-            for (let i = 0; i < parsed.length; i ++)
-                view.setUint8(offset + i, 0);
+        assemble(parsed, { view, offset, pc }) {
+            if (! parsed.nops) {
+                return assemble_fill_byte(parsed, { view, offset });
+            }
+            // Zeros up to a parcel, then a c.nop or zeros up to a word, then nops
+            const end = offset + parsed.length;
+            for (; offset < end && (pc & 1); offset ++, pc ++) {
+                view.setUint8(offset, 0);
+            }
+            for (; offset < end && (pc & 2); offset += 2, pc += 2) {
+                view.setUint16(offset, parsed.rvc ? C_NOP : 0, /* littleEndian */ true);
+            }
+            for (; offset < end; offset += 4) {
+                view.setUint32(offset, 0x00000013, /* littleEndian */ true);
+            }
             return { type: 'ok' };
         }
     };
 }
 
-function process_instruction(types, assemble) {
+// .fill repeat, size, value writes repeat copies of the low size bytes of
+// value, sizes above 4 get zeros in the high bytes
+function process_fill() {
     return {
         parse(tokens, p) {
-            const data = parse_types(types, tokens, p);
-            if (data.type === 'error') {
-                return data;
+            const repeat = parse_constant(tokens, p);
+            if (repeat.type === 'error') {
+                return repeat;
+            } else if (repeat.value < 0) {
+                return {
+                    type: 'error',
+                    message: `Negative repeat count ${repeat.value}`
+                };
             }
 
-            return {
-                type: 'instruction',
+            let size = 1;
+            if (tokens[p.i] === ',') {
+                p.i ++;
+                const res = parse_constant(tokens, p);
+                if (res.type === 'error') {
+                    return res;
+                } else if (res.value < 0 || res.value > 8) {
+                    return {
+                        type: 'error',
+                        message: `Fill size ${res.value} out of range`
+                    };
+                }
+                size = res.value;
+            }
+            if (repeat.value * size > MAX_PADDING) {
+                return {
+                    type: 'error',
+                    message: `Fill of ${repeat.value * size} bytes is larger than ${MAX_PADDING} bytes`
+                };
+            }
+
+            let value = { type: 'number', value: 0 };
+            if (tokens[p.i] === ',') {
+                p.i ++;
+                value = parse_expression(tokens, p);
+                if (value.type === 'error') {
+                    return value;
+                }
+            }
+
+            return expect_end(tokens, p, padding(repeat.value * size, {
+                size, value,
+                zero: value.type === 'number' && value.value === 0
+            }));
+        },
+        assemble(parsed, { evaluate, view, offset }) {
+            const res = evaluate(parsed.value);
+            if (res.type === 'error') {
+                return res;
+            }
+            for (let at = 0; at < parsed.length; at ++) {
+                const byte = at % parsed.size;
+                view.setUint8(offset + at, byte < 4 ? res.value >>> (byte * 8) : 0);
+            }
+            return { type: 'ok' };
+        }
+    };
+}
+
+// .org moves forward to an offset from the start of the current section
+function process_org() {
+    return {
+        parse(tokens, p) {
+            const res = parse_constant(tokens, p);
+            if (res.type === 'error') {
+                return res;
+            } else if (res.value < p.offset) {
+                return {
+                    type: 'error',
+                    message: `Cannot move .org backwards from 0x${p.offset.toString(16)} to 0x${res.value.toString(16)}`
+                };
+            } else if (res.value - p.offset > MAX_PADDING) {
+                return {
+                    type: 'error',
+                    message: `.org 0x${res.value.toString(16)} is too far, it is an offset in the section rather than an address`
+                };
+            }
+            const fill = parse_fill(tokens, p);
+            if (fill.type === 'error') {
+                return fill;
+            }
+            return expect_end(tokens, p, padding(res.value - p.offset, {
+                fill: fill.value ?? 0,
+                zero: ! fill.value
+            }));
+        },
+        assemble: assemble_fill_byte
+    };
+}
+
+function process_data(width) {
+    return {
+        parse(tokens, p) {
+            const multiple = parse_multiple(tokens, p);
+            if (multiple.type === 'error') {
+                return multiple;
+            }
+
+            if (! (p.i >= tokens.length || tokens[p.i] === '#')) {
+                return {
+                    type: 'error',
+                    message: `Expecting, got ${tokens[p.i]}`
+                };
+            } else {
+                return {
+                    type: 'data',
+                    length: width * multiple.values.length,
+                    data: multiple.values
+                };
+            }
+        },
+        assemble(parsed, { evaluate, view, offset }) {
+            for (const [ i, v ] of parsed.data.entries()) {
+                const res = evaluate(v, width === 4 ? 'word' : undefined, i * width);
+                if (res.type === 'error') {
+                    return res;
+                };
+
+                const { value } = res;
+
+                // Avoid shift overflow with Math.pow
+                if (value < - Math.pow(2, width * 8 - 1) || value >= Math.pow(2, width * 8)) {
+                    return {
+                        type: 'error',
+                        message: `Value ${value} out of range`
+                    };
+                } else {
+                    if (width === 1) {
+                        view.setUint8(offset, value);
+                    } else if (width === 2) {
+                        view.setUint16(offset, value, /* littleEndian */ true);
+                    } else if (width === 4) {
+                        view.setUint32(offset, value, /* littleEndian */ true);
+                    } else {
+                        throw "Unexpected data width";
+                    }
+
+                    offset += width;
+                }
+            }
+
+            return { type: 'ok' };
+        }
+    };
+}
+
+// .zero size, and .space and .skip which take an optional fill byte
+function process_zfill(with_fill = false) {
+    return {
+        parse(tokens, p) {
+            const expr = parse_expression(tokens, p);
+            if (expr.type === 'error') {
+                return expr;
+            }
+
+            // The size must be known in the first pass
+            const value = const_value(expr);
+            if (value.type === 'error') {
+                return value;
+            } else if (value.value < 0) {
+                return {
+                    type: 'error',
+                    message: `Negative size ${value.value}`
+                };
+            } else if (value.value > MAX_PADDING) {
+                return {
+                    type: 'error',
+                    message: `Size ${value.value} is larger than ${MAX_PADDING} bytes`
+                };
+            }
+
+            const fill = with_fill ? parse_fill(tokens, p) : { type: 'ok', value: null };
+            if (fill.type === 'error') {
+                return fill;
+            }
+
+            if (! (p.i >= tokens.length || tokens[p.i] === '#')) {
+                return {
+                    type: 'error',
+                    message: `Expecting, got ${tokens[p.i]}`
+                };
+            } else {
+                return {
+                    type: 'data',
+                    length: value.value,
+                    fill: fill.value ?? 0,
+                    zero: ! fill.value
+                };
+            }
+        },
+        assemble: assemble_fill_byte
+    };
+}
+
+function process_instruction(types, assemble) {
+    return {
+        parse(tokens, p) {
+            const data = parse_types(types, tokens, p);
+            if (data.type === 'error') {
+                return data;
+            }
+
+            return {
+                type: 'instruction',
                 length: 4,
                 data
             };
@@ -403,11 +1043,46 @@ function process_instruction(types, assemble) {
     };
 }
 
+// Instructions with a rounding mode take it as an optional last operand,
+// defaulting to dyn (use frm)
+function process_fp(types, assemble) {
+    return {
+        parse(tokens, p) {
+            const saved = p.i;
+            const res = parse_types(types, tokens, p);
+            if (res.type !== 'error') {
+                res.values.push({
+                    type: 'rounding_mode',
+                    rm: ROUNDING_MODES.get('dyn')
+                });
+                return {
+                    type: 'instruction',
+                    length: 4,
+                    data: res
+                };
+            } else {
+                p.i = saved;
+                const res_rm = parse_types(types + 'R', tokens, p);
+                if (res_rm.type === 'error') {
+                    return res_rm;
+                } else {
+                    return {
+                        type: 'instruction',
+                        length: 4,
+                        data: res_rm
+                    };
+                }
+            }
+        },
+        assemble
+    };
+}
+
 function assemble_rri_itype(base) {
     return (parsed, { evaluate, view, offset }) => {
         const rd = parsed.data.values[0].register;
         const rs1 = parsed.data.values[1].register;
-        const res = evaluate(parsed.data.values[2]);
+        const res = evaluate(parsed.data.values[2], 'I');
         if (res.type === 'error') {
             return res;
         };
@@ -451,7 +1126,7 @@ function assemble_rm_itype(base) {
     return (parsed, { evaluate, view, offset }) => {
         const rd = parsed.data.values[0].register;
         const rs1 = parsed.data.values[1].register.register;
-        const res = evaluate(parsed.data.values[1].offset);
+        const res = evaluate(parsed.data.values[1].offset, 'I');
         if (res.type === 'error') {
             return res;
         };
@@ -474,7 +1149,7 @@ function assemble_rm_stype(base) {
     return (parsed, { evaluate, view, offset }) => {
         const rs2 = parsed.data.values[0].register;
         const rs1 = parsed.data.values[1].register.register;
-        const res = evaluate(parsed.data.values[1].offset);
+        const res = evaluate(parsed.data.values[1].offset, 'S');
         if (res.type === 'error') {
             return res;
         };
@@ -501,7 +1176,7 @@ function assemble_branch(base) {
     return (parsed, { evaluate, view, offset, pc }) => {
         const rs1 = parsed.data.values[0].register;
         const rs2 = parsed.data.values[1].register;
-        const res = evaluate(parsed.data.values[2]);
+        const res = evaluate(parsed.data.values[2], 'B');
         if (res.type === 'error') {
             return res;
         };
@@ -546,6 +1221,91 @@ function assemble_rrr(base) {
     };
 }
 
+function assemble_amo(base) {
+    return (parsed, { evaluate, view, offset }) => {
+        const values = parsed.data.values;
+        const rd = values[0].register;
+        const rs2 = values.length === 3 ? values[1].register : 0;
+        const mem = values[values.length - 1];
+        const res = evaluate(mem.offset);
+        if (res.type === 'error') {
+            return res;
+        }
+
+        if (res.value !== 0) {
+            return {
+                type: 'error',
+                message: `Atomic memory operand must have zero offset, got ${res.value}`
+            };
+        }
+
+        const insn = base | (rd << 7) | (mem.register.register << 15) | (rs2 << 20);
+        view.setUint32(offset, insn, /* littleEndian */ true);
+        return { type: 'ok' };
+    };
+}
+
+// Registers go to rd, rs1, rs2 and rs3 in order, and a rounding mode to
+// funct3
+function assemble_fp(base) {
+    return (parsed, { view, offset }) => {
+        const values = parsed.data.values;
+        const [ rd, rs1 = 0, rs2 = 0, rs3 = 0 ] = values
+            .filter(v => v.type === 'register')
+            .map(v => v.register);
+        const rm = values.find(v => v.type === 'rounding_mode')?.rm ?? 0;
+
+        const insn = base | (rd << 7) | (rm << 12) | (rs1 << 15) | (rs2 << 20) | (rs3 << 27);
+        view.setUint32(offset, insn, /* littleEndian */ true);
+        return { type: 'ok' };
+    };
+}
+
+// fscsr, fsrm and fsflags swap the CSR with rs, and rd can be left out
+function process_fcsr_swap(base) {
+    return {
+        parse(tokens, p) {
+            const saved = p.i;
+            const res_r = parse_types('r', tokens, p);
+            if (res_r.type !== 'error') {
+                return {
+                    type: 'instruction',
+                    length: 4,
+                    data: {
+                        type: 'multiple',
+                        values: [
+                            {
+                                type: 'register',
+                                register: 0 // zero
+                            },
+                            res_r.values[0]
+                        ]
+                    }
+                };
+            } else {
+                p.i = saved;
+                const res = parse_types('rr', tokens, p);
+                if (res.type === 'error') {
+                    return res;
+                } else {
+                    return {
+                        type: 'instruction',
+                        length: 4,
+                        data: res
+                    };
+                }
+            }
+        },
+        assemble(parsed, { view, offset }) {
+            const rd = parsed.data.values[0].register;
+            const rs1 = parsed.data.values[1].register;
+            const insn = base | (rd << 7) | (rs1 << 15);
+            view.setUint32(offset, insn, /* littleEndian */ true);
+            return { type: 'ok' };
+        }
+    };
+}
+
 function assemble_nullary(base) {
     return (parsed, { view, offset }) => {
         view.setUint32(offset, base, /* littleEndian */ true);
@@ -555,7 +1315,7 @@ function assemble_nullary(base) {
 
 function assemble_jal(parsed, { evaluate, view, offset, pc }) {
     const rd = parsed.data.values[0].register;
-    const res = evaluate(parsed.data.values[1]);
+    const res = evaluate(parsed.data.values[1], 'J');
     if (res.type === 'error') {
         return res;
     }
@@ -603,7 +1363,7 @@ function assemble_csr_r(base) {
 }
 
 function assemble_csr_i(base) {
-    return (parsed, { view, offset }) => {
+    return (parsed, { evaluate, view, offset }) => {
         const rd = parsed.data.values[0].register;
         const csr = parsed.data.values[1].csr
         const res = evaluate(parsed.data.values[2]);
@@ -614,11 +1374,11 @@ function assemble_csr_i(base) {
         if (value < 0 || value >= 32) {
             return {
                 type: 'error',
-                message: `CSR instruction immediat ${value} out of range`
+                message: `CSR instruction immediate ${value} out of range`
             };
         }
 
-        const insn = base | (rd << 7) | (value << 20) | (rs1 << 15);
+        const insn = base | (rd << 7) | (csr << 20) | (value << 15);
 
         view.setUint32(offset, insn, /* littleEndian */ true);
         return { type: 'ok' };
@@ -642,57 +1402,1190 @@ function csr_pseudo(parsed) {
     }
 }
 
-const WORDS = (() => {
-    const words = new Map();
-    words.set('.byte', process_data(1));
-    words.set('.half', process_data(2));
-    words.set('.2byte', process_data(2));
-    words.set('.word', process_data(4));
-    words.set('.4byte', process_data(4));
-    words.set('.zero', process_zfill());
-
-    words.set('addi',   process_instruction('rro', assemble_rri_itype(0x00000013)));
-    words.set('slti',   process_instruction('rro', assemble_rri_itype(0x00002013)));
-    words.set('sltiu',  process_instruction('rro', assemble_rri_itype(0x00003013)));
-    words.set('xori',   process_instruction('rro', assemble_rri_itype(0x00004013)));
-    words.set('ori',    process_instruction('rro', assemble_rri_itype(0x00006013)));
-    words.set('andi',   process_instruction('rro', assemble_rri_itype(0x00007013)));
-
-    words.set('slli',   process_instruction('rro', assemble_rri_shift(0x00001013)));
-    words.set('srli',   process_instruction('rro', assemble_rri_shift(0x00005013)));
-    words.set('srai',   process_instruction('rro', assemble_rri_shift(0x40005013)));
-
-    words.set('add',    process_instruction('rrr', assemble_rrr(0x00000033)));
-    words.set('sub',    process_instruction('rrr', assemble_rrr(0x40000033)));
-    words.set('sll',    process_instruction('rrr', assemble_rrr(0x00001033)));
-    words.set('slt',    process_instruction('rrr', assemble_rrr(0x00002033)));
-    words.set('sltu',   process_instruction('rrr', assemble_rrr(0x00003033)));
-    words.set('xor',    process_instruction('rrr', assemble_rrr(0x00004033)));
-    words.set('srl',    process_instruction('rrr', assemble_rrr(0x00005033)));
-    words.set('sra',    process_instruction('rrr', assemble_rrr(0x40005033)));
-    words.set('or',     process_instruction('rrr', assemble_rrr(0x00006033)));
-    words.set('and',    process_instruction('rrr', assemble_rrr(0x00007033)));
+const REG_ZERO = { type: 'register', register: 0 };
+const REG_RA = { type: 'register', register: 1 };
+const REG_T1 = { type: 'register', register: 6 };
 
-    words.set('lb',     process_instruction('rm', assemble_rm_itype(0x00000003)));
-    words.set('lh',     process_instruction('rm', assemble_rm_itype(0x00001003)));
-    words.set('lw',     process_instruction('rm', assemble_rm_itype(0x00002003)));
-    words.set('lbu',    process_instruction('rm', assemble_rm_itype(0x00004003)));
-    words.set('lhu',    process_instruction('rm', assemble_rm_itype(0x00005003)));
+function number(value) {
+    return { type: 'number', value };
+}
 
-    words.set('sb',     process_instruction('rm', assemble_rm_stype(0x00000023)));
-    words.set('sh',     process_instruction('rm', assemble_rm_stype(0x00001023)));
-    words.set('sw',     process_instruction('rm', assemble_rm_stype(0x00002023)));
+function memory(register, offset = number(0)) {
+    return { type: 'memory', offset, register };
+}
 
-    words.set('beq',    process_instruction('rro', assemble_branch(0x00000063)));
+// A parsed instruction with the given operands, so pseudo-instructions can
+// reuse the assembler of the real instruction
+function with_operands(values, length = 4) {
+    return {
+        type: 'instruction',
+        length,
+        data: {
+            type: 'multiple',
+            values
+        }
+    };
+}
+
+// A pseudo-instruction for one real instruction, operands maps the parsed
+// operands to those of the real instruction
+function process_pseudo(types, assemble, operands) {
+    return process_instruction(types, (parsed, args) =>
+        assemble(with_operands(operands(... parsed.data.values)), args));
+}
+
+// Parses the first of several operand forms that fits the line. forms are
+// [ types, operands ] pairs like process_pseudo's, errors are those of the
+// last form.
+function parse_forms(forms, tokens, p) {
+    const start = p.i;
+    let res;
+    for (const [ types, operands ] of forms) {
+        p.i = start;
+        res = parse_types(types, tokens, p);
+        if (res.type !== 'error') {
+            return with_operands(operands(... res.values));
+        }
+    }
+    return res;
+}
+
+// auipc temp and an instruction using the low 12 bits of the offset from
+// it to value, as the memory operand given to second
+function assemble_pcrel_pair(temp, value, second, { evaluate, view, offset, pc }) {
+    const rel = (value - pc) | 0;
+    const low = (rel << 20) >> 20;
+    const high = ((rel - low) >>> 12) & 0xfffff;
+    const auipc = 0x00000017 | (temp.register << 7) | (high << 12);
+    view.setUint32(offset, auipc, /* littleEndian */ true);
+    return second(memory(temp, number(low)), { evaluate, view, offset: offset + 4, pc: pc + 4 });
+}
+
+// Loads and stores, which also take a symbol instead of the memory operand:
+// lw rd, symbol goes through rd, sw rs, symbol, rt and flw through rt. field
+// is pcrel_i or pcrel_s, for relocations.
+function process_load_store(types, symbol_types, field, assemble) {
+    return {
+        parse(tokens, p) {
+            const start = p.i;
+            const data = parse_types(types, tokens, p);
+            if (data.type !== 'error') {
+                return with_operands(data.values);
+            }
+            p.i = start;
+            const symbol = parse_types(symbol_types, tokens, p);
+            if (symbol.type === 'error') {
+                return data;
+            }
+            return with_operands(symbol.values, 8);
+        },
+        assemble(parsed, args) {
+            if (parsed.length === 4) {
+                return assemble(parsed, args);
+            }
+            const [ reg, target, temp = reg ] = parsed.data.values;
+            const res = args.evaluate(target, field);
+            if (res.type === 'error') {
+                return res;
+            }
+            return assemble_pcrel_pair(temp, res.value, (mem, at) =>
+                assemble(with_operands([ reg, mem ]), at), args);
+        }
+    };
+}
+
+// The optional predecessor and successor sets of fence, like rw
+function parse_fence_set(tokens, p) {
+    const set = tokens[p.i] ?? 'end of line';
+    if (! /^i?o?r?w?$/.test(set) || set === '') {
+        return {
+            type: 'error',
+            message: `Expecting fence set like iorw, got ${set}`
+        };
+    }
+    p.i ++;
+    return {
+        type: 'ok',
+        value: [ ... 'iorw' ].reduce((bits, kind, i) => bits | (set.includes(kind) ? 8 >> i : 0), 0)
+    };
+}
+
+// Compressed (RVC) encoders. Each takes plain register numbers and values
+// and returns the 16-bit instruction, or null if the operands don't fit.
+
+// x8-x15 are the only registers reachable from the 3-bit fields
+function c_reg(reg) {
+    return (8 <= reg && reg < 16) ? reg - 8 : null;
+}
+
+function fits(value, lo, hi, align) {
+    return lo <= value && value < hi && value % align === 0;
+}
+
+function encode_c_ci(funct3, rd, imm, op) {
+    return (funct3 << 13) | (((imm >> 5) & 0b1) << 12) | (rd << 7) | ((imm & 0b11111) << 2) | op;
+}
+
+function encode_c_addi4spn(rd, imm) {
+    if (c_reg(rd) === null || ! fits(imm, 4, 1024, 4)) {
+        return null;
+    }
+    return (((imm >> 4) & 0b11) << 11) | (((imm >> 6) & 0b1111) << 7)
+        | (((imm >> 2) & 0b1) << 6) | (((imm >> 3) & 0b1) << 5) | (c_reg(rd) << 2);
+}
+
+function encode_c_ls(funct3) {
+    return (reg, imm, rs1) => {
+        if (c_reg(reg) === null || c_reg(rs1) === null || ! fits(imm, 0, 128, 4)) {
+            return null;
+        }
+        return (funct3 << 13) | (((imm >> 3) & 0b111) << 10) | (c_reg(rs1) << 7)
+            | (((imm >> 2) & 0b1) << 6) | (((imm >> 6) & 0b1) << 5) | (c_reg(reg) << 2);
+    };
+}
+
+function encode_c_lwsp(funct3) {
+    return (rd, imm, rs1) => {
+        if (rs1 !== 2 || (funct3 === 0b010 && rd === 0) || ! fits(imm, 0, 256, 4)) {
+            return null;
+        }
+        return (funct3 << 13) | (((imm >> 5) & 0b1) << 12) | (rd << 7)
+            | (((imm >> 2) & 0b111) << 4) | (((imm >> 6) & 0b11) << 2) | 0b10;
+    };
+}
+
+function encode_c_swsp(funct3) {
+    return (rs2, imm, rs1) => {
+        if (rs1 !== 2 || ! fits(imm, 0, 256, 4)) {
+            return null;
+        }
+        return (funct3 << 13) | (((imm >> 2) & 0b1111) << 9) | (((imm >> 6) & 0b11) << 7)
+            | (rs2 << 2) | 0b10;
+    };
+}
+
+function encode_c_addi(rd, imm) {
+    return (rd === 0 || imm === 0 || ! fits(imm, -32, 32, 1)) ? null : encode_c_ci(0b000, rd, imm, 0b01);
+}
+
+function encode_c_li(rd, imm) {
+    return (rd === 0 || ! fits(imm, -32, 32, 1)) ? null : encode_c_ci(0b010, rd, imm, 0b01);
+}
+
+// imm is the 20-bit lui operand, so only its sign-extended 6-bit values fit
+function encode_c_lui(rd, imm) {
+    const nzimm = (imm >= 0xfffe0) ? imm - 0x100000 : imm;
+    if (rd === 0 || rd === 2 || nzimm === 0 || ! fits(nzimm, -32, 32, 1)) {
+        return null;
+    }
+    return encode_c_ci(0b011, rd, nzimm, 0b01);
+}
+
+function encode_c_addi16sp(imm) {
+    if (imm === 0 || ! fits(imm, -512, 512, 16)) {
+        return null;
+    }
+    return (0b011 << 13) | (((imm >> 9) & 0b1) << 12) | (2 << 7) | (((imm >> 4) & 0b1) << 6)
+        | (((imm >> 6) & 0b1) << 5) | (((imm >> 7) & 0b11) << 3) | (((imm >> 5) & 0b1) << 2) | 0b01;
+}
+
+function encode_c_shift(funct2) {
+    return (rd, shamt) => {
+        if (c_reg(rd) === null || ! fits(shamt, 1, 32, 1)) {
+            return null;
+        }
+        return (0b100 << 13) | (funct2 << 10) | (c_reg(rd) << 7) | (shamt << 2) | 0b01;
+    };
+}
+
+function encode_c_andi(rd, imm) {
+    if (c_reg(rd) === null || ! fits(imm, -32, 32, 1)) {
+        return null;
+    }
+    return (0b100 << 13) | (((imm >> 5) & 0b1) << 12) | (0b10 << 10) | (c_reg(rd) << 7)
+        | ((imm & 0b11111) << 2) | 0b01;
+}
+
+function encode_c_alu(op) {
+    return (rd, rs2) => {
+        if (c_reg(rd) === null || c_reg(rs2) === null) {
+            return null;
+        }
+        return (0b100011 << 10) | (c_reg(rd) << 7) | (op << 5) | (c_reg(rs2) << 2) | 0b01;
+    };
+}
+
+function encode_c_slli(rd, shamt) {
+    return (rd === 0 || ! fits(shamt, 1, 32, 1)) ? null : encode_c_ci(0b000, rd, shamt, 0b10);
+}
+
+function encode_c_jump(funct3) {
+    return (rel) => {
+        if (! fits(rel, -2048, 2048, 2)) {
+            return null;
+        }
+        return (funct3 << 13) | (((rel >> 11) & 0b1) << 12) | (((rel >> 4) & 0b1) << 11)
+            | (((rel >> 8) & 0b11) << 9) | (((rel >> 10) & 0b1) << 8) | (((rel >> 6) & 0b1) << 7)
+            | (((rel >> 7) & 0b1) << 6) | (((rel >> 1) & 0b111) << 3) | (((rel >> 5) & 0b1) << 2) | 0b01;
+    };
+}
+
+function encode_c_branch(funct3) {
+    return (rs1, rel) => {
+        if (c_reg(rs1) === null || ! fits(rel, -256, 256, 2)) {
+            return null;
+        }
+        return (funct3 << 13) | (((rel >> 8) & 0b1) << 12) | (((rel >> 3) & 0b11) << 10)
+            | (c_reg(rs1) << 7) | (((rel >> 6) & 0b11) << 5) | (((rel >> 1) & 0b11) << 3)
+            | (((rel >> 5) & 0b1) << 2) | 0b01;
+    };
+}
+
+function encode_c_cr(funct4) {
+    return (rd, rs2) => (rd === 0) ? null : (funct4 << 12) | (rd << 7) | (rs2 << 2) | 0b10;
+}
+
+function encode_c_mv(rd, rs2) {
+    return (rs2 === 0) ? null : encode_c_cr(0b1000)(rd, rs2);
+}
+
+function encode_c_add(rd, rs2) {
+    return (rs2 === 0) ? null : encode_c_cr(0b1001)(rd, rs2);
+}
+
+function encode_c_jr(rs1) {
+    return encode_c_cr(0b1000)(rs1, 0);
+}
+
+function encode_c_jalr(rs1) {
+    return encode_c_cr(0b1001)(rs1, 0);
+}
+
+const C_NOP = 0x0001;
+const C_EBREAK = 0x9002;
+
+// Flattens operands into plain numbers: registers become their index and
+// memory operands become offset followed by base register.
+function flatten_operands(values, value_of) {
+    const args = [];
+    for (const v of values) {
+        if (v.type === 'register') {
+            args.push(v.register);
+        } else if (v.type === 'memory') {
+            const res = value_of(v.offset);
+            if (res.type === 'error') {
+                return res;
+            }
+            args.push(res.value, v.register.register);
+        } else {
+            const res = value_of(v);
+            if (res.type === 'error') {
+                return res;
+            }
+            args.push(res.value);
+        }
+    }
+    return { type: 'ok', args };
+}
+
+// Only expressions of plain numbers are known during the first pass
+function const_value(expr) {
+    return fold_expression(expr, (leaf) => {
+        if (leaf.type === 'number') {
+            return { type: 'ok', value: leaf.value };
+        } else {
+            return { type: 'error', message: 'Value is not constant' };
+        }
+    });
+}
+
+function assemble_compressed(parsed, { view, offset }) {
+    view.setUint16(offset, parsed.insn, /* littleEndian */ true);
+    return { type: 'ok' };
+}
+
+// The explicit c.* mnemonics. encode gets pc followed by the flattened
+// operands.
+function process_compressed(types, encode) {
+    return {
+        parse(tokens, p) {
+            const data = parse_types(types, tokens, p);
+            if (data.type === 'error') {
+                return data;
+            }
+
+            return {
+                type: 'instruction',
+                length: 2,
+                compressed: true,
+                data
+            };
+        },
+        assemble(parsed, { evaluate, view, offset, pc }) {
+            const res = flatten_operands(parsed.data.values, (expr) => evaluate(expr, 'C'));
+            if (res.type === 'error') {
+                return res;
+            }
+
+            const insn = encode(pc, ... res.args);
+            if (insn === null) {
+                return {
+                    type: 'error',
+                    message: 'Operands cannot be encoded in a compressed instruction'
+                };
+            }
+
+            view.setUint16(offset, insn, /* littleEndian */ true);
+            return { type: 'ok' };
+        }
+    };
+}
+
+// Automatic compression under `.option rvc`. Each entry maps the flattened
+// operands of a regular instruction to its 16-bit form, or null. Branches and
+// jumps to labels are left alone since their offsets aren't known until the
+// second pass.
+const COMPRESSIBLE = new Map([
+    [ 'addi', (rd, rs1, imm) =>
+        (rd === 0 && rs1 === 0 && imm === 0) ? C_NOP
+        : (rd === rs1) ? (encode_c_addi(rd, imm) ?? (rd === 2 ? encode_c_addi16sp(imm) : null))
+        : (rs1 === 0) ? encode_c_li(rd, imm)
+        : (rs1 === 2) ? encode_c_addi4spn(rd, imm)
+        : (imm === 0) ? encode_c_mv(rd, rs1)
+        : null ],
+    [ 'li', (rd, imm) =>
+        encode_c_li(rd, imm) ?? (((imm & 0xfff) === 0) ? encode_c_lui(rd, (imm >>> 12) & 0xfffff) : null) ],
+    [ 'nop', () => C_NOP ],
+    [ 'mv', (rd, rs) => encode_c_mv(rd, rs) ],
+    [ 'lui', (rd, imm) => encode_c_lui(rd, imm) ],
+    [ 'andi', (rd, rs1, imm) => (rd === rs1) ? encode_c_andi(rd, imm) : null ],
+    [ 'slli', (rd, rs1, shamt) => (rd === rs1) ? encode_c_slli(rd, shamt) : null ],
+    [ 'srli', (rd, rs1, shamt) => (rd === rs1) ? encode_c_shift(0b00)(rd, shamt) : null ],
+    [ 'srai', (rd, rs1, shamt) => (rd === rs1) ? encode_c_shift(0b01)(rd, shamt) : null ],
+    [ 'add', (rd, rs1, rs2) =>
+        (rd === rs1) ? encode_c_add(rd, rs2)
+        : (rd === rs2) ? encode_c_add(rd, rs1)
+        : (rs1 === 0) ? encode_c_mv(rd, rs2)
+        : null ],
+    [ 'sub', (rd, rs1, rs2) => (rd === rs1) ? encode_c_alu(0b00)(rd, rs2) : null ],
+    [ 'xor', (rd, rs1, rs2) =>
+        (rd === rs1) ? encode_c_alu(0b01)(rd, rs2) : (rd === rs2) ? encode_c_alu(0b01)(rd, rs1) : null ],
+    [ 'or', (rd, rs1, rs2) =>
+        (rd === rs1) ? encode_c_alu(0b10)(rd, rs2) : (rd === rs2) ? encode_c_alu(0b10)(rd, rs1) : null ],
+    [ 'and', (rd, rs1, rs2) =>
+        (rd === rs1) ? encode_c_alu(0b11)(rd, rs2) : (rd === rs2) ? encode_c_alu(0b11)(rd, rs1) : null ],
+    [ 'lw', (rd, imm, rs1) => (rs1 === 2) ? encode_c_lwsp(0b010)(rd, imm, rs1) : encode_c_ls(0b010)(rd, imm, rs1) ],
+    [ 'sw', (rs2, imm, rs1) => (rs1 === 2) ? encode_c_swsp(0b110)(rs2, imm, rs1) : encode_c_ls(0b110)(rs2, imm, rs1) ],
+    [ 'flw', (rd, imm, rs1) => (rs1 === 2) ? encode_c_lwsp(0b011)(rd, imm, rs1) : encode_c_ls(0b011)(rd, imm, rs1) ],
+    [ 'fsw', (rs2, imm, rs1) => (rs1 === 2) ? encode_c_swsp(0b111)(rs2, imm, rs1) : encode_c_ls(0b111)(rs2, imm, rs1) ],
+    [ 'jr', (rd, imm, rs1) => (imm === 0) ? encode_c_jr(rs1) : null ],
+    [ 'jalr', (rd, imm, rs1) =>
+        (imm !== 0) ? null : (rd === 1) ? encode_c_jalr(rs1) : (rd === 0) ? encode_c_jr(rs1) : null ],
+    [ 'ret', () => encode_c_jr(1) ],
+    [ 'ebreak', () => C_EBREAK ],
+]);
+
+function compress(name, parsed) {
+    if (! COMPRESSIBLE.has(name) || parsed.length !== 4) {
+        return null;
+    }
+
+    const res = flatten_operands(parsed.data.values, const_value);
+    if (res.type === 'error') {
+        return null;
+    }
+
+    const insn = COMPRESSIBLE.get(name)(... res.args);
+    if (insn === null) {
+        return null;
+    }
+
+    return {
+        type: 'instruction',
+        length: 2,
+        data: parsed.data,
+        insn
+    };
+}
+
+// Whether an ISA string like rv32imac or rv32i2p1_m2p0_c2p0 includes C
+function isa_has_c(isa) {
+    const [ base, ... extensions ] = isa.toLowerCase().replace(/^rv(32|64)/, '').split('_');
+    return base.replace(/\d+(p\d+)?/g, '').includes('c')
+        || extensions.some((extension) => /^c(\d|$)/.test(extension));
+}
+
+function process_option() {
+    return {
+        parse(tokens, p) {
+            const option = tokens[p.i];
+            if (option === 'rvc' || option === 'norvc') {
+                p.options.rvc = option === 'rvc';
+            } else if (option === 'pic' || option === 'nopic') {
+                p.options.pic = option === 'pic';
+            } else if (option === 'relax' || option === 'norelax') {
+                p.options.relax = option === 'relax';
+            } else if (option === 'push') {
+                p.option_stack.push({ ... p.options });
+            } else if (option === 'pop') {
+                if (p.option_stack.length === 0) {
+                    return {
+                        type: 'error',
+                        message: '.option pop without .option push'
+                    };
+                }
+                Object.assign(p.options, p.option_stack.pop());
+            } else if (option === 'arch') {
+                // .option arch, +c or -c, or a whole ISA string
+                p.i ++;
+                if (tokens[p.i] !== ',') {
+                    return {
+                        type: 'error',
+                        message: `Expecting comma, got ${tokens[p.i] ?? 'end of line'}`
+                    };
+                }
+                do {
+                    p.i ++;
+                    const token = tokens[p.i] ?? 'end of line';
+                    if (token === '+' || token === '-') {
+                        if (tokens[p.i + 1] === 'c') {
+                            p.options.rvc = token === '+';
+                        }
+                        p.i += 2;
+                    } else if (/^rv(32|64)/i.test(token)) {
+                        p.options.rvc = isa_has_c(token);
+                        p.i ++;
+                    } else {
+                        return {
+                            type: 'error',
+                            message: `Expecting extension or ISA string, got ${token}`
+                        };
+                    }
+                } while (tokens[p.i] === ',');
+                return expect_end(tokens, p, {
+                    type: 'directive',
+                    length: 0
+                });
+            } else {
+                return {
+                    type: 'error',
+                    message: `Unknown option ${option ?? 'end of line'}`
+                };
+            }
+            p.i ++;
+
+            if (p.i < tokens.length && tokens[p.i] !== '#') {
+                return {
+                    type: 'error',
+                    message: `Expecting end of line, got ${tokens[p.i]}`
+                };
+            }
+
+            return {
+                type: 'directive',
+                length: 0
+            };
+        }
+    };
+}
+
+// .attribute tag, value. Only the arch tag (5) matters, it enables
+// compressed instructions when it includes C like GCC's -march does.
+function process_attribute() {
+    return {
+        parse(tokens, p) {
+            const tag = tokens[p.i] ?? 'end of line';
+            if (REGEX_OPERATOR.test(tag) || tokens[p.i + 1] !== ',' || p.i + 2 >= tokens.length) {
+                return {
+                    type: 'error',
+                    message: `Expecting tag and value, got ${tag}`
+                };
+            }
+            const value = tokens[p.i + 2];
+            if ((tag === 'arch' || tag === 'Tag_RISCV_arch' || tag === '5') && /^".*"$/.test(value)) {
+                p.options.rvc = isa_has_c(value.slice(1, -1));
+            }
+            p.i += 3;
+            return expect_end(tokens, p, {
+                type: 'directive',
+                length: 0
+            });
+        }
+    };
+}
+
+// Directives that only matter to debuggers and other tools
+function process_ignored() {
+    return {
+        parse(tokens, p) {
+            p.i = tokens.length;
+            return {
+                type: 'directive',
+                length: 0
+            };
+        }
+    };
+}
+
+function parse_symbol_name(tokens, p) {
+    const name = tokens[p.i];
+    if (name === undefined || REGEX_OPERATOR.test(name) || /^\d/.test(name)) {
+        return {
+            type: 'error',
+            message: `Expecting symbol name, got ${name ?? 'end of line'}`
+        };
+    }
+    p.i ++;
+    return { type: 'ok', name };
+}
+
+// What .globl, .type, .size and .comm said about a symbol
+function symbol_entry(p, name) {
+    if (! p.symbol_info.has(name)) {
+        p.symbol_info.set(name, { binding: null, type: null, size: null, common: null });
+    }
+    return p.symbol_info.get(name);
+}
+
+// .globl, .global, .local and .weak take a list of symbols. Undefined weak
+// symbols are 0.
+function process_binding(binding) {
+    return {
+        parse(tokens, p) {
+            do {
+                const res = parse_symbol_name(tokens, p);
+                if (res.type === 'error') {
+                    return res;
+                }
+                symbol_entry(p, res.name).binding = binding;
+            } while (tokens[p.i] === ',' && p.i ++);
+
+            return expect_end(tokens, p, {
+                type: 'directive',
+                length: 0
+            });
+        }
+    };
+}
+
+const SYMBOL_TYPES = new Map([
+    [ 'function', 'function' ], [ 'STT_FUNC', 'function' ],
+    [ 'object', 'object' ], [ 'STT_OBJECT', 'object' ],
+    [ 'notype', 'notype' ], [ 'STT_NOTYPE', 'notype' ],
+    [ 'tls_object', 'tls_object' ], [ 'STT_TLS', 'tls_object' ],
+    [ 'common', 'common' ], [ 'STT_COMMON', 'common' ],
+    [ 'gnu_indirect_function', 'gnu_indirect_function' ], [ 'STT_GNU_IFUNC', 'gnu_indirect_function' ],
+]);
+
+// .type name, @function and its spellings %function, "function", STT_FUNC
+function process_type() {
+    return {
+        parse(tokens, p) {
+            const res = parse_symbol_name(tokens, p);
+            if (res.type === 'error') {
+                return res;
+            }
+            if (tokens[p.i] !== ',') {
+                return {
+                    type: 'error',
+                    message: `Expecting comma, got ${tokens[p.i] ?? 'end of line'}`
+                };
+            }
+            p.i ++;
+            const spelled = (tokens[p.i] ?? '').replace(/^[@%]|^"(.*)"$/g, '$1');
+            if (! SYMBOL_TYPES.has(spelled)) {
+                return {
+                    type: 'error',
+                    message: `Unknown symbol type ${tokens[p.i] ?? 'end of line'}`
+                };
+            }
+            symbol_entry(p, res.name).type = SYMBOL_TYPES.get(spelled);
+            p.i ++;
+            return expect_end(tokens, p, {
+                type: 'directive',
+                length: 0
+            });
+        }
+    };
+}
+
+// .size name, expr, usually .-name, evaluated once everything is placed
+function process_size() {
+    return {
+        parse(tokens, p) {
+            const res = parse_symbol_name(tokens, p);
+            if (res.type === 'error') {
+                return res;
+            }
+            if (tokens[p.i] !== ',') {
+                return {
+                    type: 'error',
+                    message: `Expecting comma, got ${tokens[p.i] ?? 'end of line'}`
+                };
+            }
+            p.i ++;
+            const expr = parse_expression(tokens, p);
+            if (expr.type === 'error') {
+                return expr;
+            }
+            symbol_entry(p, res.name).size = { expr, lineno: p.lineno, chain: p.chain };
+            return expect_end(tokens, p, {
+                type: 'directive',
+                length: 0
+            });
+        }
+    };
+}
+
+// .comm name, size, align declares a global symbol placed in .bss unless
+// it is defined elsewhere. Repeats keep the largest size and alignment.
+function process_comm() {
+    return {
+        parse(tokens, p) {
+            const res = parse_symbol_name(tokens, p);
+            if (res.type === 'error') {
+                return res;
+            }
+            if (tokens[p.i] !== ',') {
+                return {
+                    type: 'error',
+                    message: `Expecting comma, got ${tokens[p.i] ?? 'end of line'}`
+                };
+            }
+            p.i ++;
+            const size = parse_constant(tokens, p);
+            if (size.type === 'error') {
+                return size;
+            } else if (size.value < 0) {
+                return {
+                    type: 'error',
+                    message: `Negative size ${size.value}`
+                };
+            }
+
+            // Without an alignment, the largest power of two up to the size
+            let align = Math.min(16, 2 ** Math.floor(Math.log2(Math.max(size.value, 1))));
+            if (tokens[p.i] === ',') {
+                p.i ++;
+                const res = parse_constant(tokens, p);
+                if (res.type === 'error') {
+                    return res;
+                } else if (res.value <= 0 || (res.value & (res.value - 1)) !== 0) {
+                    return {
+                        type: 'error',
+                        message: `Alignment ${res.value} is not a power of two`
+                    };
+                }
+                align = res.value;
+            }
+
+            const entry = symbol_entry(p, res.name);
+            entry.common = {
+                size: Math.max(size.value, entry.common?.size ?? 0),
+                align: Math.max(align, entry.common?.align ?? 1),
+                lineno: p.lineno,
+                chain: p.chain
+            };
+            return expect_end(tokens, p, {
+                type: 'directive',
+                length: 0
+            });
+        }
+    };
+}
+
+// .equ and .set, which may redefine a symbol. Uses before the first
+// definition are forward references to it.
+function process_equ() {
+    return {
+        parse(tokens, p) {
+            const name = tokens[p.i];
+            if (name === undefined || REGEX_OPERATOR.test(name) || /^\d/.test(name)) {
+                return {
+                    type: 'error',
+                    message: `Expecting symbol name, got ${name ?? 'end of line'}`
+                };
+            } else if (p.label.has(name)) {
+                return {
+                    type: 'error',
+                    message: `Symbol ${name} is already defined as a label`
+                };
+            }
+            p.i ++;
+
+            if (p.i >= tokens.length || tokens[p.i] !== ',') {
+                return {
+                    type: 'error',
+                    message: `Expecting comma, got ${p.i >= tokens.length ? 'end of line' : tokens[p.i]}`
+                };
+            }
+            p.i ++;
+
+            const expr = parse_expression(tokens, p);
+            if (expr.type === 'error') {
+                return expr;
+            }
+
+            if (p.i < tokens.length && tokens[p.i] !== '#') {
+                return {
+                    type: 'error',
+                    message: `Expecting end of line, got ${tokens[p.i]}`
+                };
+            }
+
+            const res = const_value(expr);
+            if (! p.equ.has(name)) {
+                p.equ.set(name, []);
+            }
+            p.equ.get(name).push({
+                expr,
+                lineno: p.lineno,
+                chain: p.chain,
+                value: res.type === 'ok' ? res.value : null
+            });
+
+            return {
+                type: 'directive',
+                length: 0
+            };
+        }
+    };
+}
+
+// Flags and whether a section has contents in the file, by name prefix like
+// GNU ld's default script. Like GNU as, other sections such as .comment and
+// .debug_info are not loaded unless flags are given.
+function section_defaults(name) {
+    if (/^\.s?bss(\.|$)/.test(name)) {
+        return { flags: 'aw', nobits: true };
+    } else if (/^\.text(\.|$)/.test(name)) {
+        return { flags: 'ax', nobits: false };
+    } else if (/^\.s?rodata(\.|$)/.test(name)) {
+        return { flags: 'a', nobits: false };
+    } else if (/^\.(s?data|data1|(init|fini|preinit)_array)(\.|$)/.test(name)) {
+        return { flags: 'aw', nobits: false };
+    } else {
+        return { flags: '', nobits: false };
+    }
+}
+
+// .text, .data, .rodata and .bss switch to their section, .section takes a
+// name, optional flags like "ax" and an optional @progbits or @nobits
+function process_section(fixed_name = null) {
+    return {
+        parse(tokens, p) {
+            let name = fixed_name, flags = null, nobits = null;
+
+            if (name === null) {
+                name = tokens[p.i];
+                if (name === undefined || REGEX_OPERATOR.test(name)) {
+                    return {
+                        type: 'error',
+                        message: `Expecting section name, got ${name ?? 'end of line'}`
+                    };
+                }
+                p.i ++;
+                // Names like .note.GNU-stack are split at the dash
+                while (p.i < tokens.length && tokens[p.i] !== ',' && tokens[p.i] !== '#') {
+                    name += tokens[p.i ++];
+                }
+
+                if (tokens[p.i] === ',') {
+                    p.i ++;
+                    const match = /^"([a-zA-Z]*)"$/.exec(tokens[p.i] ?? '');
+                    if (match === null) {
+                        return {
+                            type: 'error',
+                            message: `Expecting section flags, got ${tokens[p.i] ?? 'end of line'}`
+                        };
+                    }
+                    flags = [ ... 'awx' ].filter((flag) => match[1].includes(flag)).join('');
+                    p.i ++;
+                }
+
+                if (tokens[p.i] === ',') {
+                    p.i ++;
+                    const type = tokens[p.i] ?? 'end of line';
+                    if (! /^[@%](progbits|nobits)$/.test(type)) {
+                        return {
+                            type: 'error',
+                            message: `Expecting @progbits or @nobits, got ${type}`
+                        };
+                    }
+                    nobits = type.endsWith('nobits');
+                    p.i ++;
+
+                    // The entry size of mergeable sections doesn't matter here
+                    if (tokens[p.i] === ',') {
+                        p.i ++;
+                        const entsize = parse_constant(tokens, p);
+                        if (entsize.type === 'error') {
+                            return entsize;
+                        }
+                    }
+                }
+            }
+
+            if (p.i < tokens.length && tokens[p.i] !== '#') {
+                return {
+                    type: 'error',
+                    message: `Expecting end of line, got ${tokens[p.i]}`
+                };
+            }
+
+            return {
+                type: 'section',
+                name, flags, nobits
+            };
+        }
+    };
+}
+
+// Relocations for the kinds of fields an address can go in, in object
+// files. Fields relative to pc need none if the address is in the same
+// section. Pairs of instructions get a relocation for each.
+const FIELD_RELOCATIONS = new Map([
+    [ 'B', { pcrel: true, types: [ 'R_RISCV_BRANCH' ] } ],
+    [ 'J', { pcrel: true, types: [ 'R_RISCV_JAL' ] } ],
+    [ 'C', { pcrel: true, types: [] } ],
+    [ 'call', { pcrel: true, types: [ 'R_RISCV_CALL' ] } ],
+    [ 'pcrel_i', { pcrel: true, types: [ 'R_RISCV_PCREL_HI20', 'R_RISCV_PCREL_LO12_I' ] } ],
+    [ 'pcrel_s', { pcrel: true, types: [ 'R_RISCV_PCREL_HI20', 'R_RISCV_PCREL_LO12_S' ] } ],
+    [ 'abs_i', { pcrel: false, types: [ 'R_RISCV_HI20', 'R_RISCV_LO12_I' ] } ],
+    [ 'word', { pcrel: false, types: [ 'R_RISCV_32' ] } ],
+]);
+
+// Relocations for %hi(address) and the like by the field they are in
+const SPECIAL_RELOCATIONS = new Map([
+    [ '%hi', { U: 'R_RISCV_HI20' } ],
+    [ '%lo', { I: 'R_RISCV_LO12_I', S: 'R_RISCV_LO12_S' } ],
+    [ '%pcrel_hi', { U: 'R_RISCV_PCREL_HI20' } ],
+    [ '%pcrel_lo', { I: 'R_RISCV_PCREL_LO12_I', S: 'R_RISCV_PCREL_LO12_S' } ],
+]);
+
+// Places sections like a small linker script. layout lists { name, base,
+// align } in order: a section starts at base if given, otherwise after the
+// previous one rounded up to align (4 by default). Sections that aren't
+// listed go after the one they are named after, like .text.startup after
+// .text, or else at the end, those without contents last.
+export const DEFAULT_LAYOUT = [
+    { name: '.text' },
+    { name: '.rodata' },
+    { name: '.srodata' },
+    { name: '.data' },
+    { name: '.sdata' },
+    { name: '.sbss' },
+    { name: '.bss' },
+];
+
+// Errors carry the line where the section was first entered. Sections
+// without the a flag, like .comment, aren't loaded and stay at address 0.
+export function layout_sections(sections, origin, layout) {
+    const loaded = new Map([ ... sections ].filter(([ , section ]) => section.flags.includes('a')));
+    const entries = new Map(layout.map((entry) => [ entry.name, entry ]));
+    const rest = [ ... loaded.values() ].filter((section) => ! entries.has(section.name));
+    const parent = (section) => layout.find((entry) => section.name.startsWith(`${entry.name}.`))?.name;
+    const order = [];
+    for (const entry of layout) {
+        if (loaded.has(entry.name)) {
+            order.push(loaded.get(entry.name));
+        }
+        order.push(... rest.filter((section) => parent(section) === entry.name));
+    }
+    const orphans = rest.filter((section) => parent(section) === undefined);
+    order.push(... orphans.filter((section) => ! section.nobits), ... orphans.filter((section) => section.nobits));
+
+    const hex = (x) => `0x${x.toString(16)}`;
+    let address = origin;
+    for (const section of order) {
+        const { base, align = 4 } = entries.get(section.name) ?? {};
+        const alignment = Math.max(align, section.align);
+        if (base !== undefined && base % alignment !== 0) {
+            return {
+                type: 'error',
+                lineno: section.lineno,
+                message: `Base ${hex(base)} of section ${section.name} is not aligned to ${alignment}`
+            };
+        }
+        address = base ?? Math.ceil(address / alignment) * alignment;
+        if (! section.nobits && section.size > 0 && address < origin) {
+            return {
+                type: 'error',
+                lineno: section.lineno,
+                message: `Section ${section.name} at ${hex(address)} is below the origin ${hex(origin)}`
+            };
+        }
+        section.address = address;
+        address += section.size;
+    }
+
+    const placed = order.filter((section) => section.size > 0).sort((a, b) => a.address - b.address);
+    for (let i = 1; i < placed.length; i ++) {
+        const prev = placed[i - 1];
+        if (placed[i].address < prev.address + prev.size) {
+            return {
+                type: 'error',
+                lineno: placed[i].lineno,
+                message: `Sections ${prev.name} and ${placed[i].name} overlap`
+            };
+        }
+    }
+
+    return { type: 'ok' };
+}
+
+// The end of the last of the placed sections, or origin if there are none
+export function sections_end(sections, origin) {
+    return Math.max(origin, ... sections.map((section) => section.address + section.size));
+}
+
+// The symbols a linker script would define for placed sections, as
+// [ name, address ] pairs
+export function linker_symbols(sections, origin) {
+    const loaded = sections.filter((section) => section.flags.includes('a'));
+    const text = sections.find((section) => section.name === '.text');
+    return [
+        [ '_etext', text ? text.address + text.size : origin ],
+        [ '_edata', sections_end(loaded.filter((section) => ! section.nobits), origin) ],
+        [ '__bss_start', Math.min(sections_end(loaded, origin), ... loaded.filter((section) => section.nobits).map((section) => section.address)) ],
+        [ '_end', sections_end(loaded, origin) ],
+    ];
+}
+
+// A flat image from origin of placed sections with their contents in
+// buffer, with sections without contents left out
+export function flat_image(sections, origin) {
+    const contents = sections.filter((section) => section.flags.includes('a') && ! section.nobits);
+    const buf = new ArrayBuffer(sections_end(contents, origin) - origin);
+    for (const section of contents) {
+        if (section.size > 0) {
+            new Uint8Array(buf, section.address - origin, section.size).set(new Uint8Array(section.buffer));
+        }
+    }
+    return buf;
+}
+
+// .error and .warning, with an optionally quoted message
+function process_message(kind) {
+    return {
+        parse(tokens, p) {
+            const rest = split_line(p.line).rest;
+            const quoted = /^"((?:[^"\\]|\\.)*)"$/.exec(rest);
+            const text = quoted ? quoted[1].replace(/\\(.)/g, '$1') : rest;
+            const message = text || `${kind === 'error' ? '.error' : '.warning'} directive`;
+            if (kind === 'error') {
+                return {
+                    type: 'error',
+                    message
+                };
+            }
+            p.warnings.push({ lineno: p.lineno, message: message + format_chain(p.chain) });
+            return {
+                type: 'directive',
+                length: 0
+            };
+        }
+    };
+}
+
+const WORDS = (() => {
+    const words = new Map();
+    words.set('.byte', process_data(1));
+    words.set('.half', process_data(2));
+    words.set('.2byte', process_data(2));
+    words.set('.word', process_data(4));
+    words.set('.4byte', process_data(4));
+    words.set('.zero', process_zfill());
+    words.set('.space', process_zfill(true));
+    words.set('.skip', process_zfill(true));
+    words.set('.fill', process_fill());
+    words.set('.org', process_org());
+
+    words.set('.ascii', process_string(false));
+    words.set('.asciz', process_string(true));
+    words.set('.string', process_string(true));
+
+    words.set('.globl', process_binding('global'));
+    words.set('.global', process_binding('global'));
+    words.set('.local', process_binding('local'));
+    words.set('.weak', process_binding('weak'));
+    words.set('.type', process_type());
+    words.set('.size', process_size());
+    words.set('.comm', process_comm());
+    words.set('.attribute', process_attribute());
+    for (const name of [
+        '.file', '.ident', '.loc', '.addrsig', '.addrsig_sym',
+        '.cfi_sections', '.cfi_startproc', '.cfi_endproc', '.cfi_def_cfa',
+        '.cfi_def_cfa_offset', '.cfi_def_cfa_register', '.cfi_adjust_cfa_offset',
+        '.cfi_offset', '.cfi_rel_offset', '.cfi_register', '.cfi_restore',
+        '.cfi_remember_state', '.cfi_restore_state', '.cfi_undefined',
+        '.cfi_same_value', '.cfi_escape', '.cfi_signal_frame',
+        '.cfi_return_column', '.cfi_personality', '.cfi_lsda',
+    ]) {
+        words.set(name, process_ignored());
+    }
+
+    words.set('.align', process_align(true));
+    words.set('.p2align', process_align(true));
+    words.set('.balign', process_align(false));
+
+    words.set('.text', process_section('.text'));
+    words.set('.data', process_section('.data'));
+    words.set('.rodata', process_section('.rodata'));
+    words.set('.bss', process_section('.bss'));
+    words.set('.section', process_section());
+
+    words.set('addi',   process_instruction('rro', assemble_rri_itype(0x00000013)));
+    words.set('slti',   process_instruction('rro', assemble_rri_itype(0x00002013)));
+    words.set('sltiu',  process_instruction('rro', assemble_rri_itype(0x00003013)));
+    words.set('xori',   process_instruction('rro', assemble_rri_itype(0x00004013)));
+    words.set('ori',    process_instruction('rro', assemble_rri_itype(0x00006013)));
+    words.set('andi',   process_instruction('rro', assemble_rri_itype(0x00007013)));
+
+    words.set('slli',   process_instruction('rro', assemble_rri_shift(0x00001013)));
+    words.set('srli',   process_instruction('rro', assemble_rri_shift(0x00005013)));
+    words.set('srai',   process_instruction('rro', assemble_rri_shift(0x40005013)));
+
+    words.set('add',    process_instruction('rrr', assemble_rrr(0x00000033)));
+    words.set('sub',    process_instruction('rrr', assemble_rrr(0x40000033)));
+    words.set('sll',    process_instruction('rrr', assemble_rrr(0x00001033)));
+    words.set('slt',    process_instruction('rrr', assemble_rrr(0x00002033)));
+    words.set('sltu',   process_instruction('rrr', assemble_rrr(0x00003033)));
+    words.set('xor',    process_instruction('rrr', assemble_rrr(0x00004033)));
+    words.set('srl',    process_instruction('rrr', assemble_rrr(0x00005033)));
+    words.set('sra',    process_instruction('rrr', assemble_rrr(0x40005033)));
+    words.set('or',     process_instruction('rrr', assemble_rrr(0x00006033)));
+    words.set('and',    process_instruction('rrr', assemble_rrr(0x00007033)));
+
+    words.set('nop',    process_pseudo('', assemble_rri_itype(0x00000013), () => [ REG_ZERO, REG_ZERO, number(0) ]));
+    words.set('not',    process_pseudo('rr', assemble_rri_itype(0x00004013), (rd, rs) => [ rd, rs, number(-1) ]));
+    words.set('neg',    process_pseudo('rr', assemble_rrr(0x40000033), (rd, rs) => [ rd, REG_ZERO, rs ]));
+    words.set('seqz',   process_pseudo('rr', assemble_rri_itype(0x00003013), (rd, rs) => [ rd, rs, number(1) ]));
+    words.set('snez',   process_pseudo('rr', assemble_rrr(0x00003033), (rd, rs) => [ rd, REG_ZERO, rs ]));
+    words.set('sltz',   process_pseudo('rr', assemble_rrr(0x00002033), (rd, rs) => [ rd, rs, REG_ZERO ]));
+    words.set('sgtz',   process_pseudo('rr', assemble_rrr(0x00002033), (rd, rs) => [ rd, REG_ZERO, rs ]));
+
+    words.set('mul',    process_instruction('rrr', assemble_rrr(0x02000033)));
+    words.set('mulh',   process_instruction('rrr', assemble_rrr(0x02001033)));
+    words.set('mulhsu', process_instruction('rrr', assemble_rrr(0x02002033)));
+    words.set('mulhu',  process_instruction('rrr', assemble_rrr(0x02003033)));
+    words.set('div',    process_instruction('rrr', assemble_rrr(0x02004033)));
+    words.set('divu',   process_instruction('rrr', assemble_rrr(0x02005033)));
+    words.set('rem',    process_instruction('rrr', assemble_rrr(0x02006033)));
+    words.set('remu',   process_instruction('rrr', assemble_rrr(0x02007033)));
+
+    words.set('lb',     process_load_store('rm', 'ro', 'pcrel_i', assemble_rm_itype(0x00000003)));
+    words.set('lh',     process_load_store('rm', 'ro', 'pcrel_i', assemble_rm_itype(0x00001003)));
+    words.set('lw',     process_load_store('rm', 'ro', 'pcrel_i', assemble_rm_itype(0x00002003)));
+    words.set('lbu',    process_load_store('rm', 'ro', 'pcrel_i', assemble_rm_itype(0x00004003)));
+    words.set('lhu',    process_load_store('rm', 'ro', 'pcrel_i', assemble_rm_itype(0x00005003)));
+
+    words.set('sb',     process_load_store('rm', 'ror', 'pcrel_s', assemble_rm_stype(0x00000023)));
+    words.set('sh',     process_load_store('rm', 'ror', 'pcrel_s', assemble_rm_stype(0x00001023)));
+    words.set('sw',     process_load_store('rm', 'ror', 'pcrel_s', assemble_rm_stype(0x00002023)));
+
+    words.set('beq',    process_instruction('rro', assemble_branch(0x00000063)));
     words.set('bne',    process_instruction('rro', assemble_branch(0x00001063)));
     words.set('blt',    process_instruction('rro', assemble_branch(0x00004063)));
     words.set('bge',    process_instruction('rro', assemble_branch(0x00005063)));
     words.set('bltu',   process_instruction('rro', assemble_branch(0x00006063)));
     words.set('bgeu',   process_instruction('rro', assemble_branch(0x00007063)));
 
+    words.set('beqz',   process_pseudo('ro', assemble_branch(0x00000063), (rs, off) => [ rs, REG_ZERO, off ]));
+    words.set('bnez',   process_pseudo('ro', assemble_branch(0x00001063), (rs, off) => [ rs, REG_ZERO, off ]));
+    words.set('blez',   process_pseudo('ro', assemble_branch(0x00005063), (rs, off) => [ REG_ZERO, rs, off ]));
+    words.set('bgez',   process_pseudo('ro', assemble_branch(0x00005063), (rs, off) => [ rs, REG_ZERO, off ]));
+    words.set('bltz',   process_pseudo('ro', assemble_branch(0x00004063), (rs, off) => [ rs, REG_ZERO, off ]));
+    words.set('bgtz',   process_pseudo('ro', assemble_branch(0x00004063), (rs, off) => [ REG_ZERO, rs, off ]));
+
+    words.set('bgt',    process_pseudo('rro', assemble_branch(0x00004063), (rs, rt, off) => [ rt, rs, off ]));
+    words.set('ble',    process_pseudo('rro', assemble_branch(0x00005063), (rs, rt, off) => [ rt, rs, off ]));
+    words.set('bgtu',   process_pseudo('rro', assemble_branch(0x00006063), (rs, rt, off) => [ rt, rs, off ]));
+    words.set('bleu',   process_pseudo('rro', assemble_branch(0x00007063), (rs, rt, off) => [ rt, rs, off ]));
+
+    words.set('flw',       process_load_store('fm', 'for', 'pcrel_i', assemble_rm_itype(0x00002007)));
+    words.set('fsw',       process_load_store('fm', 'for', 'pcrel_s', assemble_rm_stype(0x00002027)));
+
+    words.set('fmadd.s',   process_fp('ffff', assemble_fp(0x00000043)));
+    words.set('fmsub.s',   process_fp('ffff', assemble_fp(0x00000047)));
+    words.set('fnmsub.s',  process_fp('ffff', assemble_fp(0x0000004b)));
+    words.set('fnmadd.s',  process_fp('ffff', assemble_fp(0x0000004f)));
+
+    words.set('fadd.s',    process_fp('fff', assemble_fp(0x00000053)));
+    words.set('fsub.s',    process_fp('fff', assemble_fp(0x08000053)));
+    words.set('fmul.s',    process_fp('fff', assemble_fp(0x10000053)));
+    words.set('fdiv.s',    process_fp('fff', assemble_fp(0x18000053)));
+    words.set('fsqrt.s',   process_fp('ff', assemble_fp(0x58000053)));
+
+    words.set('fsgnj.s',   process_instruction('fff', assemble_fp(0x20000053)));
+    words.set('fsgnjn.s',  process_instruction('fff', assemble_fp(0x20001053)));
+    words.set('fsgnjx.s',  process_instruction('fff', assemble_fp(0x20002053)));
+    words.set('fmin.s',    process_instruction('fff', assemble_fp(0x28000053)));
+    words.set('fmax.s',    process_instruction('fff', assemble_fp(0x28001053)));
+
+    words.set('fcvt.w.s',  process_fp('rf', assemble_fp(0xc0000053)));
+    words.set('fcvt.wu.s', process_fp('rf', assemble_fp(0xc0100053)));
+    words.set('fcvt.s.w',  process_fp('fr', assemble_fp(0xd0000053)));
+    words.set('fcvt.s.wu', process_fp('fr', assemble_fp(0xd0100053)));
+
+    words.set('fmv.x.w',   process_instruction('rf', assemble_fp(0xe0000053)));
+    words.set('fmv.x.s',   process_instruction('rf', assemble_fp(0xe0000053)));
+    words.set('fmv.w.x',   process_instruction('fr', assemble_fp(0xf0000053)));
+    words.set('fmv.s.x',   process_instruction('fr', assemble_fp(0xf0000053)));
+    words.set('fclass.s',  process_instruction('rf', assemble_fp(0xe0001053)));
+
+    words.set('feq.s',     process_instruction('rff', assemble_fp(0xa0002053)));
+    words.set('flt.s',     process_instruction('rff', assemble_fp(0xa0001053)));
+    words.set('fle.s',     process_instruction('rff', assemble_fp(0xa0000053)));
+
+    // fmv.s, fneg.s and fabs.s are sign injections with rs2 = rs1
+    const fsgnj_pseudo = (base) => (parsed, args) => assemble_fp(base)({
+        type: 'instruction',
+        length: 4,
+        data: {
+            type: 'multiple',
+            values: [ ... parsed.data.values, parsed.data.values[1] ]
+        }
+    }, args);
+
+    words.set('fmv.s',     process_instruction('ff', fsgnj_pseudo(0x20000053)));
+    words.set('fneg.s',    process_instruction('ff', fsgnj_pseudo(0x20001053)));
+    words.set('fabs.s',    process_instruction('ff', fsgnj_pseudo(0x20002053)));
+
+    words.set('frcsr',     process_instruction('r', assemble_fp(0x00302073)));
+    words.set('frrm',      process_instruction('r', assemble_fp(0x00202073)));
+    words.set('frflags',   process_instruction('r', assemble_fp(0x00102073)));
+    words.set('fscsr',     process_fcsr_swap(0x00301073));
+    words.set('fsrm',      process_fcsr_swap(0x00201073));
+    words.set('fsflags',   process_fcsr_swap(0x00101073));
+
+    const AMO = [
+        [ 'lr.w',      0b00010, 'rm' ],
+        [ 'sc.w',      0b00011, 'rrm' ],
+        [ 'amoswap.w', 0b00001, 'rrm' ],
+        [ 'amoadd.w',  0b00000, 'rrm' ],
+        [ 'amoxor.w',  0b00100, 'rrm' ],
+        [ 'amoand.w',  0b01100, 'rrm' ],
+        [ 'amoor.w',   0b01000, 'rrm' ],
+        [ 'amomin.w',  0b10000, 'rrm' ],
+        [ 'amomax.w',  0b10100, 'rrm' ],
+        [ 'amominu.w', 0b11000, 'rrm' ],
+        [ 'amomaxu.w', 0b11100, 'rrm' ],
+    ];
+
+    // Each one also comes with .aq, .rl and .aqrl ordering suffixes
+    const ORDERING = [ [ '', 0b00 ], [ '.aq', 0b10 ], [ '.rl', 0b01 ], [ '.aqrl', 0b11 ] ];
+
+    for (const [ name, funct5, types ] of AMO) {
+        for (const [ suffix, aqrl ] of ORDERING) {
+            const base = 0x0000202f | (funct5 << 27) | (aqrl << 25);
+            words.set(name + suffix, process_instruction(types, assemble_amo(base)));
+        }
+    }
+
     words.set('lui', process_instruction('ro', (parsed, { evaluate, view, offset }) => {
         const rd = parsed.data.values[0].register;
-        const res = evaluate(parsed.data.values[1]);
+        const res = evaluate(parsed.data.values[1], 'U');
         if (res.type === 'error') {
             return res;
         }
@@ -716,7 +2609,7 @@ const WORDS = (() => {
 
     words.set('auipc', process_instruction('ro', (parsed, { evaluate, view, offset }) => {
         const rd = parsed.data.values[0].register;
-        const res = evaluate(parsed.data.values[1]);
+        const res = evaluate(parsed.data.values[1], 'U');
         if (res.type === 'error') {
             return res;
         }
@@ -774,50 +2667,60 @@ const WORDS = (() => {
         assemble: assemble_jal
     });
 
+    // jalr rs, jalr rd, rs, jalr rd, rs, imm, jalr imm(rs) and jalr rd, imm(rs)
     words.set('jalr', {
         parse(tokens, p) {
-            const saved = p.i;
-            const res_r = parse_types('r', tokens, p);
-            if (res_r.type !== 'error') {
+            return parse_forms([
+                [ 'r', (rs) => [ REG_RA, memory(rs) ] ],
+                [ 'rr', (rd, rs) => [ rd, memory(rs) ] ],
+                [ 'rro', (rd, rs, imm) => [ rd, memory(rs, imm) ] ],
+                [ 'm', (mem) => [ REG_RA, mem ] ],
+                [ 'rm', (rd, mem) => [ rd, mem ] ],
+            ], tokens, p);
+        },
+        assemble: assemble_rm_itype(0x00000067)
+    });
+
+    words.set('fence', {
+        parse(tokens, p) {
+            // Without sets it orders everything, like fence iorw, iorw
+            if (p.i >= tokens.length || tokens[p.i] === '#') {
                 return {
                     type: 'instruction',
                     length: 4,
-                    data: {
-                        type: 'multiple',
-                        values: [
-                            {
-                                type: 'register',
-                                register: 1 // ra
-                            },
-                            {
-                                type: 'memory',
-                                offset: {
-                                    type: 'number',
-                                    value: 0
-                                },
-                                register: res_r.values[0]
-                            }
-                        ]
-                    }
+                    data: { type: 'multiple', values: [] },
+                    pred: 0b1111, succ: 0b1111
+                };
+            }
+            const pred = parse_fence_set(tokens, p);
+            if (pred.type === 'error') {
+                return pred;
+            } else if (tokens[p.i] !== ',') {
+                return {
+                    type: 'error',
+                    message: `Expecting comma, got ${tokens[p.i] ?? 'end of line'}`
                 };
-            } else {
-                p.i = saved;
-                const res = parse_types('rm', tokens, p);
-                if (res.type === 'error') {
-                    return res;
-                } else {
-                    return {
-                        type: 'instruction',
-                        length: 4,
-                        data: res
-                    };
-                }
             }
+            p.i ++;
+            const succ = parse_fence_set(tokens, p);
+            if (succ.type === 'error') {
+                return succ;
+            }
+            return expect_end(tokens, p, {
+                type: 'instruction',
+                length: 4,
+                data: { type: 'multiple', values: [] },
+                pred: pred.value, succ: succ.value
+            });
         },
-        assemble: assemble_rm_itype(0x00000067)
+        assemble(parsed, { view, offset }) {
+            const insn = 0x0000000f | (parsed.pred << 24) | (parsed.succ << 20);
+            view.setUint32(offset, insn, /* littleEndian */ true);
+            return { type: 'ok' };
+        }
     });
-
-    words.set('fence', process_instruction('', assemble_nullary(0x0ff0000f)));
+    words.set('fence.tso', process_instruction('', assemble_nullary(0x8330000f)));
+    words.set('fence.i', process_instruction('', assemble_nullary(0x0000100f)));
     words.set('ecall', process_instruction('', assemble_nullary(0x00000073)));
     words.set('ebreak', process_instruction('', assemble_nullary(0x00100073)));
 
@@ -858,23 +2761,50 @@ const WORDS = (() => {
         }, args)
     ));
 
-    words.set('li', process_instruction('ro', (parsed, args) =>
-        assemble_rri_itype(0x00000013)({
-            type: 'instruction',
-            length: 4,
-            data: {
-                type: 'multiple',
-                values: [
-                    parsed.data.values[0],
-                    {
-                        type: 'register',
-                        register: 0
-                    },
-                    parsed.data.values[1]
-                ]
+    // Constants that fit addi or lui take one instruction, others and
+    // symbols take lui and addi, decided in the first pass
+    words.set('li', {
+        parse(tokens, p) {
+            const data = parse_types('ro', tokens, p);
+            if (data.type === 'error') {
+                return data;
             }
-        }, args)
-    ));
+            const imm = const_value(data.values[1]);
+            const single = imm.type === 'ok'
+                && (fits(imm.value | 0, -0x800, 0x800, 1) || (imm.value & 0xfff) === 0);
+            return {
+                type: 'instruction',
+                length: single ? 4 : 8,
+                data
+            };
+        },
+        assemble(parsed, { evaluate, view, offset }) {
+            const rd = parsed.data.values[0].register;
+            const res = evaluate(parsed.data.values[1], 'abs_i');
+            if (res.type === 'error') {
+                return res;
+            } else if (res.value < -0x80000000 || res.value > 0xffffffff) {
+                return {
+                    type: 'error',
+                    message: `Immediate value ${res.value} out of range`
+                };
+            }
+            const low = (res.value << 20) >> 20;
+            const high = ((res.value - low) >>> 12) & 0xfffff;
+            const lui = 0x00000037 | (rd << 7) | (high << 12);
+            if (parsed.length === 4 && low === (res.value | 0)) {
+                const addi = 0x00000013 | (rd << 7) | ((low & 0xfff) << 20);
+                view.setUint32(offset, addi, /* littleEndian */ true);
+            } else if (parsed.length === 4) {
+                view.setUint32(offset, lui, /* littleEndian */ true);
+            } else {
+                const addi = 0x00000013 | (rd << 7) | (rd << 15) | ((low & 0xfff) << 20);
+                view.setUint32(offset, lui, /* littleEndian */ true);
+                view.setUint32(offset + 4, addi, /* littleEndian */ true);
+            }
+            return { type: 'ok' };
+        }
+    });
 
     words.set('la', {
         parse(tokens, p) {
@@ -891,7 +2821,7 @@ const WORDS = (() => {
         },
         assemble(parsed, { evaluate, view, offset, pc }) {
             const rd = parsed.data.values[0].register;
-            const res = evaluate(parsed.data.values[1]);
+            const res = evaluate(parsed.data.values[1], 'pcrel_i');
             if (res.type === 'error') {
                 return res;
             }
@@ -907,10 +2837,10 @@ const WORDS = (() => {
             return { type: 'ok' };
         }
     });
+    words.set('lla', words.get('la'));
 
-    // This is really similar to la, but I don't feel like generalizing from
-    // just two usages... Welp...
-    words.set('call', {
+    // call goes through ra, tail through t1 without linking
+    const process_far_jump = (link, temp) => ({
         parse(tokens, p) {
             const data = parse_types('o', tokens, p);
             if (data.type === 'error') {
@@ -923,298 +2853,1252 @@ const WORDS = (() => {
                 data
             };
         },
-        assemble(parsed, { evaluate, view, offset, pc }) {
-            const res = evaluate(parsed.data.values[0]);
+        assemble(parsed, args) {
+            const res = args.evaluate(parsed.data.values[0], 'call');
             if (res.type === 'error') {
                 return res;
             }
-            const { value } = res;
-            const rel = (value - pc) >>> 0;
-            const high = (rel >>> 12) + ((rel & 0x800) !== 0);
-
-            const ra = 1;
-            const auipc = 0x00000017 | (ra << 7) | (high << 12);
-            const jalr = 0x00000067 | (ra << 7) | (ra << 15) | ((rel & 0xfff) << 20);
-
-            view.setUint32(offset, auipc, /* littleEndian */ true);
-            view.setUint32(offset + 4, jalr, /* littleEndian */ true);
-            return { type: 'ok' };
+            return assemble_pcrel_pair(temp, res.value, (mem, at) =>
+                assemble_rm_itype(0x00000067)(with_operands([ link, mem ]), at), args);
         }
     });
+    words.set('call', process_far_jump(REG_RA, REG_RA));
+    words.set('tail', process_far_jump(REG_ZERO, REG_T1));
+
+    // jr rs, jr rs, imm and jr imm(rs)
+    words.set('jr', {
+        parse(tokens, p) {
+            return parse_forms([
+                [ 'r', (rs) => [ REG_ZERO, memory(rs) ] ],
+                [ 'ro', (rs, imm) => [ REG_ZERO, memory(rs, imm) ] ],
+                [ 'm', (mem) => [ REG_ZERO, mem ] ],
+            ], tokens, p);
+        },
+        assemble: assemble_rm_itype(0x00000067)
+    });
+
+    words.set('csrrw',  process_instruction('rcr', assemble_csr_r(0x00001073)));
+    words.set('csrrs',  process_instruction('rcr', assemble_csr_r(0x00002073)));
+    words.set('csrrc',  process_instruction('rcr', assemble_csr_r(0x00003073)));
+    words.set('csrrwi', process_instruction('rco', assemble_csr_i(0x00005073)));
+    words.set('csrrsi', process_instruction('rco', assemble_csr_i(0x00006073)));
+    words.set('csrrci', process_instruction('rco', assemble_csr_i(0x00007073)));
+
+    // csrrw zero, cycle, zero
+    words.set('unimp', process_instruction('', assemble_nullary(0xc0001073)));
+
+    words.set('csrw',  process_instruction('cr', (parsed, args) =>
+        assemble_csr_r(0x00001073)(csr_pseudo(parsed), args)
+    ));
+    words.set('csrs',  process_instruction('cr', (parsed, args) =>
+        assemble_csr_r(0x00002073)(csr_pseudo(parsed), args)
+    ));
+    words.set('csrc',  process_instruction('cr', (parsed, args) =>
+        assemble_csr_r(0x00003073)(csr_pseudo(parsed), args)
+    ));
+    words.set('csrwi', process_instruction('co', (parsed, args) =>
+        assemble_csr_i(0x00005073)(csr_pseudo(parsed), args)
+    ));
+    words.set('csrsi', process_instruction('co', (parsed, args) =>
+        assemble_csr_i(0x00006073)(csr_pseudo(parsed), args)
+    ));
+    words.set('csrci', process_instruction('co', (parsed, args) =>
+        assemble_csr_i(0x00007073)(csr_pseudo(parsed), args)
+    ));
 
-    words.set('jr', process_instruction('r', (parsed, args) =>
-        assemble_rm_itype(0x00000067)({
+    for (const name of [ 'cycle', 'time', 'instret', 'cycleh', 'timeh', 'instreth' ]) {
+        words.set(`rd${name}`, process_pseudo('r', assemble_csr_r(0x00002073), (rd) =>
+            [ rd, { type: 'csr', csr: CSR.get(name) }, REG_ZERO ]));
+    }
+
+    words.set('csrr',  process_instruction('rc', (parsed, args) =>
+        assemble_csr_r(0x00002073)({
             type: 'instruction',
             length: 4,
             data: {
                 type: 'multiple',
                 values: [
+                    ... parsed.data.values,
                     {
                         type: 'register',
                         register: 0 // zero
-                    },
-                    {
-                        type: 'memory',
-                        offset: {
-                            type: 'number',
-                            value: 0
-                        },
-                        register: parsed.data.values[0]
                     }
                 ]
             }
         }, args)
     ));
 
-    words.set('csrrw',  process_instruction('rcr', assemble_csr_r(0x00001073)));
-    words.set('csrrs',  process_instruction('rcr', assemble_csr_r(0x00002073)));
-    words.set('csrrc',  process_instruction('rcr', assemble_csr_r(0x00003073)));
-    words.set('csrrwi', process_instruction('rco', assemble_csr_i(0x00005073)));
-    words.set('csrrsi', process_instruction('rco', assemble_csr_i(0x00006073)));
-    words.set('csrrci', process_instruction('rco', assemble_csr_i(0x00007073)));
+    words.set('mret', process_instruction('', assemble_nullary(0x30200073)));
+    words.set('sret', process_instruction('', assemble_nullary(0x10200073)));
+    words.set('wfi',  process_instruction('', assemble_nullary(0x10500073)));
+
+    words.set('sfence.vma', {
+        parse(tokens, p) {
+            // sfence.vma, sfence.vma rs1 and sfence.vma rs1, rs2
+            for (const types of [ '', 'r', 'rr' ]) {
+                const saved = p.i;
+                const res = parse_types(types, tokens, p);
+                if (res.type !== 'error') {
+                    return {
+                        type: 'instruction',
+                        length: 4,
+                        data: res
+                    };
+                }
+                p.i = saved;
+            }
+            return parse_types('rr', tokens, p);
+        },
+        assemble(parsed, { view, offset }) {
+            const [ rs1 = 0, rs2 = 0 ] = parsed.data.values.map(v => v.register);
+            const insn = 0x12000073 | (rs1 << 15) | (rs2 << 20);
+            view.setUint32(offset, insn, /* littleEndian */ true);
+            return { type: 'ok' };
+        }
+    });
+
+    words.set('.option', process_option());
+    words.set('.equ', process_equ());
+    words.set('.set', process_equ());
+    words.set('.error', process_message('error'));
+    words.set('.warning', process_message('warning'));
+
+    words.set('c.addi4spn', process_compressed('rro', (pc, rd, rs1, imm) =>
+        (rs1 === 2) ? encode_c_addi4spn(rd, imm) : null));
+    words.set('c.lw',       process_compressed('rm', (pc, ... args) => encode_c_ls(0b010)(... args)));
+    words.set('c.sw',       process_compressed('rm', (pc, ... args) => encode_c_ls(0b110)(... args)));
+    words.set('c.lwsp',     process_compressed('rm', (pc, ... args) => encode_c_lwsp(0b010)(... args)));
+    words.set('c.swsp',     process_compressed('rm', (pc, ... args) => encode_c_swsp(0b110)(... args)));
+    words.set('c.flw',      process_compressed('fm', (pc, ... args) => encode_c_ls(0b011)(... args)));
+    words.set('c.fsw',      process_compressed('fm', (pc, ... args) => encode_c_ls(0b111)(... args)));
+    words.set('c.flwsp',    process_compressed('fm', (pc, ... args) => encode_c_lwsp(0b011)(... args)));
+    words.set('c.fswsp',    process_compressed('fm', (pc, ... args) => encode_c_swsp(0b111)(... args)));
+    words.set('c.nop',      process_compressed('', () => C_NOP));
+    words.set('c.addi',     process_compressed('ro', (pc, rd, imm) => encode_c_addi(rd, imm)));
+    words.set('c.li',       process_compressed('ro', (pc, rd, imm) => encode_c_li(rd, imm)));
+    words.set('c.lui',      process_compressed('ro', (pc, rd, imm) => encode_c_lui(rd, imm)));
+    words.set('c.addi16sp', process_compressed('ro', (pc, rd, imm) =>
+        (rd === 2) ? encode_c_addi16sp(imm) : null));
+    words.set('c.srli',     process_compressed('ro', (pc, rd, shamt) => encode_c_shift(0b00)(rd, shamt)));
+    words.set('c.srai',     process_compressed('ro', (pc, rd, shamt) => encode_c_shift(0b01)(rd, shamt)));
+    words.set('c.andi',     process_compressed('ro', (pc, rd, imm) => encode_c_andi(rd, imm)));
+    words.set('c.slli',     process_compressed('ro', (pc, rd, shamt) => encode_c_slli(rd, shamt)));
+    words.set('c.sub',      process_compressed('rr', (pc, rd, rs2) => encode_c_alu(0b00)(rd, rs2)));
+    words.set('c.xor',      process_compressed('rr', (pc, rd, rs2) => encode_c_alu(0b01)(rd, rs2)));
+    words.set('c.or',       process_compressed('rr', (pc, rd, rs2) => encode_c_alu(0b10)(rd, rs2)));
+    words.set('c.and',      process_compressed('rr', (pc, rd, rs2) => encode_c_alu(0b11)(rd, rs2)));
+    words.set('c.mv',       process_compressed('rr', (pc, rd, rs2) => encode_c_mv(rd, rs2)));
+    words.set('c.add',      process_compressed('rr', (pc, rd, rs2) => encode_c_add(rd, rs2)));
+    words.set('c.jr',       process_compressed('r', (pc, rs1) => encode_c_jr(rs1)));
+    words.set('c.jalr',     process_compressed('r', (pc, rs1) => encode_c_jalr(rs1)));
+    words.set('c.ebreak',   process_compressed('', () => C_EBREAK));
+    words.set('c.j',        process_compressed('o', (pc, target) => encode_c_jump(0b101)(target - pc)));
+    words.set('c.jal',      process_compressed('o', (pc, target) => encode_c_jump(0b001)(target - pc)));
+    words.set('c.beqz',     process_compressed('ro', (pc, rs1, target) => encode_c_branch(0b110)(rs1, target - pc)));
+    words.set('c.bnez',     process_compressed('ro', (pc, rs1, target) => encode_c_branch(0b111)(rs1, target - pc)));
+
+    return words;
+})();
+
+// Macros and repetition blocks are expanded while assembling, so .rept
+// counts can use symbols. Each source line is { text, lineno, chain } where
+// lineno is the line in the original text and chain lists the expansions
+// ({ name, lineno } of .macro invocations, .rept and .irp) it came from.
+
+const CONDITIONALS = [ '.if', '.ifdef', '.ifndef', '.elseif', '.else', '.endif' ];
+
+// Parses predefined symbols like `SOLUTION DEBUG=2, BASE=0x1000` into a map
+// for assemble_riscv. Symbols without a value are 1.
+export function parse_defines(text) {
+    const defines = new Map();
+    for (const part of text.split(/[\s,]+/).filter((part) => part)) {
+        const [ name, value = '1' ] = part.split('=', 2);
+        if (! /^[A-Za-z_.$][\w.$]*$/.test(name)) {
+            return {
+                type: 'error',
+                message: `Invalid symbol name ${name}`
+            };
+        }
+        const p = { i: 0, loc_counter: new Map(), equ: new Map() };
+        const tokens = tokenize(value);
+        const expr = parse_expression(tokens, p);
+        const res = expr.type === 'error' ? expr : const_value(expr);
+        if (res.type === 'error' || p.i < tokens.length) {
+            return {
+                type: 'error',
+                message: `Invalid value for ${name}: ${value}`
+            };
+        }
+        defines.set(name, res.value);
+    }
+    return { type: 'ok', defines };
+}
+
+const MACRO_DIRECTIVES = [ '.endm', '.endr', '.exitm', '.purgem' ];
+
+const BLOCK_ENDS = new Map([
+    [ '.macro', '.endm' ],
+    [ '.rept', '.endr' ],
+    [ '.irp', '.endr' ],
+    [ '.irpc', '.endr' ],
+]);
+
+// Macros deeper than this are assumed to recurse forever
+const MAX_EXPANSION_DEPTH = 100;
+
+function tokenize(line) {
+    return line.split(REGEX_TOKENIZE).filter((token) => token);
+}
+
+// Index of the first char in text that isn't inside a string or character
+// literal, or -1
+function find_outside_quotes(text, char) {
+    let quote = null;
+    for (let i = 0; i < text.length; i ++) {
+        if (quote !== null && text[i] === '\\') {
+            i ++;
+        } else if (quote !== null) {
+            quote = text[i] === quote ? null : quote;
+        } else if (text[i] === '"' || text[i] === "'") {
+            quote = text[i];
+        } else if (text[i] === char) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Splits a line into its optional label, its first word and the text after
+// that word without comments
+function split_line(text) {
+    const tokens = tokenize(text.trim());
+    let rest = text.trim();
+    let label = null;
+    if (tokens.length >= 2 && tokens[1] === ':') {
+        label = tokens[0];
+        rest = rest.slice(rest.indexOf(':') + 1).trimStart();
+    }
+    const word = tokens[label === null ? 0 : 2] ?? null;
+    rest = rest.slice(word?.length ?? 0);
+    const comment = find_outside_quotes(rest, '#');
+    return {
+        label, word,
+        rest: (comment === -1 ? rest : rest.slice(0, comment)).trim()
+    };
+}
+
+// Splits macro arguments at commas outside parentheses and quotes
+function split_args(text) {
+    if (text.trim() === '') {
+        return [];
+    }
+    const args = [];
+    let depth = 0, start = 0, quote = null;
+    for (let i = 0; i < text.length; i ++) {
+        if (quote !== null && text[i] === '\\') {
+            i ++;
+        } else if (quote !== null) {
+            quote = text[i] === quote ? null : quote;
+        } else if (text[i] === '"' || text[i] === "'") {
+            quote = text[i];
+        } else if (text[i] === '(') {
+            depth ++;
+        } else if (text[i] === ')') {
+            depth --;
+        } else if (text[i] === ',' && depth === 0) {
+            args.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    args.push(text.slice(start).trim());
+    return args;
+}
+
+// Collects the lines after lines[start] up to its matching end directive.
+// Returns { type: 'ok', body, end } with end the index after it.
+function collect_block(lines, start, directive) {
+    const end_directive = BLOCK_ENDS.get(directive);
+    let depth = 1;
+    for (let i = start + 1; i < lines.length; i ++) {
+        const { word } = split_line(lines[i].text);
+        if (BLOCK_ENDS.get(word) === end_directive) {
+            depth ++;
+        } else if (word === end_directive) {
+            depth --;
+            if (depth === 0) {
+                return { type: 'ok', body: lines.slice(start + 1, i), end: i + 1 };
+            }
+        }
+    }
+    return {
+        type: 'error',
+        message: `Missing ${end_directive} for ${directive}`
+    };
+}
+
+// Parses `name param, param=default, param:req, param:vararg`
+function parse_macro_header(text) {
+    const name = text.split(/[\s,]+/)[0];
+    const params_text = text.slice(name.length).replace(/^[\s,]+/, '');
+    if (! /^[A-Za-z_.$][\w.$]*$/.test(name)) {
+        return {
+            type: 'error',
+            message: `Invalid macro name ${name || 'end of line'}`
+        };
+    }
+
+    const params = [];
+    const parts = params_text === '' ? []
+        : params_text.includes(',') ? params_text.split(',') : params_text.split(/\s+/);
+    for (const part of parts) {
+        const match = /^\s*([A-Za-z_]\w*)(?::(req|vararg))?\s*(?:=\s*(.*?))?\s*$/.exec(part);
+        if (match === null) {
+            return {
+                type: 'error',
+                message: `Invalid macro parameter ${part.trim()}`
+            };
+        }
+        params.push({ name: match[1], qualifier: match[2] ?? null, value: match[3] ?? '' });
+    }
+
+    if (params.slice(0, -1).some((param) => param.qualifier === 'vararg')) {
+        return {
+            type: 'error',
+            message: 'Only the last macro parameter can be :vararg'
+        };
+    }
+
+    return {
+        type: 'ok',
+        name, params
+    };
+}
+
+// Matches invocation arguments to parameters, positionally or as name=value
+function bind_macro_args(macro, args) {
+    const values = new Map(macro.params.map((param) => [ param.name, param.value ]));
+    const given = new Set();
+    let position = 0;
+    for (let i = 0; i < args.length; i ++) {
+        const keyword = /^([A-Za-z_]\w*)\s*=(?!=)\s*(.*)$/.exec(args[i]);
+        if (keyword !== null && values.has(keyword[1])) {
+            values.set(keyword[1], keyword[2]);
+            given.add(keyword[1]);
+        } else if (position < macro.params.length) {
+            const param = macro.params[position ++];
+            if (param.qualifier === 'vararg') {
+                values.set(param.name, args.slice(i).join(', '));
+                given.add(param.name);
+                break;
+            }
+            values.set(param.name, args[i]);
+            given.add(param.name);
+        } else {
+            return {
+                type: 'error',
+                message: `Too many arguments for macro ${macro.name}`
+            };
+        }
+    }
+
+    for (const param of macro.params) {
+        if (param.qualifier === 'req' && ! given.has(param.name)) {
+            return {
+                type: 'error',
+                message: `Missing value for required parameter ${param.name} of macro ${macro.name}`
+            };
+        }
+    }
+
+    return { type: 'ok', values };
+}
+
+// Replaces \name with its value, \@ with the expansion counter and removes
+// the \() separators
+function substitute(text, values, counter) {
+    return text.replace(/\\(\(\)|@|\w+)/g, (match, name) =>
+        name === '()' ? ''
+        : (name === '@' && counter !== null) ? String(counter)
+        : values.has(name) ? values.get(name)
+        : match);
+}
+
+// Describes where an expanded line came from, innermost expansion first.
+// Runaway recursion only shows the ends of the chain.
+function format_chain(chain) {
+    const frames = chain.slice().reverse().map(({ name, lineno }) => ` (in ${name} at line ${lineno})`);
+    if (frames.length > 4) {
+        frames.splice(3, frames.length - 4, ` (... ${frames.length - 4} more)`);
+    }
+    return frames.join('');
+}
+
+// defines maps names of predefined symbols to their values, layout places
+// sections as described at layout_sections, starting from origin. With
+// object, the result is a relocatable object for link_objects in linker.js
+// instead of an image: { type: 'ok', object: { sections, symbols,
+// relocations, rvc }, lineMap, dump, warnings }, where lineMap maps section
+// names to maps from offsets of instructions to their lines. rvc, also in
+// images, tells if instructions were assembled with compressed ones enabled.
+export function assemble_riscv(text, origin, { defines = new Map(), layout = DEFAULT_LAYOUT, object = false } = {}) {
+    // Sections in order of appearance, each with its own location counter.
+    // Labels and chunks are { section, offset } until sections are placed.
+    const sections = new Map();
+    function enter_section(name, lineno, flags = null, nobits = null) {
+        if (! sections.has(name)) {
+            const defaults = section_defaults(name);
+            sections.set(name, {
+                name,
+                lineno,
+                flags: flags ?? defaults.flags,
+                nobits: nobits ?? defaults.nobits,
+                size: 0,
+                align: 1,
+                address: 0
+            });
+        }
+        return sections.get(name);
+    }
+    let section = enter_section('.text', 1);
+
+    const label = new Map();
+    const chunk_list = [];
+    const loc = new Map();
+    const loc_counter = new Map();
+    // Symbols from .equ and .set, each with its list of definitions
+    const equ = new Map();
+    for (const [name, value] of defines) {
+        equ.set(name, [ { expr: { type: 'number', value }, lineno: 0, chain: [], value } ]);
+    }
+    const errors = [];
+    const warnings = [];
+
+    const options = { rvc: false, pic: false, relax: true };
+    let rvc = false;
+    const option_stack = [];
+    // Bindings, types, sizes and common allocations of symbols by name
+    const symbol_info = new Map();
+
+    const macros = new Map();
+    let macro_counter = 0;
+    const lines = text.split('\n').map((text, i) => ({ text, lineno: i + 1, chain: [] }));
+
+    // Handles the macro directive or invocation word at lines[start]. Returns
+    // { type: 'ok', end, expanded } to continue at lines[end] after inserting
+    // the expanded lines there, or an error with end if a block is skipped.
+    function preprocess(start, word, rest, tokens, p) {
+        const { lineno, chain } = lines[start];
+
+        if (word === '.endm' || word === '.endr') {
+            return {
+                type: 'error',
+                message: `${word} without ${word === '.endm' ? '.macro' : '.rept or .irp'}`
+            };
+        } else if (word === '.exitm') {
+            const frame = chain.findLast((frame) => frame.macro);
+            if (frame === undefined) {
+                return {
+                    type: 'error',
+                    message: '.exitm outside of a macro'
+                };
+            }
+            let end = start + 1;
+            while (end < lines.length && lines[end].chain.includes(frame)) {
+                end ++;
+            }
+            // The skipped lines include the .endif of conditionals opened in
+            // the expansion
+            conditions.length = frame.depth;
+            return { type: 'ok', end, expanded: [] };
+        } else if (word === '.purgem') {
+            if (! macros.delete(rest)) {
+                return {
+                    type: 'error',
+                    message: `Unknown macro ${rest || 'end of line'}`
+                };
+            }
+            return { type: 'ok', end: start + 1, expanded: [] };
+        } else if (chain.length >= MAX_EXPANSION_DEPTH) {
+            return {
+                type: 'error',
+                message: 'Macros nested too deeply'
+            };
+        }
+
+        if (macros.has(word)) {
+            const macro = macros.get(word);
+            const bound = bind_macro_args(macro, split_args(rest));
+            if (bound.type === 'error') {
+                return bound;
+            }
+            // depth is the number of conditionals open outside the expansion
+            const frame = { name: `macro ${word}`, lineno, macro: true, depth: conditions.length };
+            const counter = macro_counter ++;
+            return {
+                type: 'ok',
+                end: start + 1,
+                expanded: macro.body.map((line) => ({
+                    text: substitute(line.text, bound.values, counter),
+                    lineno: line.lineno,
+                    chain: [ ... chain, frame ]
+                }))
+            };
+        }
+
+        const block = collect_block(lines, start, word);
+        if (block.type === 'error') {
+            return block;
+        }
+
+        if (word === '.macro') {
+            const header = parse_macro_header(rest);
+            if (header.type === 'error') {
+                return header;
+            } else if (macros.has(header.name)) {
+                return {
+                    type: 'error',
+                    message: `Macro ${header.name} is already defined`,
+                    end: block.end
+                };
+            }
+            macros.set(header.name, { ... header, body: block.body });
+            return { type: 'ok', end: block.end, expanded: [] };
+        } else if (word === '.rept') {
+            const expr = parse_expression(tokens, p);
+            if (expr.type === 'error') {
+                return expr;
+            } else if (p.i < tokens.length && tokens[p.i] !== '#') {
+                return {
+                    type: 'error',
+                    message: `Expecting end of line, got ${tokens[p.i]}`
+                };
+            }
+            const count = const_value(expr);
+            if (count.type === 'error') {
+                return count;
+            } else if (count.value < 0) {
+                return {
+                    type: 'error',
+                    message: `Negative repeat count ${count.value}`
+                };
+            }
+            const frame = { name: '.rept', lineno };
+            const expanded = [];
+            for (let i = 0; i < count.value; i ++) {
+                for (const line of block.body) {
+                    expanded.push({ text: line.text, lineno: line.lineno, chain: [ ... chain, frame ] });
+                }
+            }
+            return { type: 'ok', end: block.end, expanded };
+        } else {
+            // .irp name, values... and .irpc name, characters
+            const [ name, ... values ] = split_args(rest);
+            if (! /^[A-Za-z_]\w*$/.test(name ?? '')) {
+                return {
+                    type: 'error',
+                    message: `Expecting parameter name, got ${name || 'end of line'}`
+                };
+            }
+            const items = word === '.irp' ? values : [ ... (values[0] ?? '') ];
+            const frame = { name: word, lineno };
+            const expanded = [];
+            for (const item of items) {
+                for (const line of block.body) {
+                    expanded.push({
+                        text: substitute(line.text, new Map([ [ name, item ] ]), null),
+                        lineno: line.lineno,
+                        chain: [ ... chain, frame ]
+                    });
+                }
+            }
+            return { type: 'ok', end: block.end, expanded };
+        }
+    }
+
+    // Enclosing conditionals. taken is set once one of the branches has been
+    // assembled, so later .elseif and .else branches are skipped.
+    const conditions = [];
+
+    // Evaluates the condition of .if, .elseif, .ifdef or .ifndef
+    function condition(word, tokens, p) {
+        if (word === '.ifdef' || word === '.ifndef') {
+            const name = tokens[p.i];
+            if (name === undefined || REGEX_OPERATOR.test(name)) {
+                return {
+                    type: 'error',
+                    message: `Expecting symbol name, got ${name ?? 'end of line'}`
+                };
+            }
+            p.i ++;
+            const defined = label.has(name) || equ.has(name);
+            return { type: 'ok', value: defined === (word === '.ifdef') };
+        }
 
-    // csrrw zero, cycle, zero
-    words.set('unimp', process_instruction('', assemble_nullary(0xc0001073)));
+        const expr = parse_expression(tokens, p);
+        if (expr.type === 'error') {
+            return expr;
+        }
+        // Only what's known in the first pass, so skipped lines take no space
+        const res = const_value(expr);
+        if (res.type === 'error') {
+            return res;
+        }
+        return { type: 'ok', value: res.value !== 0 };
+    }
 
-    words.set('csrw',  process_instruction('cr', (parsed, args) =>
-        assemble_csr_r(0x00001073)(csr_pseudo(parsed), args)
-    ));
-    words.set('csrs',  process_instruction('cr', (parsed, args) =>
-        assemble_csr_r(0x00002073)(csr_pseudo(parsed), args)
-    ));
-    words.set('csrc',  process_instruction('cr', (parsed, args) =>
-        assemble_csr_r(0x00003073)(csr_pseudo(parsed), args)
-    ));
-    words.set('csrwi', process_instruction('co', (parsed, args) =>
-        assemble_csr_i(0x00005073)(csr_pseudo(parsed), args)
-    ));
-    words.set('csrsi', process_instruction('co', (parsed, args) =>
-        assemble_csr_i(0x00006073)(csr_pseudo(parsed), args)
-    ));
-    words.set('csrci', process_instruction('co', (parsed, args) =>
-        assemble_csr_i(0x00007073)(csr_pseudo(parsed), args)
-    ));
+    function conditional(word, tokens, p) {
+        const enclosing = conditions.every((c) => c.active);
+        const top = conditions.at(-1);
+        let res = { type: 'ok', value: false };
 
-    words.set('csrr',  process_instruction('rc', (parsed, args) =>
-        assemble_csr_r(0x00002073)({
-            type: 'instruction',
-            length: 4,
-            data: {
-                type: 'multiple',
-                values: [
-                    ... parsed.data.values,
-                    {
-                        type: 'register',
-                        register: 0 // zero
-                    }
-                ]
+        if (word === '.if' || word === '.ifdef' || word === '.ifndef') {
+            // Conditions in skipped lines aren't evaluated
+            if (enclosing) {
+                res = condition(word, tokens, p);
+            } else {
+                p.i = tokens.length;
             }
-        }, args)
-    ));
+            const value = res.type === 'ok' && res.value;
+            conditions.push({ word, lineno: p.lineno, active: enclosing && value, taken: value || res.type === 'error', in_else: false });
+        } else if (top === undefined) {
+            return {
+                type: 'error',
+                message: `${word} without .if`
+            };
+        } else if (word === '.endif') {
+            conditions.pop();
+        } else if (top.in_else) {
+            return {
+                type: 'error',
+                message: `${word} after .else`
+            };
+        } else {
+            const outer = conditions.slice(0, -1).every((c) => c.active);
+            if (word === '.else') {
+                top.in_else = true;
+                res.value = ! top.taken;
+            } else if (outer && ! top.taken) {
+                res = condition(word, tokens, p);
+            } else {
+                p.i = tokens.length;
+            }
+            const value = res.type === 'ok' && res.value;
+            top.active = outer && value;
+            top.taken ||= value || res.type === 'error';
+        }
 
-    words.set('mret', process_instruction('', assemble_nullary(0x30200073)));
+        if (res.type === 'error') {
+            return res;
+        } else if (p.i < tokens.length && tokens[p.i] !== '#') {
+            return {
+                type: 'error',
+                message: `Expecting end of line, got ${tokens[p.i]}`
+            };
+        } else {
+            return res;
+        }
+    }
 
-    return words;
-})();
+    // Defines label l at the location counter of the current section
+    function define_label(l, lineno) {
+        if (/^\d+$/.test(l)) {
+            // local label
+            if (! loc_counter.has(l))
+                loc_counter.set(l, 0);
 
-export function assemble_riscv(text, origin) {
-    let pc = origin;
-    const label = new Map();
-    const chunks = new Map();
-    const loc = new Map();
-    const loc_counter = new Map();
-    const errors = [];
+            const suffix = loc_counter.get(l);
+            loc_counter.set(l, suffix + 1)
+            loc.set(`${l}.${suffix + 1}`, { section, offset: section.size });
+        } else if (equ.has(l)) {
+            errors.push({
+                type: 'error',
+                lineno,
+                message: `Label ${l} is already defined as a symbol`
+            });
+        } else {
+            label.set(l, { section, offset: section.size });
+        }
+    }
 
-    let lineno = 0;
     let noted_misalign = false;
 
-    for (const origLine of text.split('\n')) {
-        lineno ++;
+    for (let index = 0; index < lines.length; ) {
+        const { text: origLine, lineno, chain } = lines[index ++];
         const line = origLine.trim();
         if (line === '') {
             continue;
         }
+        const first_error = errors.length;
+
+        const tokens = tokenize(line);
+        const p = {
+            i: 0, loc_counter, options, option_stack, label, equ, symbol_info,
+            lineno, chain, line, warnings, section, offset: section.size
+        };
+
+        // A label before a conditional is defined if the lines before it are
+        // assembled
+        const labelled = tokens[1] === ':' && CONDITIONALS.includes(tokens[2]);
+        if (labelled || CONDITIONALS.includes(tokens[0])) {
+            if (labelled && conditions.every((c) => c.active)) {
+                define_label(tokens[0], lineno);
+            }
+            p.i += labelled ? 3 : 1;
+            const res = conditional(tokens[p.i - 1], tokens, p);
+            if (res.type === 'error') {
+                errors.push({ lineno, ... res, message: res.message + format_chain(chain) });
+            }
+            continue;
+        } else if (! conditions.every((c) => c.active)) {
+            continue;
+        }
 
-        const tokens = line.split(REGEX_TOKENIZE);
-        const p = { i: 0, loc_counter };
+        // `name = expr` is the same as `.set name, expr`
+        if (tokens.length >= 2 && tokens[1] === '=') {
+            tokens.splice(0, 2, '.set', tokens[0], ',');
+        }
 
         if (p.i + 2 <= tokens.length && tokens[p.i + 1] === ':') {
             const l = tokens[p.i ++]; // Consume label
             p.i++;
-            if (/^\d+$/.test(l)) {
-                // local label
-                if (! loc_counter.has(l))
-                    loc_counter.set(l, 0);
-
-                const suffix = loc_counter.get(l);
-                loc_counter.set(l, suffix + 1)
-                loc.set(`${l}.${suffix + 1}`, pc);
-            } else {
-                label.set(l, pc);
-            }
+            define_label(l, lineno);
         }
 
         if (p.i < tokens.length && tokens[p.i] != '#') {
             // Not empty after optional label
-            if (! WORDS.has(tokens[p.i])) {
+            const word = tokens[p.i];
+            if (BLOCK_ENDS.has(word) || MACRO_DIRECTIVES.includes(word) || macros.has(word)) {
+                p.i ++;
+                const res = preprocess(index - 1, word, split_line(line).rest, tokens, p);
+                if (res.type === 'error') {
+                    errors.push({ lineno, type: 'error', message: res.message });
+                    // Blocks that cannot be used are still skipped
+                    index = res.end ?? index;
+                } else {
+                    lines.splice(res.end, 0, ... res.expanded);
+                    index = res.end;
+                }
+            } else if (! WORDS.has(tokens[p.i])) {
                 errors.push({
                     type: 'error',
                     lineno,
                     message: `Unknown instruction or directive ${tokens[p.i]}`
                 });
             } else {
-                const res = WORDS.get(tokens[p.i]);
+                const name = tokens[p.i];
+                const res = WORDS.get(name);
                 p.i ++;
                 const parsed = res.parse(tokens, p);
                 if (parsed.type === 'error') {
                     errors.push({ lineno, ... parsed });
-                } else {
-                    if (parsed.type === 'instruction' && ! noted_misalign && (pc & 0x3)) {
+                } else if (parsed.compressed && ! options.rvc) {
+                    errors.push({
+                        type: 'error',
+                        lineno,
+                        message: `Compressed instruction ${name} requires .option rvc`
+                    });
+                } else if (parsed.type === 'section') {
+                    section = enter_section(parsed.name, lineno, parsed.flags, parsed.nobits);
+                } else if (section.nobits && parsed.type !== 'directive' && ! parsed.zero) {
+                    errors.push({
+                        type: 'error',
+                        lineno,
+                        message: `Only zero-filled data is allowed in ${section.name}`
+                    });
+                } else if (parsed.type !== 'directive') {
+                    const compressed = options.rvc ? compress(name, parsed) : null;
+                    rvc ||= options.rvc && parsed.type === 'instruction';
+                    // IALIGN is 16 once compressed instructions are enabled
+                    const align_mask = options.rvc ? 0x1 : 0x3;
+                    if (parsed.type === 'instruction' && ! noted_misalign && (section.size & align_mask)) {
                         noted_misalign = true;
                         errors.push({
                             type: 'error',
                             lineno,
-                            message: `Instruction at misaligned address 0x${pc.toString(16)}`
+                            message: `Instruction at misaligned offset 0x${section.size.toString(16)} in ${section.name}`
                         });
                     }
-                    chunks.set(pc, { lineno, parsed, assemble: res.assemble });
-                    pc += parsed.length;
+                    // Listings show expanded lines under the line that started
+                    // the expansion
+                    const source = chain.length ? chain[0].lineno : lineno;
+                    const offset = section.size;
+                    if (compressed !== null) {
+                        chunk_list.push({ section, offset, lineno, source, line, chain, parsed: compressed, assemble: assemble_compressed });
+                    } else {
+                        chunk_list.push({ section, offset, lineno, source, line, chain, parsed, assemble: res.assemble });
+                    }
+                    section.size += (compressed ?? parsed).length;
                 }
             }
         }
+
+        for (const error of errors.slice(first_error)) {
+            error.message += format_chain(chain);
+        }
     }
 
-    const buf = new ArrayBuffer(pc - origin);
-    const view = new DataView(buf);
+    for (const { word, lineno } of conditions) {
+        errors.push({
+            type: 'error',
+            lineno,
+            message: `Missing .endif for ${word}`
+        });
+    }
+
+    // Common symbols not defined elsewhere go at the end of .bss. Objects
+    // leave global ones to the linker.
+    for (const [name, info] of symbol_info) {
+        if (info.common === null || label.has(name) || (object && info.binding !== 'local')) {
+            continue;
+        } else if (equ.has(name)) {
+            errors.push({
+                type: 'error',
+                lineno: info.common.lineno,
+                message: `Common symbol ${name} is already defined as a symbol` + format_chain(info.common.chain)
+            });
+            continue;
+        }
+        const bss = enter_section('.bss', info.common.lineno);
+        const { size, align } = info.common;
+        bss.size = Math.ceil(bss.size / align) * align;
+        bss.align = Math.max(bss.align, align);
+        label.set(name, { section: bss, offset: bss.size });
+        bss.size += size;
+        info.binding ??= 'global';
+    }
+
+    // Objects are laid out like an image at 0, and remember which section
+    // each address is in to know which need relocations
+    if (object) {
+        origin = 0;
+        layout = DEFAULT_LAYOUT;
+    }
+    const placed = layout_sections(sections, origin, layout);
+    if (placed.type === 'error') {
+        errors.push(placed);
+    }
+    const address_of = ({ section, offset }) => section.address + offset;
+    const section_of = new Map();
+    for (const [name, position] of label) {
+        section_of.set(name, position.section);
+        label.set(name, address_of(position));
+    }
+    for (const [name, position] of loc) {
+        section_of.set(`${name}:`, position.section);
+        loc.set(name, address_of(position));
+    }
+    // What an address is relative to, a symbol or else its section
+    const reference = (symbol, section, base) => object ? { symbol, section, base } : true;
+    // Chunks by address, for the listing and %pcrel_lo lookups
+    const chunks = new Map(chunk_list
+        .filter((chunk) => chunk.section.flags.includes('a'))
+        .map((chunk) => [ address_of(chunk), chunk ]));
+
+    // Symbols a linker would define, unless the program has its own
+    const all = [ ... sections.values() ].sort((a, b) => a.address - b.address);
+    for (const [name, value] of linker_symbols(all, origin)) {
+        if (! object && ! label.has(name) && ! equ.has(name)) {
+            label.set(name, value);
+        }
+    }
+
+    for (const section of all) {
+        section.buffer = new ArrayBuffer(section.nobits ? 0 : section.size);
+        section.view = new DataView(section.buffer);
+    }
 
     const pcrel_cache = new Map();
 
-    for (const [pc, chunk] of chunks) {
-        function get_pcrel_at(addr) {
-            if (pcrel_cache.has(addr)) {
-                return pcrel_cache.get(addr);
-            } else if (chunks.has(addr)) {
-                const chunk = chunks.get(addr);
-                if (chunk.parsed.data.values.length === 2
-                    && chunk.parsed.data.values[1].type === 'special'
-                    && chunk.parsed.data.values[1].special === '%pcrel_hi') {
-                    const ref = evaluate(chunk.parsed.data.values[1].inner, addr);
-                    if (ref.type === 'error') {
-                        return null;
-                    }
-                    const rel = ref.value - addr;
-                    pcrel_cache.set(addr, rel);
-                    return rel;
-                } else {
+    function get_pcrel_at(addr) {
+        if (pcrel_cache.has(addr)) {
+            return pcrel_cache.get(addr);
+        } else if (chunks.has(addr)) {
+            const chunk = chunks.get(addr);
+            if (chunk.parsed.data.values.length === 2
+                && chunk.parsed.data.values[1].type === 'special'
+                && chunk.parsed.data.values[1].special === '%pcrel_hi') {
+                const ref = evaluate(chunk.parsed.data.values[1].inner, addr);
+                if (ref.type === 'error') {
                     return null;
                 }
+                const rel = ref.value - addr;
+                pcrel_cache.set(addr, rel);
+                return rel;
             } else {
                 return null;
             }
+        } else {
+            return null;
+        }
+    }
+
+    // Definitions being evaluated, to catch circular ones
+    const resolving = new Set();
+
+    function evaluate_symbol(name, def, pc) {
+        if (resolving.has(def)) {
+            return {
+                type: 'error',
+                message: `Circular definition of ${name}`
+            };
         }
+        resolving.add(def);
+        const res = evaluate(def.expr, pc);
+        resolving.delete(def);
+        return res;
+    }
+
+    function evaluate(expr, pc) {
+        if (expr.type === 'unary' || expr.type === 'binary') {
+            return fold_expression(expr, (leaf) => evaluate(leaf, pc));
+        } else if (expr.type === 'number') {
+            return {
+                type: 'ok',
+                value: expr.value
+            };
+        } else if (expr.type === 'label') {
+            if (label.has(expr.label)) {
+                const section = section_of.get(expr.label);
+                return {
+                    type: 'ok',
+                    value: label.get(expr.label),
+                    relocatable: reference(expr.label, section, label.get(expr.label))
+                };
+            } else if (equ.has(expr.label)) {
+                // The latest definition before the use, or the first one
+                const defs = equ.get(expr.label);
+                return evaluate_symbol(expr.label, defs[Math.max(expr.version, 1) - 1], pc);
+            } else if (object) {
+                // Left for the linker
+                return {
+                    type: 'ok',
+                    value: 0,
+                    relocatable: reference(expr.label, null, 0)
+                };
+            } else if (symbol_info.get(expr.label)?.binding === 'weak') {
+                return {
+                    type: 'ok',
+                    value: 0
+                };
+            } else {
+                return {
+                    type: 'error',
+                    message: `Unknown label ${expr.label}`
+                };
+            }
+        } else if (expr.type === 'here') {
+            const { section } = expr.position;
+            return {
+                type: 'ok',
+                value: address_of(expr.position),
+                relocatable: reference(section.name, section, section.address)
+            };
+        } else if (expr.type === 'loc') {
+            const name = `${expr.base}.${expr.suffix}`;
+            if (loc.has(name)) {
+                const section = section_of.get(`${name}:`);
+                return {
+                    type: 'ok',
+                    value: loc.get(name),
+                    relocatable: reference(section.name, section, section.address)
+                };
+            } else {
+                return {
+                    type: 'error',
+                    message: `Unknown reference to local label ${expr.base} number ${expr.suffix}`
+                };
+            }
+        } else if (expr.type === 'special') {
+            const inner = evaluate(expr.inner, pc);
+            if (inner.type === 'error') {
+                return inner;
+            }
+            const { value } = inner;
 
-        function evaluate(expr, pc) {
-            if (expr.type === 'number') {
+            if (expr.special === '%hi') {
                 return {
                     type: 'ok',
-                    value: expr.value
+                    value: ((value >>> 12) + ((value & 0x800) != 0)) & 0xfffff
                 };
-            } else if (expr.type === 'label') {
-                if (label.has(expr.label)) {
-                    return {
-                        type: 'ok',
-                        value: label.get(expr.label)
-                    };
-                } else {
-                    return {
-                        type: 'error',
-                        message: `Unknown label ${expr.label}`
-                    };
-                }
-            } else if (expr.type === 'loc') {
-                if (loc.has(`${expr.base}.${expr.suffix}`)) {
+            } else if (expr.special === '%lo') {
+                return {
+                    type: 'ok',
+                    value: (value & 0xfff) << 20 >> 20
+                };
+            } else if (expr.special === '%pcrel_hi') {
+                return {
+                    type: 'ok',
+                    value: ((value - pc) >>> 12) + (((value - pc) & 0x800) != 0)
+                };
+            } else if (expr.special === '%pcrel_lo') {
+                const rel = get_pcrel_at(value);
+                if (rel !== null) {
                     return {
                         type: 'ok',
-                        value: loc.get(`${expr.base}.${expr.suffix}`)
+                        value: (rel & 0xfff) << 20 >> 20
                     };
                 } else {
                     return {
                         type: 'error',
-                        message: `Unknown reference to local label ${expr.base} number ${expr.suffix}`
+                        message: 'No corresponding %pcrel_hi found'
                     };
                 }
-            } else if (expr.type === 'special') {
-                const inner = evaluate(expr.inner, pc);
-                if (inner.type === 'error') {
-                    return inner;
-                }
-                const { value } = inner;
+            }
+        }
+    }
 
-                if (expr.special === '%hi') {
-                    return {
-                        type: 'ok',
-                        value: ((value >>> 12) + ((value & 0x800) != 0)) & 0xfffff
-                    };
-                } else if (expr.special === '%lo') {
-                    return {
-                        type: 'ok',
-                        value: (value & 0xfff) << 20 >> 20
-                    };
-                } else if (expr.special === '%pcrel_hi') {
-                    return {
-                        type: 'ok',
-                        value: ((value - pc) >>> 12) + (((value - pc) & 0x800) != 0)
-                    };
-                } else if (expr.special === '%pcrel_lo') {
-                    const rel = get_pcrel_at(value);
-                    if (rel !== null) {
-                        return {
-                            type: 'ok',
-                            value: (rel & 0xfff) << 20 >> 20
-                        };
-                    } else {
-                        return {
-                            type: 'error',
-                            message: 'No corresponding %pcrel_hi found'
-                        };
-                    }
+    const relocations = [];
+
+    // %pcrel_lo relocations refer to a symbol at the auipc, like GCC's
+    // .Lpcrel_hi0 labels, as other linkers expect no addend
+    const pcrel_labels = new Map();
+    const pcrel_label = (section, address) => {
+        if (! pcrel_labels.has(address)) {
+            pcrel_labels.set(address, { name: `.Lpcrel_hi${pcrel_labels.size}`, section });
+        }
+        return { symbol: pcrel_labels.get(address).name, base: address };
+    };
+
+    // Evaluates expr for a field of the kind in FIELD_RELOCATIONS or
+    // SPECIAL_RELOCATIONS of the instruction at pc. In objects, addresses
+    // that aren't known until linking become relocations and the field gets
+    // a value that encodes 0.
+    function evaluate_field(expr, field, chunk, pc) {
+        if (! object) {
+            return evaluate(expr, pc);
+        }
+        const { section } = chunk;
+        const relocate = (type, at, { symbol, base }, value) => relocations.push({
+            section: section.name,
+            offset: at - section.address,
+            type, symbol,
+            addend: value - base
+        });
+
+        if (expr.type === 'special') {
+            const inner = evaluate(expr.inner, pc);
+            if (inner.type === 'error' || ! inner.relocatable) {
+                return evaluate(expr, pc);
+            } else if (expr.special === '%pcrel_hi' && inner.relocatable.section === section) {
+                return evaluate(expr, pc);
+            } else if (expr.special === '%pcrel_lo') {
+                // Points at an auipc, which may not have needed a relocation
+                const hi = chunks.get(inner.value);
+                const target = hi?.parsed.data.values[1]?.special === '%pcrel_hi'
+                    ? evaluate(hi.parsed.data.values[1].inner, inner.value) : null;
+                if (target?.type === 'ok' && target.relocatable?.section === hi.section) {
+                    return evaluate(expr, pc);
                 }
             }
+            const type = SPECIAL_RELOCATIONS.get(expr.special)[field];
+            if (type === undefined) {
+                return {
+                    type: 'error',
+                    message: `Cannot use ${expr.special} of an address here in an object file`
+                };
+            }
+            relocate(type, pc, expr.special === '%pcrel_lo'
+                ? pcrel_label(inner.relocatable.section, inner.value)
+                : inner.relocatable, inner.value);
+            return { type: 'ok', value: 0 };
+        }
+
+        const res = evaluate(expr, pc);
+        if (res.type === 'error' || ! res.relocatable) {
+            return res;
+        }
+        const kind = FIELD_RELOCATIONS.get(field);
+        if (kind?.pcrel && res.relocatable.section === section) {
+            return res;
+        } else if (kind === undefined || kind.types.length === 0) {
+            return {
+                type: 'error',
+                message: `Cannot use the address of ${res.relocatable.symbol} here in an object file`
+            };
+        }
+        const [ first, second ] = kind.types;
+        relocate(first, pc, res.relocatable, res.value);
+        if (second !== undefined && kind.pcrel) {
+            relocate(second, pc + 4, pcrel_label(section, pc), pc);
+        } else if (second !== undefined) {
+            relocate(second, pc + 4, res.relocatable, res.value);
+        }
+        return { type: 'ok', value: kind.pcrel ? pc : 0 };
+    }
+
+    for (const chunk of chunk_list) {
+        // .zero in sections without contents has nothing to write
+        if (chunk.section.nobits) {
+            continue;
         }
+        const pc = address_of(chunk);
         const res = chunk.assemble(chunk.parsed, {
-            evaluate: (expr) => evaluate(expr, pc),
-            view, offset: pc - origin, pc
+            // at is where in the chunk the field is, for relocations
+            evaluate: (expr, field, at = 0) => evaluate_field(expr, field, chunk, pc + at),
+            view: chunk.section.view, offset: chunk.offset, pc
         });
         if (res.type === 'error') {
-            errors.push({ lineno: chunk.lineno, ... res });
+            errors.push({ lineno: chunk.lineno, ... res, message: res.message + format_chain(chunk.chain) });
+        }
+    }
+
+    // Check every definition, even unused ones, and keep the final values
+    const equ_values = new Map();
+    const absolute = new Set();
+    for (const [name, defs] of equ) {
+        for (const def of defs) {
+            const res = evaluate_symbol(name, def, sections_end(all, origin));
+            if (res.type === 'error') {
+                errors.push({ lineno: def.lineno, ... res, message: res.message + format_chain(def.chain) });
+            } else {
+                equ_values.set(name, res.value);
+                if (! res.relocatable) {
+                    absolute.add(name);
+                }
+            }
+        }
+    }
+
+    const sizes = new Map();
+    for (const [name, { size }] of symbol_info) {
+        if (size === null) {
+            continue;
+        }
+        const res = evaluate(size.expr, 0);
+        if (res.type === 'error') {
+            errors.push({ lineno: size.lineno, ... res, message: res.message + format_chain(size.chain) });
+        } else {
+            sizes.set(name, res.value);
+        }
+    }
+
+    // Symbols are section offsets in objects, or else absolute values
+    function object_result(listing) {
+        const hex = (x) => `0x${(x >>> 0).toString(16).padStart(8, '0')}`;
+        const symbols = new Map();
+        const info = (name) => {
+            const { binding = null, type = null } = symbol_info.get(name) ?? {};
+            return { binding: binding ?? 'local', type, size: sizes.get(name) ?? null, common: null };
+        };
+        for (const section of all) {
+            symbols.set(section.name, { section: section.name, value: 0, binding: 'local', type: 'section', size: null, common: null });
+            // Code has to start on an instruction boundary wherever it is linked
+            if (section.flags.includes('x')) {
+                section.align = Math.max(section.align, rvc ? 2 : 4);
+            }
+        }
+        for (const [name, address] of label) {
+            const section = section_of.get(name);
+            symbols.set(name, { ... info(name), section: section.name, value: address - section.address });
+        }
+        for (const [address, { name, section }] of pcrel_labels) {
+            symbols.set(name, { ... info(name), section: section.name, value: address - section.address });
+        }
+        for (const name of absolute) {
+            symbols.set(name, { ... info(name), section: '*ABS*', value: equ_values.get(name) });
+        }
+        for (const [name, { common }] of symbol_info) {
+            if (common !== null && ! symbols.has(name)) {
+                symbols.set(name, { ... info(name), section: null, value: 0, binding: 'global', common: { size: common.size, align: common.align } });
+            }
+        }
+        for (const { symbol } of relocations) {
+            if (! symbols.has(symbol)) {
+                const { binding } = info(symbol);
+                symbols.set(symbol, { ... info(symbol), section: null, value: 0, binding: binding === 'weak' ? 'weak' : 'global' });
+            }
+        }
+
+        const sec = all.map(({ name, size, flags, nobits, align }) =>
+            `# ${name} "${flags}" (${size} bytes${nobits ? ', no contents' : ''}, aligned to ${align})`);
+        const sym = [...symbols].filter(([, { type }]) => type !== 'section').map(([name, { section, value, binding, common }]) =>
+            `# ${hex(value)} ${name} (${binding}, ${common ? `common of ${common.size} bytes` : section ?? 'undefined'})`);
+        const rel = relocations.map(({ section, offset, type, symbol, addend }) =>
+            `# ${section}+${hex(offset)} ${type} ${symbol}${addend ? (addend < 0 ? `-${-addend}` : `+${addend}`) : ''}`);
+        const lineMap = new Map(all.map((section) => [ section.name, new Map() ]));
+        for (const chunk of chunks.values()) {
+            if (chunk.parsed.type === 'instruction') {
+                lineMap.get(chunk.section.name).set(chunk.offset, chunk.source);
+            }
         }
+        return {
+            type: 'ok',
+            object: {
+                sections: all.map(({ name, flags, nobits, align, size, buffer }) => ({
+                    name, flags, nobits, align, size,
+                    data: nobits ? null : buffer
+                })),
+                symbols,
+                relocations,
+                rvc
+            },
+            lineMap,
+            dump: `# Sections\n${sec.join('\n')}\n\n# Symbols\n${sym.join('\n')}\n\n# Relocations\n${rel.join('\n')}\n\n${listing.join('\n')}\n`,
+            warnings
+        };
     }
 
     if (errors.length) {
         return {
             type: 'errors',
-            errors
+            errors,
+            warnings
         };
     } else {
-        const lines = text.split('\n');
+        const listing = text.split('\n');
         const lineMap = new Map();
         for (const [pc, chunk] of chunks) {
             if (chunk.parsed.type === 'instruction') {
-                const insns = new Uint32Array(buf.slice(pc - origin, pc - origin + chunk.parsed.length));
-                const formatted = [... insns].map(x => x.toString(16).padStart(8, '0')).join(' ');
-                lines[chunk.lineno - 1] = `{ 0x${pc.toString(16).padStart(8, '0')}: ${formatted} } ${lines[chunk.lineno - 1].trimStart()}`;
-                lineMap.set(pc, chunk.lineno);
+                const insns = [];
+                const view = chunk.section.view;
+                for (let at = chunk.offset; at < chunk.offset + chunk.parsed.length; ) {
+                    // Walk 16-bit parcels so compressed instructions print as 4 digits
+                    const low = view.getUint16(at, /* littleEndian */ true);
+                    if ((low & 0b11) === 0b11) {
+                        insns.push(view.getUint32(at, /* littleEndian */ true).toString(16).padStart(8, '0'));
+                        at += 4;
+                    } else {
+                        insns.push(low.toString(16).padStart(4, '0'));
+                        at += 2;
+                    }
+                }
+                const formatted = `{ 0x${pc.toString(16).padStart(8, '0')}: ${insns.join(' ')} }`;
+                if (chunk.chain.length === 0) {
+                    listing[chunk.lineno - 1] = `${formatted} ${listing[chunk.lineno - 1].trimStart()}`;
+                } else {
+                    listing[chunk.source - 1] += `\n${formatted} ${chunk.line}`;
+                }
+                lineMap.set(pc, chunk.source);
             }
         }
 
-        const sym = [...label, ...loc].map(([name, addr]) => `# 0x${addr.toString(16).padStart(8, '0')} ${name}`);
+        if (object) {
+            return object_result(listing);
+        }
+
+        const sym = [...label, ...loc, ...equ_values].map(([name, addr]) => `# 0x${(addr >>> 0).toString(16).padStart(8, '0')} ${name}`);
+        const sec = all.map(({ name, address, size, flags, nobits }) =>
+            `# 0x${address.toString(16).padStart(8, '0')} ${name} (${size} bytes${nobits ? ', no contents' : ''}${flags.includes('a') ? '' : ', not loaded'})`);
 
         return {
             type: 'ok',
-            data: buf,
-            dump: `# Symbols\n${sym.join('\n')}\n\n${lines.join('\n')}\n`,
+            data: flat_image(all, origin),
+            sections: all.map(({ name, address, size, flags, nobits, align, buffer }) => ({
+                name, address, size, flags, nobits, align,
+                data: nobits ? null : buffer
+            })),
+            dump: `# Sections\n${sec.join('\n')}\n\n# Symbols\n${sym.join('\n')}\n\n${listing.join('\n')}\n`,
             symbols: new Map(label),
-            lineMap: lineMap
+            // Labels also keep their section, which their address alone
+            // does not tell at the end of one
+            symbol_info: new Map([ ... new Set([ ... symbol_info.keys(), ... label.keys() ]) ].map((name) => {
+                const { binding = null, type = null } = symbol_info.get(name) ?? {};
+                const section = section_of.get(name)?.name ?? null;
+                return [ name, { binding: binding ?? 'local', type, size: sizes.get(name) ?? null, section } ];
+            })),
+            lineMap: lineMap,
+            rvc,
+            warnings
         };
     }
 }
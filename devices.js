@@ -0,0 +1,333 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Devices for RiscvMemory. A device has a size and read(offset, width) and
+// write(offset, width, data) handlers that return null for accesses it
+// doesn't support. Optionally it can have:
+//  - fetch(offset, width) if code can run from it
+//  - load(offset, bytes) to initialize it, even if it is read-only
+//  - tick(), called once per cycle
+//  - pending_interrupts(), the mip bits it drives
+//  - save() and restore(saved) for RiscvState.step_back, if accesses or
+//    ticks change its state and it has no fetch for the old contents
+//  - untick() to undo tick(), which saves saving the state every cycle
+
+export class RamDevice {
+    constructor(size) {
+        this.size = size;
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+    }
+
+    read(offset, width) {
+        if (width === 1) {
+            return this.view.getUint8(offset);
+        } else if (width === 2) {
+            return this.view.getUint16(offset, /* littleEndian */ true);
+        } else if (width === 4) {
+            return this.view.getUint32(offset, /* littleEndian */ true);
+        } else {
+            return null;
+        }
+    }
+
+    write(offset, width, data) {
+        if (width === 1) {
+            this.view.setUint8(offset, data);
+            return true;
+        } else if (width === 2) {
+            this.view.setUint16(offset, data, /* littleEndian */ true);
+            return true;
+        } else if (width === 4) {
+            this.view.setUint32(offset, data, /* littleEndian */ true);
+            return true;
+        } else {
+            return null;
+        }
+    }
+
+    fetch(offset, width) {
+        return this.read(offset, width);
+    }
+
+    load(offset, bytes) {
+        new Uint8Array(this.buffer, offset, bytes.length).set(bytes);
+        return true;
+    }
+}
+
+export class RomDevice extends RamDevice {
+    write(offset, width, data) {
+        return null;
+    }
+}
+
+// Writes each byte to a callback, like QEMU's debug ports. Reads return 0.
+export class ConsoleDevice {
+    constructor(on_write) {
+        this.size = 4;
+        this.on_write = on_write;
+    }
+
+    read(offset, width) {
+        return (offset === 0 && (width === 4 || width === 1)) ? 0 : null;
+    }
+
+    write(offset, width, data) {
+        if (offset === 0 && (width === 4 || width === 1)) {
+            this.on_write(data & 0xff);
+            return true;
+        } else {
+            return null;
+        }
+    }
+}
+
+// Core-local interruptor with the register layout of SiFive's and QEMU
+// virt's: msip at 0x0, mtimecmp at 0x4000 and mtime at 0xbff8. mtime counts
+// cycles.
+export class ClintDevice {
+    constructor() {
+        this.size = 0x10000;
+        this.msip = 0;
+        this.mtimecmp = [ 0xffff_ffff, 0xffff_ffff ];
+        this.mtime = [ 0, 0 ];
+    }
+
+    tick() {
+        this.mtime[1] = (this.mtime[1] + (this.mtime[0] === 0xffff_ffff)) >>> 0;
+        this.mtime[0] = (this.mtime[0] + 1) >>> 0;
+    }
+
+    untick() {
+        this.mtime[1] = (this.mtime[1] - (this.mtime[0] === 0)) >>> 0;
+        this.mtime[0] = (this.mtime[0] - 1) >>> 0;
+    }
+
+    time() {
+        return this.mtime;
+    }
+
+    pending_interrupts() {
+        const timer = this.mtime[1] > this.mtimecmp[1]
+            || (this.mtime[1] === this.mtimecmp[1] && this.mtime[0] >= this.mtimecmp[0]);
+        return ((this.msip & 1) << 3) | (timer << 7);
+    }
+
+    // Returns the [object, key] holding the register at offset
+    register(offset) {
+        if (offset === 0x0000) {
+            return [ this, 'msip' ];
+        } else if (offset === 0x4000 || offset === 0x4004) {
+            return [ this.mtimecmp, (offset >> 2) & 1 ];
+        } else if (offset === 0xbff8 || offset === 0xbffc) {
+            return [ this.mtime, (offset >> 2) & 1 ];
+        } else {
+            return null;
+        }
+    }
+
+    read(offset, width) {
+        const reg = this.register(offset);
+        if (width !== 4 || reg === null) {
+            return null;
+        }
+        const [ obj, key ] = reg;
+        return obj[key];
+    }
+
+    write(offset, width, data) {
+        const reg = this.register(offset);
+        if (width !== 4 || reg === null) {
+            return null;
+        }
+        const [ obj, key ] = reg;
+        // Only bit 0 of msip is implemented
+        obj[key] = (obj === this) ? data & 1 : data >>> 0;
+        return true;
+    }
+
+    save() {
+        return { msip: this.msip, mtimecmp: [ ... this.mtimecmp ], mtime: [ ... this.mtime ] };
+    }
+
+    restore({ msip, mtimecmp, mtime }) {
+        this.msip = msip;
+        this.mtimecmp = [ ... mtimecmp ];
+        this.mtime = [ ... mtime ];
+    }
+}
+
+const UART_IER_RDI = 0x01;  // Received data available
+const UART_IER_THRI = 0x02; // Transmitter holding register empty
+const UART_IER_RLSI = 0x04; // Receiver line status
+
+const UART_LSR_DR = 0x01;   // Data ready
+const UART_LSR_OE = 0x02;   // Overrun error
+const UART_LSR_THRE = 0x20; // Transmitter holding register empty
+const UART_LSR_TEMT = 0x40; // Transmitter empty
+
+const UART_LCR_DLAB = 0x80; // Divisor latch access
+
+const UART_FIFO_SIZE = 16;
+const UART_RECEIVED_LOG_SIZE = 4096;
+
+// 16550-compatible UART with byte-wide registers. Transmission completes
+// instantly, so THR is always empty. The receive FIFO is always 16 bytes
+// deep, even when FIFOs are disabled in FCR. There is no interrupt
+// controller, so the interrupt line drives mip bit irq directly (11 is
+// MEIP). Like the old console port, word accesses use the low byte.
+// Restoring a saved state calls on_unwrite(count), if set, with the number
+// of bytes transmitted since, and receives the bytes received since again.
+export class Uart16550 {
+    constructor(on_write, irq = 11) {
+        this.size = 8;
+        this.on_write = on_write;
+        this.on_unwrite = null;
+        this.irq = irq;
+        this.rx_fifo = [];
+        this.ier = 0;
+        this.lcr = 0;
+        this.mcr = 0;
+        this.lsr_errors = 0;
+        this.scr = 0;
+        this.fifo_enabled = false;
+        this.divisor = 0;
+        // THR empty interrupt, cleared by reading IIR or writing THR
+        this.thre_pending = false;
+        this.transmitted = 0;
+        // Input isn't undone, the latest bytes are kept to receive again
+        this.received = 0;
+        this.received_log = [];
+    }
+
+    // Called by the UI for each received byte
+    receive(byte) {
+        this.received++;
+        this.received_log.push(byte & 0xff);
+        if (this.received_log.length > UART_RECEIVED_LOG_SIZE) {
+            this.received_log.shift();
+        }
+        this.enqueue(byte);
+    }
+
+    enqueue(byte) {
+        if (this.rx_fifo.length < UART_FIFO_SIZE) {
+            this.rx_fifo.push(byte & 0xff);
+        } else {
+            this.lsr_errors |= UART_LSR_OE;
+        }
+    }
+
+    lsr() {
+        return (this.rx_fifo.length > 0 ? UART_LSR_DR : 0)
+            | this.lsr_errors | UART_LSR_THRE | UART_LSR_TEMT;
+    }
+
+    // Interrupt identification, without the FIFO enabled bits
+    interrupt_id() {
+        if ((this.ier & UART_IER_RLSI) && this.lsr_errors) {
+            return 0x06;
+        } else if ((this.ier & UART_IER_RDI) && this.rx_fifo.length > 0) {
+            return 0x04;
+        } else if ((this.ier & UART_IER_THRI) && this.thre_pending) {
+            return 0x02;
+        } else {
+            return 0x01;
+        }
+    }
+
+    pending_interrupts() {
+        return this.interrupt_id() !== 0x01 ? 1 << this.irq : 0;
+    }
+
+    read(offset, width) {
+        if (width !== 1 && width !== 4) {
+            return null;
+        }
+        const dlab = this.lcr & UART_LCR_DLAB;
+        if (offset === 0 && dlab) {
+            return this.divisor & 0xff;
+        } else if (offset === 0) {
+            return this.rx_fifo.length > 0 ? this.rx_fifo.shift() : 0;
+        } else if (offset === 1 && dlab) {
+            return this.divisor >>> 8;
+        } else if (offset === 1) {
+            return this.ier;
+        } else if (offset === 2) {
+            const id = this.interrupt_id();
+            if (id === 0x02) {
+                this.thre_pending = false;
+            }
+            return id | (this.fifo_enabled ? 0xc0 : 0);
+        } else if (offset === 3) {
+            return this.lcr;
+        } else if (offset === 4) {
+            return this.mcr;
+        } else if (offset === 5) {
+            const lsr = this.lsr();
+            this.lsr_errors = 0;
+            return lsr;
+        } else if (offset === 6) {
+            return 0xb0; // DCD, DSR and CTS
+        } else if (offset === 7) {
+            return this.scr;
+        } else {
+            return null;
+        }
+    }
+
+    write(offset, width, data) {
+        if (width !== 1 && width !== 4) {
+            return null;
+        }
+        data &= 0xff;
+        const dlab = this.lcr & UART_LCR_DLAB;
+        if (offset === 0 && dlab) {
+            this.divisor = (this.divisor & 0xff00) | data;
+        } else if (offset === 0) {
+            this.on_write(data);
+            this.transmitted++;
+            this.thre_pending = true;
+        } else if (offset === 1 && dlab) {
+            this.divisor = (this.divisor & 0xff) | (data << 8);
+        } else if (offset === 1) {
+            // Enabling the THR empty interrupt raises it right away
+            if ((data & UART_IER_THRI) && !(this.ier & UART_IER_THRI)) {
+                this.thre_pending = true;
+            }
+            this.ier = data & 0x0f;
+        } else if (offset === 2) {
+            this.fifo_enabled = (data & 0x01) !== 0;
+            if (data & 0x02) {
+                this.rx_fifo = [];
+            }
+        } else if (offset === 3) {
+            this.lcr = data;
+        } else if (offset === 4) {
+            this.mcr = data & 0x1f;
+        } else if (offset === 7) {
+            this.scr = data;
+        } else if (offset !== 5 && offset !== 6) {
+            return null;
+        }
+        return true;
+    }
+
+    save() {
+        const { rx_fifo, ier, lcr, mcr, lsr_errors, scr, fifo_enabled, divisor, thre_pending, transmitted, received } = this;
+        return { rx_fifo: [ ... rx_fifo ], ier, lcr, mcr, lsr_errors, scr, fifo_enabled, divisor, thre_pending, transmitted, received };
+    }
+
+    restore(saved) {
+        const unwritten = this.transmitted - saved.transmitted;
+        const { received, received_log } = this;
+        const since = Math.min(received - saved.received, received_log.length);
+        Object.assign(this, saved, { rx_fifo: [ ... saved.rx_fifo ], received });
+        for (const byte of received_log.slice(received_log.length - since)) {
+            this.enqueue(byte);
+        }
+        if (unwritten > 0 && this.on_unwrite) {
+            this.on_unwrite(unwritten);
+        }
+    }
+}
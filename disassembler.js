@@ -0,0 +1,320 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Disassembler for the instructions the emulator implements, printing
+// pseudo-instructions like objdump does
+
+import { expand_compressed } from './emulator.js';
+import { CSR } from './assembler.js';
+
+const REG_NAMES = "zero ra sp gp tp t0 t1 t2 s0 s1 a0 a1 a2 a3 a4 a5 a6 a7 s2 s3 s4 s5 s6 s7 s8 s9 s10 s11 t3 t4 t5 t6".split(' ');
+const FREG_NAMES = "ft0 ft1 ft2 ft3 ft4 ft5 ft6 ft7 fs0 fs1 fa0 fa1 fa2 fa3 fa4 fa5 fa6 fa7 fs2 fs3 fs4 fs5 fs6 fs7 fs8 fs9 fs10 fs11 ft8 ft9 ft10 ft11".split(' ');
+const CSR_NAMES = new Map([ ... CSR ].map(([ name, number ]) => [ number, name ]));
+const ROUNDING_MODES = [ 'rne', 'rtz', 'rdn', 'rup', 'rmm' ];
+
+const BRANCHES = [ 'beq', 'bne', null, null, 'blt', 'bge', 'bltu', 'bgeu' ];
+const LOADS = [ 'lb', 'lh', 'lw', null, 'lbu', 'lhu', null, null ];
+const STORES = [ 'sb', 'sh', 'sw', null, null, null, null, null ];
+const OP_IMM = [ 'addi', 'slli', 'slti', 'sltiu', 'xori', 'srli', 'ori', 'andi' ];
+const OP = [ 'add', 'sll', 'slt', 'sltu', 'xor', 'srl', 'or', 'and' ];
+const MULDIV = [ 'mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu' ];
+const CSR_OPS = [ null, 'csrrw', 'csrrs', 'csrrc', null, 'csrrwi', 'csrrsi', 'csrrci' ];
+const FMA = [ 'fmadd.s', 'fmsub.s', 'fnmsub.s', 'fnmadd.s' ];
+
+const AMO = new Map([
+    [ 0b00010, 'lr.w' ],
+    [ 0b00011, 'sc.w' ],
+    [ 0b00001, 'amoswap.w' ],
+    [ 0b00000, 'amoadd.w' ],
+    [ 0b00100, 'amoxor.w' ],
+    [ 0b01100, 'amoand.w' ],
+    [ 0b01000, 'amoor.w' ],
+    [ 0b10000, 'amomin.w' ],
+    [ 0b10100, 'amomax.w' ],
+    [ 0b11000, 'amominu.w' ],
+    [ 0b11100, 'amomaxu.w' ],
+]);
+
+const SYSTEM = new Map([
+    [ 0x00000073, 'ecall' ],
+    [ 0x00100073, 'ebreak' ],
+    [ 0x10200073, 'sret' ],
+    [ 0x30200073, 'mret' ],
+    [ 0x10500073, 'wfi' ],
+]);
+
+// Counters with their own read pseudo-instructions
+const COUNTERS = new Map([
+    [ 0xc00, 'rdcycle' ], [ 0xc01, 'rdtime' ], [ 0xc02, 'rdinstret' ],
+    [ 0xc80, 'rdcycleh' ], [ 0xc81, 'rdtimeh' ], [ 0xc82, 'rdinstreth' ],
+]);
+
+const hex = (x) => `0x${(x >>> 0).toString(16)}`;
+
+// Sorted symbols for each map passed in, to find the one before an address
+const sorted_symbols = new WeakMap();
+
+// Formats an address as the closest symbol at or below it plus an offset,
+// like _start+0x10, or as hex if there is none
+export function symbolize(address, symbols) {
+    if (! sorted_symbols.has(symbols)) {
+        sorted_symbols.set(symbols, [ ... symbols ]
+            .map(([ name, value ]) => [ name, value >>> 0 ])
+            .sort(([ , a ], [ , b ]) => a - b));
+    }
+    const sorted = sorted_symbols.get(symbols);
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid][1] <= address) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    if (lo === 0) {
+        return hex(address);
+    }
+    const [ name, value ] = sorted[lo - 1];
+    return address === value ? name : `${name}+${hex(address - value)}`;
+}
+
+// Decodes a 32-bit instruction into a mnemonic and operands, or null
+function decode(insn, pc, symbols) {
+    const opcode = insn & 0b1111111;
+    const rd = (insn >>> 7) & 0b11111;
+    const funct3 = (insn >>> 12) & 0b111;
+    const rs1 = (insn >>> 15) & 0b11111;
+    const rs2 = (insn >>> 20) & 0b11111;
+    const funct7 = insn >>> 25;
+    const imm_i = insn >> 20;
+    const imm_s = (insn >> 25 << 5) | rd;
+    const x = (i) => REG_NAMES[i];
+    const f = (i) => FREG_NAMES[i];
+    const target = (offset) => symbolize((pc + offset) >>> 0, symbols);
+    // The rounding mode is only shown if it isn't dynamic
+    const rm = (operands) => funct3 === 0b111 ? operands : [ ... operands, ROUNDING_MODES[funct3] ?? `rm${funct3}` ];
+
+    if (opcode === 0b0110111) {
+        return [ 'lui', x(rd), hex(insn >>> 12) ];
+    } else if (opcode === 0b0010111) {
+        return [ 'auipc', x(rd), hex(insn >>> 12) ];
+    } else if (opcode === 0b1101111) {
+        const imm = (insn >> 31 << 20)
+            | (((insn >>> 12) & 0xff) << 12)
+            | (((insn >>> 20) & 1) << 11)
+            | (((insn >>> 21) & 0x3ff) << 1);
+        if (rd === 0) {
+            return [ 'j', target(imm) ];
+        } else if (rd === 1) {
+            return [ 'jal', target(imm) ];
+        } else {
+            return [ 'jal', x(rd), target(imm) ];
+        }
+    } else if (opcode === 0b1100111 && funct3 === 0) {
+        if (rd === 0 && rs1 === 1 && imm_i === 0) {
+            return [ 'ret' ];
+        } else if (rd === 0 && imm_i === 0) {
+            return [ 'jr', x(rs1) ];
+        } else if (rd === 1 && imm_i === 0) {
+            return [ 'jalr', x(rs1) ];
+        } else {
+            return [ 'jalr', x(rd), `${imm_i}(${x(rs1)})` ];
+        }
+    } else if (opcode === 0b1100011 && BRANCHES[funct3] !== null) {
+        const imm = (insn >> 31 << 12)
+            | (((insn >>> 7) & 1) << 11)
+            | (((insn >>> 25) & 0x3f) << 5)
+            | (((insn >>> 8) & 0xf) << 1);
+        const name = BRANCHES[funct3];
+        if (rs2 === 0 && (name === 'beq' || name === 'bne' || name === 'blt' || name === 'bge')) {
+            return [ `${name}z`, x(rs1), target(imm) ];
+        } else if (rs1 === 0 && name === 'blt') {
+            return [ 'bgtz', x(rs2), target(imm) ];
+        } else if (rs1 === 0 && name === 'bge') {
+            return [ 'blez', x(rs2), target(imm) ];
+        } else {
+            return [ name, x(rs1), x(rs2), target(imm) ];
+        }
+    } else if (opcode === 0b0000011 && LOADS[funct3] !== null) {
+        return [ LOADS[funct3], x(rd), `${imm_i}(${x(rs1)})` ];
+    } else if (opcode === 0b0100011 && STORES[funct3] !== null) {
+        return [ STORES[funct3], x(rs2), `${imm_s}(${x(rs1)})` ];
+    } else if (opcode === 0b0000111 && funct3 === 0b010) {
+        return [ 'flw', f(rd), `${imm_i}(${x(rs1)})` ];
+    } else if (opcode === 0b0100111 && funct3 === 0b010) {
+        return [ 'fsw', f(rs2), `${imm_s}(${x(rs1)})` ];
+    } else if (opcode === 0b0010011) {
+        const name = OP_IMM[funct3];
+        if (funct3 === 0b001 && funct7 === 0) {
+            return [ 'slli', x(rd), x(rs1), `${rs2}` ];
+        } else if (funct3 === 0b101 && (funct7 === 0 || funct7 === 0b0100000)) {
+            return [ funct7 ? 'srai' : 'srli', x(rd), x(rs1), `${rs2}` ];
+        } else if (funct3 === 0b001 || funct3 === 0b101) {
+            return null;
+        } else if (name === 'addi' && rd === 0 && rs1 === 0 && imm_i === 0) {
+            return [ 'nop' ];
+        } else if (name === 'addi' && rs1 === 0) {
+            return [ 'li', x(rd), `${imm_i}` ];
+        } else if (name === 'addi' && imm_i === 0) {
+            return [ 'mv', x(rd), x(rs1) ];
+        } else if (name === 'xori' && imm_i === -1) {
+            return [ 'not', x(rd), x(rs1) ];
+        } else if (name === 'sltiu' && imm_i === 1) {
+            return [ 'seqz', x(rd), x(rs1) ];
+        } else {
+            return [ name, x(rd), x(rs1), `${imm_i}` ];
+        }
+    } else if (opcode === 0b0110011 && funct7 === 0b0000001) {
+        return [ MULDIV[funct3], x(rd), x(rs1), x(rs2) ];
+    } else if (opcode === 0b0110011 && (funct7 === 0 || (funct7 === 0b0100000 && (funct3 === 0b000 || funct3 === 0b101)))) {
+        const name = funct7 ? (funct3 === 0 ? 'sub' : 'sra') : OP[funct3];
+        if (name === 'add' && rs1 === 0) {
+            return [ 'mv', x(rd), x(rs2) ];
+        } else if (name === 'sub' && rs1 === 0) {
+            return [ 'neg', x(rd), x(rs2) ];
+        } else if (name === 'sltu' && rs1 === 0) {
+            return [ 'snez', x(rd), x(rs2) ];
+        } else if (name === 'slt' && rs2 === 0) {
+            return [ 'sltz', x(rd), x(rs1) ];
+        } else if (name === 'slt' && rs1 === 0) {
+            return [ 'sgtz', x(rd), x(rs2) ];
+        } else {
+            return [ name, x(rd), x(rs1), x(rs2) ];
+        }
+    } else if (opcode === 0b0001111 && funct3 === 0b000) {
+        const set = (bits) => [ 'i', 'o', 'r', 'w' ].filter((_, i) => bits & (8 >> i)).join('');
+        const pred = (insn >>> 24) & 0xf;
+        const succ = (insn >>> 20) & 0xf;
+        if (insn >>> 28 === 0b1000 && pred === 0b0011 && succ === 0b0011) {
+            return [ 'fence.tso' ];
+        } else if (pred === 0xf && succ === 0xf) {
+            return [ 'fence' ];
+        } else {
+            return [ 'fence', set(pred), set(succ) ];
+        }
+    } else if (opcode === 0b0001111 && funct3 === 0b001) {
+        return [ 'fence.i' ];
+    } else if (opcode === 0b0101111 && funct3 === 0b010 && AMO.has(insn >>> 27)) {
+        const ordering = [ '', '.rl', '.aq', '.aqrl' ][(insn >>> 25) & 0b11];
+        const name = AMO.get(insn >>> 27) + ordering;
+        if (insn >>> 27 === 0b00010) {
+            return rs2 === 0 ? [ name, x(rd), `(${x(rs1)})` ] : null;
+        } else {
+            return [ name, x(rd), x(rs2), `(${x(rs1)})` ];
+        }
+    } else if ((opcode & 0b1110011) === 0b1000011 && ((insn >>> 25) & 0b11) === 0) {
+        return [ FMA[(opcode >>> 2) & 0b11], ... rm([ f(rd), f(rs1), f(rs2), f(insn >>> 27) ]) ];
+    } else if (opcode === 0b1010011) {
+        return decode_op_fp(insn, rd, funct3, rs1, rs2, funct7, x, f, rm);
+    } else if (opcode === 0b1110011) {
+        return decode_system(insn, rd, funct3, rs1, x);
+    } else {
+        return null;
+    }
+}
+
+function decode_op_fp(insn, rd, funct3, rs1, rs2, funct7, x, f, rm) {
+    if (funct7 === 0b0000000) {
+        return [ 'fadd.s', ... rm([ f(rd), f(rs1), f(rs2) ]) ];
+    } else if (funct7 === 0b0000100) {
+        return [ 'fsub.s', ... rm([ f(rd), f(rs1), f(rs2) ]) ];
+    } else if (funct7 === 0b0001000) {
+        return [ 'fmul.s', ... rm([ f(rd), f(rs1), f(rs2) ]) ];
+    } else if (funct7 === 0b0001100) {
+        return [ 'fdiv.s', ... rm([ f(rd), f(rs1), f(rs2) ]) ];
+    } else if (funct7 === 0b0101100 && rs2 === 0) {
+        return [ 'fsqrt.s', ... rm([ f(rd), f(rs1) ]) ];
+    } else if (funct7 === 0b0010000 && funct3 <= 0b010) {
+        if (rs1 === rs2) {
+            return [ [ 'fmv.s', 'fneg.s', 'fabs.s' ][funct3], f(rd), f(rs1) ];
+        }
+        return [ [ 'fsgnj.s', 'fsgnjn.s', 'fsgnjx.s' ][funct3], f(rd), f(rs1), f(rs2) ];
+    } else if (funct7 === 0b0010100 && funct3 <= 0b001) {
+        return [ funct3 ? 'fmax.s' : 'fmin.s', f(rd), f(rs1), f(rs2) ];
+    } else if (funct7 === 0b1100000 && rs2 <= 1) {
+        return [ rs2 ? 'fcvt.wu.s' : 'fcvt.w.s', ... rm([ x(rd), f(rs1) ]) ];
+    } else if (funct7 === 0b1110000 && rs2 === 0 && funct3 === 0b000) {
+        return [ 'fmv.x.w', x(rd), f(rs1) ];
+    } else if (funct7 === 0b1110000 && rs2 === 0 && funct3 === 0b001) {
+        return [ 'fclass.s', x(rd), f(rs1) ];
+    } else if (funct7 === 0b1010000 && funct3 <= 0b010) {
+        return [ [ 'fle.s', 'flt.s', 'feq.s' ][funct3], x(rd), f(rs1), f(rs2) ];
+    } else if (funct7 === 0b1101000 && rs2 <= 1) {
+        return [ rs2 ? 'fcvt.s.wu' : 'fcvt.s.w', ... rm([ f(rd), x(rs1) ]) ];
+    } else if (funct7 === 0b1111000 && rs2 === 0 && funct3 === 0b000) {
+        return [ 'fmv.w.x', f(rd), x(rs1) ];
+    } else {
+        return null;
+    }
+}
+
+function decode_system(insn, rd, funct3, rs1, x) {
+    if (SYSTEM.has(insn)) {
+        return [ SYSTEM.get(insn) ];
+    } else if ((insn & 0xfe007fff) === 0x12000073) {
+        const rs2 = (insn >>> 20) & 0b11111;
+        return [ 'sfence.vma', ... (rs1 || rs2 ? [ x(rs1) ] : []), ... (rs2 ? [ x(rs2) ] : []) ];
+    } else if (CSR_OPS[funct3] === null) {
+        return null;
+    }
+
+    const number = insn >>> 20;
+    const csr = CSR_NAMES.get(number) ?? hex(number);
+    const is_imm = funct3 & 0b100;
+    const source = is_imm ? `${rs1}` : x(rs1);
+    const op = CSR_OPS[funct3];
+    if (op === 'csrrs' && rs1 === 0 && COUNTERS.has(number)) {
+        return [ COUNTERS.get(number), x(rd) ];
+    } else if (op === 'csrrs' && rs1 === 0) {
+        return [ 'csrr', x(rd), csr ];
+    } else if (rd === 0) {
+        return [ op.replace('csrr', 'csr'), csr, source ];
+    } else {
+        return [ op, x(rd), csr, source ];
+    }
+}
+
+// Disassembles the instruction in the low bits of word at pc, using
+// symbols (a Map from names to addresses) for jump and branch targets.
+// Returns { length, text }, text being a .half or .word directive for
+// instructions that aren't supported.
+export function disassemble(word, pc, symbols = new Map()) {
+    const length = (word & 0b11) === 0b11 ? 4 : 2;
+    const raw = length === 4 ? word >>> 0 : word & 0xffff;
+    const insn = length === 4 ? raw : expand_compressed(raw);
+    const decoded = insn === null ? null : decode(insn, pc, symbols);
+    if (decoded === null) {
+        const digits = length * 2;
+        return { length, text: `${length === 4 ? '.word' : '.half'} 0x${raw.toString(16).padStart(digits, '0')}` };
+    }
+    const [ name, ... operands ] = decoded;
+    return { length, text: operands.length ? `${name} ${operands.join(', ')}` : name };
+}
+
+// A listing of code at address in the format of the assembler's, with
+// labels from symbols. Trailing bytes that don't make up an instruction
+// are left out.
+export function disassembly_listing(bytes, address, symbols = new Map()) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const labels = new Map();
+    for (const [ name, value ] of symbols) {
+        labels.set(value >>> 0, [ ... labels.get(value >>> 0) ?? [], name ]);
+    }
+    const lines = [];
+    for (let at = 0; at + 2 <= bytes.length; ) {
+        const pc = (address + at) >>> 0;
+        for (const name of labels.get(pc) ?? []) {
+            lines.push(`${name}:`);
+        }
+        const low = view.getUint16(at, /* littleEndian */ true);
+        if ((low & 0b11) === 0b11 && at + 4 > bytes.length) {
+            break;
+        }
+        const word = (low & 0b11) === 0b11 ? view.getUint32(at, /* littleEndian */ true) : low;
+        const { length, text } = disassemble(word, pc, symbols);
+        const digits = word.toString(16).padStart(length * 2, '0');
+        lines.push(`{ 0x${pc.toString(16).padStart(8, '0')}: ${digits} } ${text}`);
+        at += length;
+    }
+    return lines.join('\n');
+}
@@ -1,39 +1,61 @@
 // SPDX-License-Identifier: CC0-1.0 OR 0BSD
 
 import { RiscvState, RiscvMemory } from './emulator.js';
-import { assemble_riscv } from './assembler.js';
+import { RamDevice, Uart16550, ClintDevice } from './devices.js';
+import { assemble_riscv, parse_defines } from './assembler.js';
+import { parse_elf, load_elf, elf_dump } from './elf.js';
+import { disassemble } from './disassembler.js';
+
+const RAM_BASE = 0x4000_0000;
+const RAM_SIZE = 1 << 20;
+
+function createMemory(uart) {
+    return new RiscvMemory([
+        { name: 'clint', base: 0x0200_0000, device: new ClintDevice() },
+        { name: 'uart', base: 0x1000_0000, device: uart },
+        { name: 'ram', base: RAM_BASE, device: new RamDevice(RAM_SIZE) },
+    ]);
+}
 
-class EmulatorMemory extends RiscvMemory {
-    constructor(serialWrite) {
-        super(1 << 20);
-        this.serialWrite = serialWrite;
+const KEY_BYTES = new Map([
+    [ 'Enter', 0x0a ],
+    [ 'Backspace', 0x08 ],
+    [ 'Tab', 0x09 ],
+    [ 'Escape', 0x1b ],
+]);
+
+// Bytes sent to the UART for a keydown, or null if the key isn't for us
+function keyToBytes(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey) {
+        return null;
+    } else if (KEY_BYTES.has(event.key)) {
+        return [ KEY_BYTES.get(event.key) ];
+    } else if ([...event.key].length === 1) {
+        return new TextEncoder().encode(event.key);
+    } else {
+        return null;
     }
+}
 
-    read(address, width) {
-        if (address === 0x1000_0000) {
-            if (width === 4 || width == 1) {
-                return 0;
-            } else {
-                return null;
-            }
-        } else {
-            return super.read(address, width);
-        }
+function formatMemoryMap(mem) {
+    const lines = [ 'Memory map:' ];
+    for (const { name, start, end, executable } of mem.memory_map()) {
+        const range = `${start.toString(16).padStart(8, '0')}-${end.toString(16).padStart(8, '0')}`;
+        lines.push(`  ${range} ${name}${executable ? ' (x)' : ''}`);
     }
+    return lines.join('\n') + '\n';
+}
 
-    write(address, width, data) {
-        if (address === 0x1000_0000) {
-            if (width === 4 || width == 1) {
-                this.serialWrite(data & 0xff);
-                return true;
-            } else {
-                return null;
-            }
-        } else {
-            return super.write(address, width, data);
+// Lines with a breakpoint are marked with a # @break comment. Returns a map
+// from the first pc of each of them to the line.
+function breakpointPcs(lineMap, lines) {
+    const pcs = new Map();
+    for (const [pc, lineno] of lineMap) {
+        if (/#\s*@break\b/.test(lines[lineno - 1]) && !(pcs.get(lineno) < pc)) {
+            pcs.set(lineno, pc);
         }
     }
-
+    return new Map([...pcs].map(([lineno, pc]) => [pc, lineno]));
 }
 
 let counter = 0;
@@ -43,6 +65,8 @@ let counter = 0;
  */
 function convertEmulator(el) {
     const text = el.textContent.replace(/^\n/, '');
+    // Predefined symbols, like data-defines="SOLUTION DEBUG=2"
+    const defines = parse_defines(el.dataset.defines ?? '');
     for (const c of el.childNodes) {
         c.remove();
     }
@@ -70,6 +94,8 @@ function convertEmulator(el) {
 
     const output = document.createElement('div');
     output.classList.add('emulator-output');
+    output.tabIndex = 0;
+    output.title = 'Click to type into the UART';
 
     el.append(edit, regsDispWrapper, controls, output);
 
@@ -83,6 +109,11 @@ function convertEmulator(el) {
     dumpBtn.append('Dump');
     const clearBtn = document.createElement('button');
     clearBtn.append('Clear');
+    const elfBtn = document.createElement('button');
+    elfBtn.append('Load ELF');
+    const elfInput = document.createElement('input');
+    elfInput.type = 'file';
+    elfInput.hidden = true;
 
     const pauseOnExc = document.createElement('div');
     pauseOnExc.classList.add('emulator-checkbox');
@@ -108,17 +139,21 @@ function convertEmulator(el) {
     counter ++;
     printOnExc.append(printOnExcCheck, printOnExcLabel)
 
-    controls.append(runBtn, stepBtn, startStopBtn, dumpBtn, clearBtn, pauseOnExc, printOnExc);
+    controls.append(runBtn, stepBtn, startStopBtn, dumpBtn, clearBtn, elfBtn, elfInput, pauseOnExc, printOnExc);
 
     let pauseOnException = false;
     let printOnException = false;
     let running = false, started = false;
+    // Set when an ELF executable is loaded, it runs instead of the code in edit
+    let elf = null;
 
     function updateUI() {
         pauseOnException = pauseOnExcCheck.checked;
         printOnException = printOnExcCheck.checked;
 
         edit.disabled = started;
+        edit.readOnly = elf !== null;
+        elfBtn.textContent = elf ? `Unload ${elf.name}` : 'Load ELF';
         runBtn.disabled = ! started;
         runBtn.textContent = running ? 'Pause' : 'Run';
         stepBtn.disabled = running || ! started;
@@ -131,7 +166,10 @@ function convertEmulator(el) {
     printOnExcCheck.onchange = updateUI;
     updateUI();
 
-    let mem = null, riscv = null, dump = null, runTask = null, oldState = null;
+    let mem = null, uart = null, riscv = null, dump = null, runTask = null, oldState = null;
+    // Symbols of the loaded program, for branch targets
+    let symbols = new Map();
+    let breakPcs = new Map();
 
     const fmt = (x) => `0x${x.toString(16).padStart(8, '0')}`;
 
@@ -140,6 +178,7 @@ function convertEmulator(el) {
 
         const parts = [];
         const names = "zero ra sp gp tp t0 t1 t2 s0 s1 a0 a1 a2 a3 a4 a5 a6 a7 s2 s3 s4 s5 s6 s7 s8 s9 s10 s11 t3 t4 t5 t6".split(' ');
+        const fnames = "ft0 ft1 ft2 ft3 ft4 ft5 ft6 ft7 fs0 fs1 fa0 fa1 fa2 fa3 fa4 fa5 fa6 fa7 fs2 fs3 fs4 fs5 fs6 fs7 fs8 fs9 fs10 fs11 ft8 ft9 ft10 ft11".split(' ');
 
         const makeField = (str, changed) => {
             const span = document.createElement('span');
@@ -150,28 +189,59 @@ function convertEmulator(el) {
         };
 
         const regFmt = (i) => makeField(fmt(newState.regs[i]), oldState !== null && newState.regs[i] !== oldState.regs[i]);
+        const fregFmt = (i) => {
+            const value = new Float32Array(new Uint32Array([newState.fregs[i]]).buffer)[0];
+            const str = `${fmt(newState.fregs[i])} ${String(Number(value.toPrecision(9))).padEnd(15, ' ')}`;
+            return makeField(str, oldState !== null && newState.fregs[i] !== oldState.fregs[i]);
+        };
         const field = (n) => makeField(`${newState[n]}`, oldState !== null && newState[n] !== oldState[n]);
         const fieldFmt = (n) => makeField(fmt(newState[n]), oldState !== null && newState[n] !== oldState[n]);
-        const mkPriv = (v) => new Map([[0, 'User'], [3, 'Machine']]).get(v) ?? '???';
+        const mkPriv = (v) => new Map([[0, 'User'], [1, 'Supervisor'], [3, 'Machine']]).get(v) ?? '???';
         const fieldPriv = (n) => makeField(`${newState[n]} (${mkPriv(newState[n])})`, oldState !== null && newState[n] !== oldState[n]);
 
-        const mstatusField = makeField(fmt(newState.mpp << 11), oldState !== null && newState.mpp !== oldState.mpp);
+        const mstatusField = makeField(fmt(newState.mstatus), oldState !== null && newState.mstatus !== oldState.mstatus);
+        const rmNames = ['rne', 'rtz', 'rdn', 'rup', 'rmm', '???', '???', '???'];
+        const fflagNames = ['NX', 'UF', 'OF', 'DZ', 'NV'].filter((name, i) => newState.fflags & (1 << i));
+        const fcsrField = makeField(
+            `0x${((newState.frm << 5) | newState.fflags).toString(16).padStart(2, '0')}`,
+            oldState !== null && (newState.frm !== oldState.frm || newState.fflags !== oldState.fflags));
 
-        const insn = mem.fetch(riscv.pc);
-        parts.push(`  pc       `, fieldFmt('pc'), ` (insn: ${insn === null ? '???' : fmt(insn)})\n`);
+        const insn = riscv.fetch();
+        const decoded = insn === null ? '???' : `${fmt(insn)} = ${disassemble(insn, newState.pc, symbols).text}`;
+        parts.push(`  pc       `, fieldFmt('pc'), ` (insn: ${decoded})\n`);
 
         for (let i = 0; i < 32; i ++) {
             const end = i % 2 ? '\n' : ' |';
             parts.push(`${names[i].padStart(4, ' ')} ${`(x${i})`.padStart(5, ' ')} `, regFmt(i), end);
         }
         parts.push('\n');
+        for (let i = 0; i < 32; i ++) {
+            const end = i % 2 ? '\n' : ' |';
+            parts.push(`${fnames[i].padStart(4, ' ')} ${`(f${i})`.padStart(5, ' ')} `, fregFmt(i), end);
+        }
+        parts.push(`fcsr = `, fcsrField, ` = { frm = ${rmNames[newState.frm]}, fflags = { ${fflagNames.join(' ')} } }\n`);
+        parts.push('\n');
         parts.push(`(priv) = `, fieldPriv('priv'), `\n`);
-        parts.push(`mstatus = `, mstatusField, ` = { MPP = `, fieldPriv('mpp'),` }\n`);
+        parts.push(`mstatus = `, mstatusField, ` = { MPP = `, fieldPriv('mpp'), `, SPP = `, fieldPriv('spp'), `, FS = `, field('fs'), ` }\n`);
+        parts.push(`mie = `, fieldFmt('mie'), ` | `);
+        parts.push(`mip = `, fieldFmt('mip'), newState.waiting ? ` (wfi)\n` : `\n`);
         parts.push(`mscratch = `, fieldFmt('mscratch'), ` | `);
         parts.push(`mtvec = `, fieldFmt('mtvec'), `\n`);
         parts.push(`mepc = `, fieldFmt('mepc'), ` | `);
         parts.push(`mtval = `, fieldFmt('mtval'), `\n`);
         parts.push(`mcause = `, fieldFmt('mcause'), `\n`);
+        parts.push(`medeleg = `, fieldFmt('medeleg'), ` | `);
+        parts.push(`mideleg = `, fieldFmt('mideleg'), `\n`);
+        parts.push(`sscratch = `, fieldFmt('sscratch'), ` | `);
+        parts.push(`stvec = `, fieldFmt('stvec'), `\n`);
+        parts.push(`sepc = `, fieldFmt('sepc'), ` | `);
+        parts.push(`stval = `, fieldFmt('stval'), `\n`);
+        parts.push(`scause = `, fieldFmt('scause'), ` | `);
+        parts.push(`satp = `, fieldFmt('satp'), `\n`);
+        for (const r of riscv.pmp_regions()) {
+            const perms = `${r.r ? 'R' : '-'}${r.w ? 'W' : '-'}${r.x ? 'X' : '-'}${r.locked ? ' L' : ''}`;
+            parts.push(`pmp${r.index} = ${r.mode} ${fmt(r.start)}-${fmt(r.end - 1)} ${perms}\n`);
+        }
 
         parts.push(`cycle = 0x${riscv.cycle[1].toString(16).padStart(8, '0')}_${riscv.cycle[0].toString(16).padStart(8, '0')}\n`);
         parts.push(`instret = 0x${riscv.instret[1].toString(16).padStart(8, '0')}_${riscv.instret[0].toString(16).padStart(8, '0')}\n`);
@@ -184,37 +254,77 @@ function convertEmulator(el) {
         output.scrollTo(0, output.scrollHeight);
     }
 
-    function start() {
-        const res = assemble_riscv(edit.value, 0x40000000);
+    // Loads the ELF executable or the assembled code into mem and returns the
+    // entry point, or null after printing errors
+    function loadProgram() {
+        if (elf) {
+            const res = load_elf(elf, mem);
+            if (res.type === 'error') {
+                writeOutput(`\n${res.message}\n[ Errors while loading ${elf.name} ]\n`);
+                return null;
+            }
+            dump = elf_dump(elf);
+            symbols = elf.symbols;
+            breakPcs = new Map();
+            return elf.entry;
+        }
+
+        if (defines.type === 'error') {
+            writeOutput(`\n${defines.message}\n[ Invalid data-defines ]\n`);
+            return null;
+        }
+
+        const res = assemble_riscv(edit.value, RAM_BASE, { defines: defines.defines });
+        const lines = edit.value.split('\n');
+        for (const { lineno, message } of res.warnings) {
+            writeOutput(`\nWarning: ${message}\n${lineno.toString().padStart(4, ' ')}| ${lines[lineno - 1]}\n`);
+        }
 
         if (res.type === 'ok') {
             dump = res.dump;
-            const decoder = new TextDecoder();
-            mem = new EmulatorMemory((byte) => {
-                const buf = new Uint8Array([byte]);
-                writeOutput(decoder.decode(buf, { stream: true }))
-            });
-            (new Uint8Array(mem.memory)).set(new Uint8Array(res.data));
-            writeOutput('[ Started ]\n')
-            riscv = new RiscvState(mem);
-            riscv.pc = res.symbols.get('_start') ?? 0x40000000;
-            riscv.regs[2 /* sp */] = 0x40000000 + mem.memory.byteLength;
-            running = false;
-            started = true;
-            renderRegs();
-            updateUI();
+            symbols = res.symbols;
+            breakPcs = breakpointPcs(res.lineMap, lines);
+            mem.load(RAM_BASE, new Uint8Array(res.data));
+            return res.symbols.get('_start') ?? RAM_BASE;
         } else {
             const parts = [];
-            const lines = edit.value.split('\n');
             for (const { lineno, message } of res.errors) {
                 parts.push(`${message}\n${lineno.toString().padStart(4, ' ')}| ${lines[lineno - 1]}`)
             }
             writeOutput('\n' + parts.join('\n\n') + '\n[ Errors while assembling ]\n');
+            return null;
         }
     }
 
+    function start() {
+        const decoder = new TextDecoder();
+        uart = new Uart16550((byte) => {
+            const buf = new Uint8Array([byte]);
+            writeOutput(decoder.decode(buf, { stream: true }))
+        });
+        mem = createMemory(uart);
+
+        const entry = loadProgram();
+        if (entry === null) {
+            mem = null;
+            uart = null;
+            dump = null;
+            return;
+        }
+
+        writeOutput('[ Started ]\n')
+        riscv = new RiscvState(mem);
+        riscv.pc = entry;
+        riscv.regs[2 /* sp */] = RAM_BASE + RAM_SIZE;
+        running = false;
+        started = true;
+        renderRegs();
+        updateUI();
+    }
+
     function stop() {
         mem = null;
+        uart = null;
         riscv = null;
         dump = null;
         oldState = null;
@@ -226,7 +336,7 @@ function convertEmulator(el) {
     }
 
     function viewDump() {
-        const blob = new Blob([dump], { type: 'text/plain' });
+        const blob = new Blob([formatMemoryMap(mem), '\n', dump], { type: 'text/plain' });
         const blobUrl = URL.createObjectURL(blob);
         window.open(blobUrl);
     }
@@ -236,10 +346,16 @@ function convertEmulator(el) {
         [ 0x01, "Instruction access fault" ],
         [ 0x02, "Illegal instruction" ],
         [ 0x03, "Breakpoint" ],
+        [ 0x04, "Load address misaligned" ],
         [ 0x05, "Load access fault" ],
+        [ 0x06, "Store/AMO address misaligned" ],
         [ 0x07, "Store/AMO access fault" ],
         [ 0x08, "Environment call from User mode" ],
-        [ 0x0b, "Environment call from Machine mode" ]
+        [ 0x09, "Environment call from Supervisor mode" ],
+        [ 0x0b, "Environment call from Machine mode" ],
+        [ 0x0c, "Instruction page fault" ],
+        [ 0x0d, "Load page fault" ],
+        [ 0x0f, "Store/AMO page fault" ]
     ]);
 
     const fmtException = (res) =>
@@ -258,7 +374,8 @@ function convertEmulator(el) {
         }
     }
 
-    function run() {
+    // resume skips a breakpoint at the current pc, to continue from it
+    function run(resume = false) {
         const LIMIT = 100;
 
         running = true;
@@ -266,6 +383,12 @@ function convertEmulator(el) {
         oldState = riscv.dump_state();
 
         for (let count = 0; count < LIMIT; count ++) {
+            if (breakPcs.has(riscv.pc) && ! (resume && count === 0)) {
+                writeOutput(`[ Breakpoint at line ${breakPcs.get(riscv.pc)} ]\n`);
+                renderRegs();
+                pause();
+                break;
+            }
             const res = riscv.step();
             if (res.type === 'exception') {
                 if (printOnException) {
@@ -289,7 +412,7 @@ function convertEmulator(el) {
         }
 
         if (running) {
-            runTask = setTimeout(run, 0);
+            runTask = setTimeout(() => run(), 0);
         }
     }
 
@@ -332,11 +455,79 @@ function convertEmulator(el) {
         }
     }
 
+    output.onkeydown = (event) => {
+        const bytes = uart && keyToBytes(event);
+        if (bytes) {
+            event.preventDefault();
+            for (const byte of bytes) {
+                uart.receive(byte);
+            }
+        }
+    }
+
+    output.onpaste = (event) => {
+        if (uart) {
+            event.preventDefault();
+            const text = event.clipboardData.getData('text').replace(/\r\n?/g, '\n');
+            for (const byte of new TextEncoder().encode(text)) {
+                uart.receive(byte);
+            }
+        }
+    }
+
+    function loadElfFile(file) {
+        file.arrayBuffer().then((buffer) => {
+            const res = parse_elf(buffer);
+            if (res.type === 'error') {
+                writeOutput(`\n${res.message}\n[ Errors while loading ${file.name} ]\n`);
+                return;
+            }
+            if (started) {
+                pause();
+                stop();
+            }
+            elf = { name: file.name, ...res };
+            updateUI();
+            start();
+        }).catch((err) => {
+            writeOutput(`\n${err.message}\n[ Errors while loading ${file.name} ]\n`);
+        });
+    }
+
+    elfBtn.onclick = () => {
+        if (elf) {
+            elf = null;
+            updateUI();
+        } else {
+            elfInput.click();
+        }
+    }
+
+    elfInput.onchange = () => {
+        if (elfInput.files.length) {
+            loadElfFile(elfInput.files[0]);
+        }
+        elfInput.value = '';
+    }
+
+    edit.ondragover = (event) => {
+        if (event.dataTransfer.types.includes('Files')) {
+            event.preventDefault();
+        }
+    }
+
+    edit.ondrop = (event) => {
+        if (event.dataTransfer.files.length) {
+            event.preventDefault();
+            loadElfFile(event.dataTransfer.files[0]);
+        }
+    }
+
     runBtn.onclick = () => {
         if (running) {
             pause();
         } else {
-            run();
+            run(true);
         }
     }
 
@@ -0,0 +1,629 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Loader for statically linked RISC-V ELF32 executables, and writer of
+// executables and relocatable objects from the assembler and linker
+
+import { disassembly_listing } from './disassembler.js';
+
+const ELFCLASS32 = 1;
+const ELFCLASS64 = 2;
+const ELFDATA2LSB = 1;
+const ET_REL = 1;
+const ET_EXEC = 2;
+const EM_RISCV = 243;
+const EF_RISCV_RVC = 0x1;
+
+const PT_LOAD = 1;
+const PT_DYNAMIC = 2;
+const PT_INTERP = 3;
+
+const SHT_PROGBITS = 1;
+const SHT_SYMTAB = 2;
+const SHT_STRTAB = 3;
+const SHT_RELA = 4;
+const SHT_NOBITS = 8;
+const SHT_REL = 9;
+const SHN_UNDEF = 0;
+const SHN_ABS = 0xfff1;
+const SHN_COMMON = 0xfff2;
+
+const SHF_WRITE = 1;
+const SHF_ALLOC = 2;
+const SHF_EXECINSTR = 4;
+const SHF_INFO_LINK = 0x40;
+
+const STB_LOCAL = 0;
+const STB_GLOBAL = 1;
+const STB_WEAK = 2;
+
+const STT_NOTYPE = 0;
+const STT_OBJECT = 1;
+const STT_FUNC = 2;
+const STT_SECTION = 3;
+const STT_COMMON = 5;
+const STT_TLS = 6;
+const STT_GNU_IFUNC = 10;
+
+const PF_X = 1;
+const PF_W = 2;
+const PF_R = 4;
+
+// Checks the ELF header for a 32-bit little-endian RISC-V file. Returns
+// { type: 'ok', elf_type, view, bytes, fits, u16, u32 } or { type: 'error',
+// message }.
+function parse_header(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const fits = (offset, size) => offset + size <= buffer.byteLength;
+
+    if (!fits(0, 52) || view.getUint32(0, /* littleEndian */ false) !== 0x7f454c46) {
+        return { type: 'error', message: 'Not an ELF file' };
+    }
+    if (bytes[4] === ELFCLASS64) {
+        return { type: 'error', message: 'Only 32-bit ELF files are supported, this one is 64-bit' };
+    } else if (bytes[4] !== ELFCLASS32) {
+        return { type: 'error', message: `Unknown ELF class ${bytes[4]}` };
+    }
+    if (bytes[5] !== ELFDATA2LSB) {
+        return { type: 'error', message: 'Only little-endian ELF files are supported' };
+    }
+
+    const u16 = (offset) => view.getUint16(offset, /* littleEndian */ true);
+    const u32 = (offset) => view.getUint32(offset, /* littleEndian */ true);
+
+    const machine = u16(18);
+    if (machine !== EM_RISCV) {
+        return { type: 'error', message: `Not a RISC-V ELF file (e_machine is ${machine})` };
+    }
+    return { type: 'ok', elf_type: u16(16), view, bytes, fits, u16, u32 };
+}
+
+// Whether buffer is an ELF relocatable object rather than an executable
+export function is_elf_object(buffer) {
+    const header = parse_header(buffer);
+    return header.type === 'ok' && header.elf_type === ET_REL;
+}
+
+// Returns { type: 'ok', entry, segments, symbols } where segments are
+// { address, data, mem_size, flags } and symbols maps names to addresses,
+// or { type: 'error', message }
+export function parse_elf(buffer) {
+    const header = parse_header(buffer);
+    if (header.type === 'error') {
+        return header;
+    }
+    const { bytes, fits, u16, u32 } = header;
+    if (header.elf_type !== ET_EXEC) {
+        return { type: 'error', message: `Not an executable (e_type is ${header.elf_type}), link it statically` };
+    }
+
+    const entry = u32(24);
+    const phoff = u32(28);
+    const shoff = u32(32);
+    const phentsize = u16(42);
+    const phnum = u16(44);
+    const shentsize = u16(46);
+    const shnum = u16(48);
+
+    if (!fits(phoff, phnum * phentsize) || (phnum && phentsize < 32)) {
+        return { type: 'error', message: 'Truncated program headers' };
+    }
+
+    const segments = [];
+    for (let i = 0; i < phnum; i++) {
+        const ph = phoff + i * phentsize;
+        const p_type = u32(ph);
+        if (p_type === PT_DYNAMIC || p_type === PT_INTERP) {
+            return { type: 'error', message: 'Dynamically linked executables are not supported' };
+        } else if (p_type !== PT_LOAD) {
+            continue;
+        }
+        const offset = u32(ph + 4);
+        const file_size = u32(ph + 16);
+        const mem_size = u32(ph + 20);
+        if (!fits(offset, file_size) || mem_size < file_size) {
+            return { type: 'error', message: `Segment ${i} is truncated` };
+        }
+        segments.push({
+            // Paging is off at reset, so segments go at their physical address
+            address: u32(ph + 12),
+            data: bytes.subarray(offset, offset + file_size),
+            mem_size,
+            flags: u32(ph + 24),
+        });
+    }
+
+    // Section headers are optional, a missing symbol table isn't an error
+    const symbols = new Map();
+    if (shoff !== 0 && shentsize >= 40 && fits(shoff, shnum * shentsize)) {
+        const section = (index) => {
+            const sh = shoff + index * shentsize;
+            return { type: u32(sh + 4), offset: u32(sh + 16), size: u32(sh + 20), link: u32(sh + 24) };
+        };
+        const decoder = new TextDecoder();
+        for (let i = 0; i < shnum; i++) {
+            const symtab = section(i);
+            if (symtab.type !== SHT_SYMTAB || symtab.link >= shnum) {
+                continue;
+            }
+            const strtab = section(symtab.link);
+            if (!fits(symtab.offset, symtab.size) || !fits(strtab.offset, strtab.size)) {
+                continue;
+            }
+            for (let sym = symtab.offset; sym + 16 <= symtab.offset + symtab.size; sym += 16) {
+                const kind = bytes[sym + 12] & 0xf;
+                if (u16(sym + 14) === SHN_UNDEF
+                    || (kind !== STT_NOTYPE && kind !== STT_OBJECT && kind !== STT_FUNC)) {
+                    continue;
+                }
+                const start = strtab.offset + u32(sym);
+                let end = start;
+                while (end < strtab.offset + strtab.size && bytes[end] !== 0) {
+                    end++;
+                }
+                const name = decoder.decode(bytes.subarray(start, end));
+                // Skip the assembler's local labels like .L0
+                if (name !== '' && !name.startsWith('.L') && !symbols.has(name)) {
+                    symbols.set(name, u32(sym + 4));
+                }
+            }
+        }
+    }
+
+    return { type: 'ok', entry, segments, symbols };
+}
+
+// Copies the segments of a parsed ELF into memory, zeroing the rest of each
+// segment (.bss). Returns { type: 'ok' } or { type: 'error', message }.
+export function load_elf(elf, memory) {
+    for (const { address, data, mem_size } of elf.segments) {
+        if (mem_size === 0) {
+            continue;
+        }
+        const image = new Uint8Array(mem_size);
+        image.set(data);
+        if (memory.load(address, image) === null) {
+            const end = address + mem_size - 1;
+            return {
+                type: 'error',
+                message: `Segment 0x${address.toString(16)}-0x${end.toString(16)} doesn't fit in memory`,
+            };
+        }
+    }
+    return { type: 'ok' };
+}
+
+// A listing of segments and symbols in the format of the assembler's dump,
+// and a disassembly of the executable segments
+export function elf_dump(elf) {
+    const hex = (x) => `0x${(x >>> 0).toString(16).padStart(8, '0')}`;
+    const perms = (flags) =>
+        (flags & PF_R ? 'r' : '-') + (flags & PF_W ? 'w' : '-') + (flags & PF_X ? 'x' : '-');
+    const segments = elf.segments.map(({ address, data, mem_size, flags }) =>
+        `# ${hex(address)}-${hex(address + mem_size - 1)} ${perms(flags)} (${data.length} bytes from file)`);
+    const symbols = [...elf.symbols]
+        .sort(([, a], [, b]) => a - b)
+        .map(([name, address]) => `# ${hex(address)} ${name}`);
+    const code = elf.segments.filter(({ flags }) => flags & PF_X)
+        .map(({ address, data }) => disassembly_listing(data, address, elf.symbols));
+    return `# Entry\n# ${hex(elf.entry)}\n\n# Segments\n${segments.join('\n')}\n\n# Symbols\n${symbols.join('\n')}\n\n${code.join('\n\n')}\n`;
+}
+
+const SYMBOL_BINDINGS = new Map([
+    [ 'local', STB_LOCAL ],
+    [ 'global', STB_GLOBAL ],
+    [ 'weak', STB_WEAK ],
+]);
+
+// From the assembler's .type names
+const SYMBOL_TYPES = new Map([
+    [ 'notype', STT_NOTYPE ],
+    [ 'object', STT_OBJECT ],
+    [ 'function', STT_FUNC ],
+    [ 'section', STT_SECTION ],
+    [ 'common', STT_COMMON ],
+    [ 'tls_object', STT_TLS ],
+    [ 'gnu_indirect_function', STT_GNU_IFUNC ],
+]);
+
+const RELOCATION_TYPES = new Map([
+    [ 'R_RISCV_32', 1 ],
+    [ 'R_RISCV_BRANCH', 16 ],
+    [ 'R_RISCV_JAL', 17 ],
+    [ 'R_RISCV_CALL', 18 ],
+    [ 'R_RISCV_PCREL_HI20', 23 ],
+    [ 'R_RISCV_PCREL_LO12_I', 24 ],
+    [ 'R_RISCV_PCREL_LO12_S', 25 ],
+    [ 'R_RISCV_HI20', 26 ],
+    [ 'R_RISCV_LO12_I', 27 ],
+    [ 'R_RISCV_LO12_S', 28 ],
+]);
+
+// Names for .shstrtab and .strtab, deduplicated
+function string_table() {
+    const encoder = new TextEncoder();
+    const offsets = new Map([ [ '', 0 ] ]);
+    const parts = [ new Uint8Array(1) ];
+    let size = 1;
+    return {
+        add(name) {
+            if (! offsets.has(name)) {
+                const bytes = encoder.encode(`${name}\0`);
+                offsets.set(name, size);
+                parts.push(bytes);
+                size += bytes.length;
+            }
+            return offsets.get(name);
+        },
+        bytes() {
+            const bytes = new Uint8Array(size);
+            let at = 0;
+            for (const part of parts) {
+                bytes.set(part, at);
+                at += part.length;
+            }
+            return bytes;
+        }
+    };
+}
+
+const section_flags = (flags) => (flags.includes('w') ? SHF_WRITE : 0)
+    | (flags.includes('a') ? SHF_ALLOC : 0)
+    | (flags.includes('x') ? SHF_EXECINSTR : 0);
+
+// Lays out an ELF file. sections are { name, type, flags, address, align,
+// data, size, link, info, entsize } after the null section, with link
+// and info as indices. Executables get a PT_LOAD for each allocated section.
+// rvc marks code that may contain compressed instructions.
+function write_elf(type, entry, rvc, sections) {
+    const loads = type === ET_EXEC
+        ? sections.filter((section) => (section.flags & SHF_ALLOC) && section.size > 0)
+        : [];
+    const shstrtab = string_table();
+    for (const section of sections) {
+        section.name_offset = shstrtab.add(section.name);
+    }
+    const names = { name: '.shstrtab', type: SHT_STRTAB, flags: 0, address: 0, align: 1, link: 0, info: 0, entsize: 0 };
+    names.name_offset = shstrtab.add(names.name);
+    names.data = shstrtab.bytes();
+    names.size = names.data.length;
+    const all = [ ... sections, names ];
+
+    // Contents are aligned like their addresses so segments can be mapped
+    let size = 52 + loads.length * 32;
+    for (const section of all) {
+        const align = Math.max(section.align, 1);
+        size = Math.ceil(size / align) * align;
+        section.offset = size;
+        size += section.type === SHT_NOBITS ? 0 : section.size;
+    }
+    const shoff = Math.ceil(size / 4) * 4;
+    size = shoff + (all.length + 1) * 40;
+
+    const buffer = new ArrayBuffer(size);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const u16 = (offset, value) => view.setUint16(offset, value, /* littleEndian */ true);
+    const u32 = (offset, value) => view.setUint32(offset, value >>> 0, /* littleEndian */ true);
+
+    bytes.set([ 0x7f, 0x45, 0x4c, 0x46, ELFCLASS32, ELFDATA2LSB, 1 ]);
+    u16(16, type);
+    u16(18, EM_RISCV);
+    u32(20, 1); // e_version
+    u32(24, entry);
+    u32(28, loads.length ? 52 : 0);
+    u32(32, shoff);
+    u32(36, rvc ? EF_RISCV_RVC : 0);
+    u16(40, 52);
+    u16(42, 32);
+    u16(44, loads.length);
+    u16(46, 40);
+    u16(48, all.length + 1);
+    u16(50, all.length); // .shstrtab
+
+    loads.forEach((section, i) => {
+        const ph = 52 + i * 32;
+        u32(ph, PT_LOAD);
+        u32(ph + 4, section.offset);
+        u32(ph + 8, section.address);
+        u32(ph + 12, section.address);
+        u32(ph + 16, section.type === SHT_NOBITS ? 0 : section.size);
+        u32(ph + 20, section.size);
+        u32(ph + 24, PF_R
+            | (section.flags & SHF_WRITE ? PF_W : 0)
+            | (section.flags & SHF_EXECINSTR ? PF_X : 0));
+        u32(ph + 28, Math.max(section.align, 1));
+    });
+
+    all.forEach((section, i) => {
+        if (section.type !== SHT_NOBITS && section.data) {
+            bytes.set(section.data, section.offset);
+        }
+        const sh = shoff + (i + 1) * 40;
+        u32(sh, section.name_offset);
+        u32(sh + 4, section.type);
+        u32(sh + 8, section.flags);
+        u32(sh + 12, section.address);
+        u32(sh + 16, section.offset);
+        u32(sh + 20, section.size);
+        u32(sh + 24, section.link);
+        u32(sh + 28, section.info);
+        u32(sh + 32, Math.max(section.align, 1));
+        u32(sh + 36, section.entsize);
+    });
+
+    return buffer;
+}
+
+// .symtab and .strtab from { name, value, size, binding, type, shndx },
+// with the locals first as ELF requires, to go after before other
+// sections. Returns the sections and the symbol indices by name.
+function symbol_sections(symbols, before) {
+    const sorted = [
+        ... symbols.filter((symbol) => symbol.binding === 'local'),
+        ... symbols.filter((symbol) => symbol.binding !== 'local'),
+    ];
+    const strtab = string_table();
+    const data = new Uint8Array((sorted.length + 1) * 16);
+    const view = new DataView(data.buffer);
+    const indices = new Map();
+    sorted.forEach(({ name, value, size, binding, type, shndx }, i) => {
+        const sym = (i + 1) * 16;
+        view.setUint32(sym, type === 'section' ? 0 : strtab.add(name), /* littleEndian */ true);
+        view.setUint32(sym + 4, value >>> 0, /* littleEndian */ true);
+        view.setUint32(sym + 8, size ?? 0, /* littleEndian */ true);
+        view.setUint8(sym + 12, (SYMBOL_BINDINGS.get(binding) << 4) | SYMBOL_TYPES.get(type ?? 'notype'));
+        view.setUint16(sym + 14, shndx, /* littleEndian */ true);
+        indices.set(name, i + 1);
+    });
+    const names = strtab.bytes();
+    const first_global = 1 + sorted.filter((symbol) => symbol.binding === 'local').length;
+    return {
+        indices,
+        sections: [
+            { name: '.symtab', type: SHT_SYMTAB, flags: 0, address: 0, align: 4, data, size: data.length, link: before + 2, info: first_global, entsize: 16 },
+            { name: '.strtab', type: SHT_STRTAB, flags: 0, address: 0, align: 1, data: names, size: names.length, link: 0, info: 0, entsize: 0 },
+        ]
+    };
+}
+
+const content_sections = (sections) => sections.map(({ name, flags, nobits, address = 0, align = 4, size, data }) => ({
+    name,
+    type: nobits ? SHT_NOBITS : SHT_PROGBITS,
+    flags: section_flags(flags),
+    address, size,
+    // Instructions need at least 4 for code without the C extension
+    align: flags.includes('x') ? Math.max(align, 4) : align,
+    data: data && new Uint8Array(data),
+    link: 0, info: 0, entsize: 0
+}));
+
+// Symbols of linker_symbols in assembler.js at the end of a section
+const END_MARKERS = new Set([ '_etext', '_edata', '_end' ]);
+
+// An executable from the result of assemble_riscv or link_objects, with
+// the entry at _start or else origin. Symbols go in the section they were
+// defined in if that is known, else the one they point into, or the one
+// they end for the linker's end markers, or are absolute.
+export function write_elf_executable(program, origin) {
+    const sections = content_sections(program.sections);
+    const index_of = (name, address) => {
+        const defined_in = program.symbol_info?.get(name)?.section ?? null;
+        const i = (defined_in !== null)
+            ? program.sections.findIndex((section) => section.name === defined_in)
+            : program.sections.findIndex((section) => section.flags.includes('a')
+                && (END_MARKERS.has(name)
+                    ? address > section.address && address <= section.address + section.size
+                    : address >= section.address && address < section.address + section.size));
+        return i === -1 ? SHN_ABS : i + 1;
+    };
+    const symbols = [ ... program.symbols ].map(([ name, value ]) => {
+        // The linker only keeps globals
+        const { binding, type = null, size = null } = program.symbol_info?.get(name) ?? {};
+        return {
+            name, value, size, type,
+            binding: binding ?? (program.symbol_info ? 'local' : 'global'),
+            shndx: index_of(name, value)
+        };
+    });
+    const symtab = symbol_sections(symbols, sections.length);
+    return write_elf(ET_EXEC, program.symbols.get('_start') ?? origin, program.rvc, [ ... sections, ... symtab.sections ]);
+}
+
+// A relocatable object from the object of assemble_riscv with object set,
+// for GNU ld or lld
+export function write_elf_object(object) {
+    const sections = content_sections(object.sections);
+    const index_of = new Map(object.sections.map((section, i) => [ section.name, i + 1 ]));
+    const symbols = [ ... object.symbols ].map(([ name, symbol ]) => {
+        let shndx, value = symbol.value;
+        if (symbol.common !== null) {
+            shndx = SHN_COMMON;
+            value = symbol.common.align;
+        } else if (symbol.section === '*ABS*') {
+            shndx = SHN_ABS;
+        } else {
+            shndx = symbol.section === null ? SHN_UNDEF : index_of.get(symbol.section);
+        }
+        return { name, value, size: symbol.common?.size ?? symbol.size, binding: symbol.binding, type: symbol.type, shndx };
+    });
+
+    // .symtab goes after the sections and their .rela sections
+    const targets = object.sections.filter((section) =>
+        object.relocations.some((relocation) => relocation.section === section.name));
+    const symtab = symbol_sections(symbols, sections.length + targets.length);
+    const relas = targets.map((section) => {
+        const list = object.relocations.filter((relocation) => relocation.section === section.name);
+        const data = new Uint8Array(list.length * 12);
+        const view = new DataView(data.buffer);
+        list.forEach(({ offset, type, symbol, addend }, i) => {
+            const info = (symtab.indices.get(symbol) << 8) | RELOCATION_TYPES.get(type);
+            view.setUint32(i * 12, offset, /* littleEndian */ true);
+            view.setUint32(i * 12 + 4, info >>> 0, /* littleEndian */ true);
+            view.setInt32(i * 12 + 8, addend, /* littleEndian */ true);
+        });
+        return {
+            name: `.rela${section.name}`,
+            type: SHT_RELA,
+            flags: SHF_INFO_LINK,
+            address: 0, align: 4, data, size: data.length,
+            link: sections.length + targets.length + 1,
+            info: index_of.get(section.name),
+            entsize: 12
+        };
+    });
+    return write_elf(ET_REL, 0, object.rvc, [ ... sections, ... relas, ... symtab.sections ]);
+}
+
+const BINDING_NAMES = new Map([ ... SYMBOL_BINDINGS ].map(([ name, value ]) => [ value, name ]));
+const TYPE_NAMES = new Map([ ... SYMBOL_TYPES ].map(([ name, value ]) => [ value, name ]));
+const RELOCATION_NAMES = new Map([
+    ... [ ... RELOCATION_TYPES ].map(([ name, value ]) => [ value, name ]),
+    // R_RISCV_CALL_PLT, which GCC uses for calls, is R_RISCV_CALL without
+    // shared libraries
+    [ 19, 'R_RISCV_CALL' ],
+]);
+// R_RISCV_ALIGN and R_RISCV_RELAX only matter to linker relaxation, which
+// link_objects doesn't do
+const RELAXATION_TYPES = [ 43, 51 ];
+
+// Reads a relocatable object, from write_elf_object or GNU as, into the
+// object of assemble_riscv with object set for link_objects. Sections other
+// than PROGBITS and NOBITS are left out, with the symbols in them. Returns
+// { type: 'ok', object } or { type: 'error', message }.
+export function parse_elf_object(buffer) {
+    const header = parse_header(buffer);
+    if (header.type === 'error') {
+        return header;
+    }
+    const { view, bytes, fits, u16, u32 } = header;
+    if (header.elf_type !== ET_REL) {
+        return { type: 'error', message: `Not a relocatable object (e_type is ${header.elf_type})` };
+    }
+
+    const shoff = u32(32);
+    const shentsize = u16(46);
+    const shnum = u16(48);
+    const shstrndx = u16(50);
+    if (shoff === 0 || shentsize < 40 || !fits(shoff, shnum * shentsize) || shstrndx >= shnum) {
+        return { type: 'error', message: 'Truncated section headers' };
+    }
+
+    const headers = [];
+    for (let i = 0; i < shnum; i++) {
+        const sh = shoff + i * shentsize;
+        const section = {
+            name: u32(sh), type: u32(sh + 4), flags: u32(sh + 8), offset: u32(sh + 16),
+            size: u32(sh + 20), link: u32(sh + 24), info: u32(sh + 28), align: u32(sh + 32)
+        };
+        if (section.type !== SHT_NOBITS && !fits(section.offset, section.size)) {
+            return { type: 'error', message: `Section ${i} is truncated` };
+        }
+        headers.push(section);
+    }
+
+    const decoder = new TextDecoder();
+    const string = (table, offset) => {
+        const start = table.offset + offset;
+        let end = start;
+        while (end < table.offset + table.size && bytes[end] !== 0) {
+            end++;
+        }
+        return decoder.decode(bytes.subarray(start, end));
+    };
+    for (const section of headers) {
+        section.name = string(headers[shstrndx], section.name);
+    }
+
+    // Names of the sections kept by index. Code is at least aligned to
+    // instructions, even if the object does not say so.
+    const rvc = (u32(36) & EF_RISCV_RVC) !== 0;
+    const sections = [];
+    const kept = new Map();
+    headers.forEach(({ name, type, flags, offset, size, align }, i) => {
+        if (type !== SHT_PROGBITS && type !== SHT_NOBITS) {
+            return;
+        }
+        const nobits = type === SHT_NOBITS;
+        sections.push({
+            name,
+            flags: (flags & SHF_ALLOC ? 'a' : '') + (flags & SHF_WRITE ? 'w' : '') + (flags & SHF_EXECINSTR ? 'x' : ''),
+            nobits,
+            align: Math.max(align, flags & SHF_EXECINSTR ? (rvc ? 2 : 4) : 1),
+            size,
+            data: nobits ? null : buffer.slice(offset, offset + size)
+        });
+        kept.set(i, name);
+    });
+
+    // Symbols are keyed by name, so locals that share one get the index
+    // added to keep them apart
+    const symbols = new Map();
+    const names = [];
+    const symtab = headers.find((section) => section.type === SHT_SYMTAB);
+    if (symtab !== undefined) {
+        if (symtab.link >= shnum) {
+            return { type: 'error', message: 'Missing string table for .symtab' };
+        }
+        const strtab = headers[symtab.link];
+        for (let i = 1; i < symtab.size / 16; i++) {
+            const sym = symtab.offset + i * 16;
+            const kind = bytes[sym + 12] & 0xf;
+            const shndx = u16(sym + 14);
+            const type = kind === STT_NOTYPE ? null : TYPE_NAMES.get(kind);
+            let name = kind === STT_SECTION ? headers[shndx]?.name : string(strtab, u32(sym));
+            if (type === undefined || name === undefined) {
+                continue;
+            } else if (symbols.has(name)) {
+                name = `${name}@${i}`;
+            }
+
+            const value = u32(sym + 4);
+            const size = u32(sym + 8);
+            const section = shndx === SHN_UNDEF || shndx === SHN_COMMON ? null
+                : shndx === SHN_ABS ? '*ABS*'
+                : kept.get(shndx);
+            if (section === undefined) {
+                continue;
+            }
+            names[i] = name;
+            symbols.set(name, {
+                section,
+                value: shndx === SHN_COMMON ? 0 : value,
+                binding: BINDING_NAMES.get(bytes[sym + 12] >> 4) ?? 'global',
+                type,
+                size: size || null,
+                common: shndx === SHN_COMMON ? { size, align: Math.max(value, 1) } : null
+            });
+        }
+    }
+
+    const relocations = [];
+    for (const { name, type, offset, size, info } of headers) {
+        if (type === SHT_REL) {
+            return { type: 'error', message: `${name}: Only RELA relocations are supported` };
+        } else if (type !== SHT_RELA || !kept.has(info)) {
+            continue;
+        }
+        for (let at = offset; at + 12 <= offset + size; at += 12) {
+            const r_info = u32(at + 4);
+            const kind = r_info & 0xff;
+            if (RELAXATION_TYPES.includes(kind)) {
+                continue;
+            } else if (!RELOCATION_NAMES.has(kind)) {
+                return { type: 'error', message: `${name}: Unsupported relocation type ${kind}` };
+            } else if (names[r_info >>> 8] === undefined) {
+                return { type: 'error', message: `${name}: Relocation against unknown symbol ${r_info >>> 8}` };
+            }
+            relocations.push({
+                section: kept.get(info),
+                offset: u32(at),
+                type: RELOCATION_NAMES.get(kind),
+                symbol: names[r_info >>> 8],
+                addend: view.getInt32(at + 8, /* littleEndian */ true)
+            });
+        }
+    }
+
+    return { type: 'ok', object: { sections, symbols, relocations, rvc } };
+}
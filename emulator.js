@@ -1,74 +1,190 @@
 // SPDX-License-Identifier: CC0-1.0 OR 0BSD
 
+import {
+    fadd, fsub, fmul, fdiv, fsqrt, fmadd, fmin, fmax, fcompare, fclass,
+    fcvt_to_int, fcvt_from_int
+} from './softfloat.js';
+
+// The bus: devices registered at non-overlapping address ranges. An access
+// goes to the device containing all of its bytes, otherwise it fails.
+// Watchpoints on physical address ranges record the reads and writes that
+// touch them, for RiscvState.step() to report.
 export class RiscvMemory {
-    constructor(size) {
-        this.memory = new ArrayBuffer(size);
-        this.memory_view = new DataView(this.memory);
-        this.mem_base = 0x4000_0000;
-        this.debug_base = 0x1000_0000;
-    }
-
-    fetch(address) {
-        const mem_top = this.mem_base + this.memory.byteLength;
-        if (this.mem_base <= address && address <= mem_top - 4) {
-            const offset = address - this.mem_base;
-            return this.memory_view.getUint32(offset, true);
-        } else {
-            return null;
+    constructor(devices = []) {
+        this.devices = [];
+        this.watchpoints = [];
+        this.watch_hits = [];
+        this.next_watchpoint = 1;
+        // Undo log of the step being recorded, see RiscvState.record_history
+        this.journal = null;
+        for (const { base, device, name } of devices) {
+            this.attach(base, device, name);
         }
     }
 
-    read(address, width) {
-        const mem_top = this.mem_base + this.memory.byteLength;
-        if (this.mem_base <= address && address <= mem_top - width) {
-            const offset = address - this.mem_base;
-            if (width === 1) {
-                return this.memory_view.getUint8(offset);
-            } else if (width === 2) {
-                return this.memory_view.getUint16(offset, /* littleEndian */ true);
-            } else if (width === 4) {
-                return this.memory_view.getUint32(offset, /* littleEndian */ true);
-            } else {
-                return null;
+    attach(base, device, name = device.constructor.name) {
+        const end = base + device.size;
+        for (const other of this.devices) {
+            if (base < other.base + other.device.size && other.base < end) {
+                throw new Error(`${name} at 0x${base.toString(16)} overlaps ${other.name} at 0x${other.base.toString(16)}`);
             }
-        } else if (address === this.debug_base) {
-            if (width === 4 || width == 1) {
-                return 0;
-            } else {
-                return null;
+        }
+        this.devices.push({ name, base, device });
+        this.devices.sort((a, b) => a.base - b.base);
+        return device;
+    }
+
+    // Returns the entry whose range contains [address, address + width)
+    find(address, width) {
+        for (const entry of this.devices) {
+            if (entry.base <= address && address + width <= entry.base + entry.device.size) {
+                return entry;
             }
-        } else {
+        }
+        return null;
+    }
+
+    // Advances devices' clocks, called once per cycle
+    tick() {
+        for (const { device } of this.devices) {
+            if (device.tick) {
+                if (! device.untick) {
+                    this.save_device(device);
+                }
+                device.tick();
+            }
+        }
+    }
+
+    // mip bits driven by devices
+    pending_interrupts() {
+        let bits = 0;
+        for (const { device } of this.devices) {
+            if (device.pending_interrupts) {
+                bits |= device.pending_interrupts();
+            }
+        }
+        return bits;
+    }
+
+    // The [low, high] words of mtime, for the time CSR
+    time() {
+        for (const { device } of this.devices) {
+            if (device.time) {
+                return device.time();
+            }
+        }
+        return [ 0, 0 ];
+    }
+
+    // Copies bytes into the device at address, used to load programs
+    load(address, bytes) {
+        const entry = this.find(address, bytes.length);
+        if (entry === null || !entry.device.load) {
+            return null;
+        }
+        return entry.device.load(address - entry.base, bytes);
+    }
+
+    fetch(address, width) {
+        const entry = this.find(address, width);
+        if (entry === null || !entry.device.fetch) {
             return null;
         }
+        return entry.device.fetch(address - entry.base, width);
+    }
+
+    // Implicit reads, like those of page tables, pass watch = false so they
+    // do not hit watchpoints
+    read(address, width, watch = true) {
+        const entry = this.find(address, width);
+        if (entry === null) {
+            return null;
+        }
+        this.save_device(entry.device);
+        const value = entry.device.read(address - entry.base, width);
+        if (value !== null && watch && this.watchpoints.length) {
+            this.check_watchpoints('read', address, width, value, value);
+        }
+        return value;
     }
 
     write(address, width, data) {
-        const mem_top = this.mem_base + this.memory.byteLength;
-        if (this.mem_base <= address && address <= mem_top - width) {
-            const offset = address - this.mem_base;
-            if (width === 1) {
-                this.memory_view.setUint8(offset, data);
-                return true;
-            } else if (width === 2) {
-                this.memory_view.setUint16(offset, data, /* littleEndian */ true);
-                return true;
-            } else if (width === 4) {
-                this.memory_view.setUint32(offset, data, /* littleEndian */ true);
-                return true;
+        const entry = this.find(address, width);
+        if (entry === null) {
+            return null;
+        }
+        // Reads can have side effects on devices, the old value is only
+        // known for memory that code can run from
+        const old_value = (this.watchpoints.length || this.journal) && entry.device.fetch
+            ? entry.device.fetch(address - entry.base, width) : null;
+        this.save_device(entry.device);
+        const res = entry.device.write(address - entry.base, width, data);
+        if (res !== null && this.journal && old_value !== null) {
+            this.journal.push({ device: entry.device, offset: address - entry.base, width, old_value });
+        }
+        if (res !== null && this.watchpoints.length) {
+            this.check_watchpoints('write', address, width, old_value, data >>> 0);
+        }
+        return res;
+    }
+
+    // Saves the state of a device before the step being recorded accesses it
+    save_device(device) {
+        if (this.journal && device.save) {
+            this.journal.push({ device, saved: device.save() });
+        }
+    }
+
+    // Undoes the journal of a step, latest changes first. Ticks come first
+    // in a step, so they are undone last.
+    undo(journal) {
+        for (let i = journal.length - 1; i >= 0; i--) {
+            const { device, offset, width, old_value, saved } = journal[i];
+            if (saved) {
+                device.restore(saved);
             } else {
-                return null;
+                device.write(offset, width, old_value);
             }
-        } else if (address === this.debug_base) {
-            if (width === 4 || width == 1) {
-                console.log(`${(data & 0xff).toString(16).padStart(2, '0')} (${String.fromCodePoint(data & 0xff)})`);
-                return true;
-            } else {
-                return null;
+        }
+        for (const { device } of this.devices) {
+            if (device.tick && device.untick) {
+                device.untick();
             }
-        } else {
-            return null;
         }
     }
+
+    // Watches [start, end) for access 'read', 'write' or 'both'. With a
+    // value, only accesses that read or write it count. Returns an id for
+    // remove_watchpoint.
+    add_watchpoint({ start, end, access = 'both', value = null }) {
+        const id = this.next_watchpoint++;
+        this.watchpoints.push({ id, start, end, access, value });
+        return id;
+    }
+
+    remove_watchpoint(id) {
+        this.watchpoints = this.watchpoints.filter((watchpoint) => watchpoint.id !== id);
+    }
+
+    check_watchpoints(access, address, width, old_value, new_value) {
+        for (const watchpoint of this.watchpoints) {
+            if (address < watchpoint.end && watchpoint.start < address + width
+                && (watchpoint.access === 'both' || watchpoint.access === access)
+                && (watchpoint.value === null || watchpoint.value >>> 0 === new_value)) {
+                this.watch_hits.push({ watchpoint, access, address, width, old_value, new_value });
+            }
+        }
+    }
+
+    memory_map() {
+        return this.devices.map(({ name, base, device }) => ({
+            name,
+            start: base,
+            end: base + device.size - 1,
+            executable: !!device.fetch,
+        }));
+    }
 }
 
 const CAUSE_CODE = {
@@ -76,61 +192,515 @@ const CAUSE_CODE = {
     fetch_access: 0x01,
     illegal_instruction: 0x02,
     breakpoint: 0x03,
+    misaligned_load: 0x04,
     load_access: 0x05,
+    misaligned_store: 0x06,
     store_access: 0x07,
     user_ecall: 0x08,
+    supervisor_ecall: 0x09,
     machine_ecall: 0x0B,
+    fetch_page_fault: 0x0C,
+    load_page_fault: 0x0D,
+    store_page_fault: 0x0F,
 }
 
+const INTERRUPT_CODE = {
+    supervisor_software: 1,
+    machine_software: 3,
+    supervisor_timer: 5,
+    machine_timer: 7,
+    supervisor_external: 9,
+    machine_external: 11,
+}
+
+const INTERRUPT_PRIORITY = [
+    INTERRUPT_CODE.machine_external, INTERRUPT_CODE.machine_software, INTERRUPT_CODE.machine_timer,
+    INTERRUPT_CODE.supervisor_external, INTERRUPT_CODE.supervisor_software, INTERRUPT_CODE.supervisor_timer,
+];
+
+// Bits of mie/mip that are implemented
+const MIE_MASK = 0xaaa;
+// Only S-level interrupts can be delegated, and all exceptions except
+// ecall from M-mode
+const MIDELEG_MASK = 0x222;
+const MEDELEG_MASK = 0xb3ff;
+
+// Writable mstatus fields, and the subset visible as sstatus
+const SSTATUS_MASK = 0x000c_6122; // SIE, SPIE, SPP, FS, SUM, MXR
+const MSTATUS_MASK = 0x007e_79aa; // and MIE, MPIE, MPP, MPRV, TVM, TW, TSR
+
+const PAGE_SIZE = 4096;
+
+const PMP_CFG = { r: 1 << 0, w: 1 << 1, x: 1 << 2, l: 1 << 7 };
+// pmpcfg.A
+const PMP_MODES = [ 'OFF', 'TOR', 'NA4', 'NAPOT' ];
+
+const PTE = { v: 1 << 0, r: 1 << 1, w: 1 << 2, x: 1 << 3, u: 1 << 4, g: 1 << 5, a: 1 << 6, d: 1 << 7 };
+
+const PAGE_FAULT = {
+    fetch: CAUSE_CODE.fetch_page_fault,
+    load: CAUSE_CODE.load_page_fault,
+    store: CAUSE_CODE.store_page_fault,
+};
+
+const ACCESS_FAULT = {
+    fetch: CAUSE_CODE.fetch_access,
+    load: CAUSE_CODE.load_access,
+    store: CAUSE_CODE.store_access,
+};
+
+const MISALIGNED = {
+    load: CAUSE_CODE.misaligned_load,
+    store: CAUSE_CODE.misaligned_store,
+};
+
 function increment(ctr) {
     ctr[1] = (ctr[1] + (ctr[0] + 1 > 0xffff_ffff)) >>> 0;
     ctr[0] = (ctr[0] + 1) >>> 0;
 }
 
+// High 32 bits of the unsigned 64-bit product. Split into 16-bit halves so
+// every partial product stays exact in a double.
+function mulhu(a, b) {
+    const a_lo = a & 0xffff, a_hi = a >>> 16;
+    const b_lo = b & 0xffff, b_hi = b >>> 16;
+
+    const lo_lo = a_lo * b_lo;
+    const hi_lo = a_hi * b_lo;
+    const lo_hi = a_lo * b_hi;
+    const hi_hi = a_hi * b_hi;
+
+    const mid = (lo_lo >>> 16) + (hi_lo & 0xffff) + (lo_hi & 0xffff);
+    return (hi_hi + (hi_lo >>> 16) + (lo_hi >>> 16) + (mid >>> 16)) >>> 0;
+}
+
+// Signed variants: a negative operand contributes -2^32 * other, which only
+// touches the high word.
+function mulh(a, b) {
+    return (mulhu(a, b) - ((a >> 31) & b) - ((b >> 31) & a)) >>> 0;
+}
+
+function mulhsu(a, b) {
+    return (mulhu(a, b) - ((a >> 31) & b)) >>> 0;
+}
+
+function muldiv(funct3, a, b) {
+    if (funct3 === 0b000) { // mul
+        return Math.imul(a, b) >>> 0;
+    } else if (funct3 === 0b001) { // mulh
+        return mulh(a, b);
+    } else if (funct3 === 0b010) { // mulhsu
+        return mulhsu(a, b);
+    } else if (funct3 === 0b011) { // mulhu
+        return mulhu(a, b);
+    } else if (funct3 === 0b100) { // div
+        if (b === 0) {
+            return 0xffff_ffff;
+        } else if (a === 0x8000_0000 && b === 0xffff_ffff) {
+            return a; // overflow
+        } else {
+            return Math.trunc((a | 0) / (b | 0)) >>> 0;
+        }
+    } else if (funct3 === 0b101) { // divu
+        return (b === 0) ? 0xffff_ffff : Math.floor(a / b) >>> 0;
+    } else if (funct3 === 0b110) { // rem
+        if (b === 0) {
+            return a;
+        } else if (a === 0x8000_0000 && b === 0xffff_ffff) {
+            return 0; // overflow
+        } else {
+            return ((a | 0) % (b | 0)) >>> 0;
+        }
+    } else { // remu
+        return (b === 0) ? a : (a % b) >>> 0;
+    }
+}
+
+// funct5 -> (loaded value, rs2) => stored value. lr.w and sc.w are handled
+// separately but listed so that the decoder accepts them.
+const AMO_OPS = new Map([
+    [ 0b00010, null ], // lr.w
+    [ 0b00011, null ], // sc.w
+    [ 0b00001, (a, b) => b ], // amoswap.w
+    [ 0b00000, (a, b) => (a + b) >>> 0 ], // amoadd.w
+    [ 0b00100, (a, b) => (a ^ b) >>> 0 ], // amoxor.w
+    [ 0b01100, (a, b) => (a & b) >>> 0 ], // amoand.w
+    [ 0b01000, (a, b) => (a | b) >>> 0 ], // amoor.w
+    [ 0b10000, (a, b) => ((a | 0) < (b | 0)) ? a : b ], // amomin.w
+    [ 0b10100, (a, b) => ((a | 0) > (b | 0)) ? a : b ], // amomax.w
+    [ 0b11000, (a, b) => (a < b) ? a : b ], // amominu.w
+    [ 0b11100, (a, b) => (a > b) ? a : b ], // amomaxu.w
+]);
+
+// OP-FP instructions. a and b are the rs1 and rs2 FP registers and x is the
+// rs1 integer register. Returns { value, flags, int } where int is set if the
+// result goes to an integer register, or null for illegal encodings.
+function fp_op(funct7, funct3, rs2, a, b, x, rm) {
+    const rounded = [ 0b0000000, 0b0000100, 0b0001000, 0b0001100, 0b0101100, 0b1100000, 0b1101000 ];
+    if (rounded.includes(funct7) && rm === null) {
+        return null;
+    }
+
+    if (funct7 === 0b0000000) { // fadd.s
+        return fadd(a, b, rm);
+    } else if (funct7 === 0b0000100) { // fsub.s
+        return fsub(a, b, rm);
+    } else if (funct7 === 0b0001000) { // fmul.s
+        return fmul(a, b, rm);
+    } else if (funct7 === 0b0001100) { // fdiv.s
+        return fdiv(a, b, rm);
+    } else if (funct7 === 0b0101100 && rs2 === 0) { // fsqrt.s
+        return fsqrt(a, rm);
+    } else if (funct7 === 0b0010000 && funct3 <= 0b010) { // fsgnj.s, fsgnjn.s, fsgnjx.s
+        const sign = (funct3 === 0b000) ? b : (funct3 === 0b001) ? ~b : (a ^ b);
+        return { value: ((a & 0x7fff_ffff) | (sign & 0x8000_0000)) >>> 0, flags: 0 };
+    } else if (funct7 === 0b0010100 && funct3 <= 0b001) { // fmin.s, fmax.s
+        return (funct3 === 0b000) ? fmin(a, b) : fmax(a, b);
+    } else if (funct7 === 0b1100000 && rs2 <= 1) { // fcvt.w.s, fcvt.wu.s
+        return { ... fcvt_to_int(a, rs2 === 0, rm), int: true };
+    } else if (funct7 === 0b1110000 && rs2 === 0 && funct3 === 0b000) { // fmv.x.w
+        return { value: a, flags: 0, int: true };
+    } else if (funct7 === 0b1110000 && rs2 === 0 && funct3 === 0b001) { // fclass.s
+        return { value: fclass(a), flags: 0, int: true };
+    } else if (funct7 === 0b1010000 && funct3 <= 0b010) { // fle.s, flt.s, feq.s
+        return { ... fcompare(a, b, [ 'le', 'lt', 'eq' ][funct3]), int: true };
+    } else if (funct7 === 0b1101000 && rs2 <= 1) { // fcvt.s.w, fcvt.s.wu
+        return fcvt_from_int(x, rs2 === 0, rm);
+    } else if (funct7 === 0b1111000 && rs2 === 0 && funct3 === 0b000) { // fmv.w.x
+        return { value: x, flags: 0 };
+    } else {
+        return null;
+    }
+}
+
+// Extracts insn[hi:lo]
+function bits(insn, hi, lo) {
+    return (insn >>> lo) & ((1 << (hi - lo + 1)) - 1);
+}
+
+function sign_extend(value, width) {
+    return value << (32 - width) >> (32 - width);
+}
+
+function encode_r(funct7, rs2, rs1, funct3, rd, opcode) {
+    return ((funct7 << 25) | (rs2 << 20) | (rs1 << 15) | (funct3 << 12) | (rd << 7) | opcode) >>> 0;
+}
+
+function encode_i(imm, rs1, funct3, rd, opcode) {
+    return (((imm & 0xfff) << 20) | (rs1 << 15) | (funct3 << 12) | (rd << 7) | opcode) >>> 0;
+}
+
+function encode_s(imm, rs2, rs1, funct3, opcode) {
+    return ((((imm >> 5) & 0x7f) << 25) | (rs2 << 20) | (rs1 << 15) | (funct3 << 12)
+        | ((imm & 0x1f) << 7) | opcode) >>> 0;
+}
+
+function encode_b(imm, rs2, rs1, funct3) {
+    return ((((imm >> 12) & 0b1) << 31) | (((imm >> 5) & 0x3f) << 25) | (rs2 << 20) | (rs1 << 15)
+        | (funct3 << 12) | (((imm >> 1) & 0xf) << 8) | (((imm >> 11) & 0b1) << 7) | 0b1100011) >>> 0;
+}
+
+function encode_j(imm, rd) {
+    return ((((imm >> 20) & 0b1) << 31) | (((imm >> 1) & 0x3ff) << 21) | (((imm >> 11) & 0b1) << 20)
+        | (((imm >> 12) & 0xff) << 12) | (rd << 7) | 0b1101111) >>> 0;
+}
+
+// Translates a 16-bit RVC instruction into the equivalent 32-bit one, or
+// returns null if it is reserved or not supported (RV64/RV128 and D forms).
+// The F forms are expanded regardless of mstatus.FS, which is checked when
+// the expanded instruction executes.
+export function expand_compressed(c) {
+    const funct3 = bits(c, 15, 13);
+    const rd = bits(c, 11, 7);
+    const rs2 = bits(c, 6, 2);
+    // The 3-bit register fields address x8-x15
+    const rd_ = 8 + bits(c, 4, 2);
+    const rs1_ = 8 + bits(c, 9, 7);
+    const imm6 = sign_extend((bits(c, 12, 12) << 5) | bits(c, 6, 2), 6);
+
+    if ((c & 0b11) === 0b00) {
+        if (funct3 === 0b000) { // c.addi4spn
+            const nzuimm = (bits(c, 12, 11) << 4) | (bits(c, 10, 7) << 6)
+                | (bits(c, 6, 6) << 2) | (bits(c, 5, 5) << 3);
+            return nzuimm === 0 ? null : encode_i(nzuimm, 2, 0b000, rd_, 0b0010011);
+        } else if (funct3 === 0b010) { // c.lw
+            const uimm = (bits(c, 12, 10) << 3) | (bits(c, 6, 6) << 2) | (bits(c, 5, 5) << 6);
+            return encode_i(uimm, rs1_, 0b010, rd_, 0b0000011);
+        } else if (funct3 === 0b110) { // c.sw
+            const uimm = (bits(c, 12, 10) << 3) | (bits(c, 6, 6) << 2) | (bits(c, 5, 5) << 6);
+            return encode_s(uimm, rd_, rs1_, 0b010, 0b0100011);
+        } else if (funct3 === 0b011) { // c.flw
+            const uimm = (bits(c, 12, 10) << 3) | (bits(c, 6, 6) << 2) | (bits(c, 5, 5) << 6);
+            return encode_i(uimm, rs1_, 0b010, rd_, 0b0000111);
+        } else if (funct3 === 0b111) { // c.fsw
+            const uimm = (bits(c, 12, 10) << 3) | (bits(c, 6, 6) << 2) | (bits(c, 5, 5) << 6);
+            return encode_s(uimm, rd_, rs1_, 0b010, 0b0100111);
+        } else {
+            return null;
+        }
+    } else if ((c & 0b11) === 0b01) {
+        if (funct3 === 0b000) { // c.addi, c.nop
+            return encode_i(imm6, rd, 0b000, rd, 0b0010011);
+        } else if (funct3 === 0b001 || funct3 === 0b101) { // c.jal, c.j
+            const imm = sign_extend(
+                (bits(c, 12, 12) << 11) | (bits(c, 11, 11) << 4) | (bits(c, 10, 9) << 8)
+                | (bits(c, 8, 8) << 10) | (bits(c, 7, 7) << 6) | (bits(c, 6, 6) << 7)
+                | (bits(c, 5, 3) << 1) | (bits(c, 2, 2) << 5), 12);
+            return encode_j(imm, funct3 === 0b001 ? 1 : 0);
+        } else if (funct3 === 0b010) { // c.li
+            return encode_i(imm6, 0, 0b000, rd, 0b0010011);
+        } else if (funct3 === 0b011 && rd === 2) { // c.addi16sp
+            const imm = sign_extend(
+                (bits(c, 12, 12) << 9) | (bits(c, 6, 6) << 4) | (bits(c, 5, 5) << 6)
+                | (bits(c, 4, 3) << 7) | (bits(c, 2, 2) << 5), 10);
+            return imm === 0 ? null : encode_i(imm, 2, 0b000, 2, 0b0010011);
+        } else if (funct3 === 0b011) { // c.lui
+            return imm6 === 0 ? null : ((imm6 << 12) | (rd << 7) | 0b0110111) >>> 0;
+        } else if (funct3 === 0b100) {
+            const funct2 = bits(c, 11, 10);
+            if (funct2 === 0b00 || funct2 === 0b01) { // c.srli, c.srai
+                // shamt[5] must be zero on RV32
+                return bits(c, 12, 12)
+                    ? null
+                    : encode_i((funct2 << 10) | rs2, rs1_, 0b101, rs1_, 0b0010011);
+            } else if (funct2 === 0b10) { // c.andi
+                return encode_i(imm6, rs1_, 0b111, rs1_, 0b0010011);
+            } else if (bits(c, 12, 12) === 0) { // c.sub, c.xor, c.or, c.and
+                const op = bits(c, 6, 5);
+                const funct7 = op === 0b00 ? 0b0100000 : 0;
+                const alu_funct3 = [ 0b000, 0b100, 0b110, 0b111 ][op];
+                return encode_r(funct7, rd_, rs1_, alu_funct3, rs1_, 0b0110011);
+            } else {
+                return null;
+            }
+        } else { // c.beqz, c.bnez
+            const imm = sign_extend(
+                (bits(c, 12, 12) << 8) | (bits(c, 11, 10) << 3) | (bits(c, 6, 5) << 6)
+                | (bits(c, 4, 3) << 1) | (bits(c, 2, 2) << 5), 9);
+            return encode_b(imm, 0, rs1_, funct3 & 0b001);
+        }
+    } else {
+        if (funct3 === 0b000) { // c.slli
+            return bits(c, 12, 12) ? null : encode_i(rs2, rd, 0b001, rd, 0b0010011);
+        } else if (funct3 === 0b010) { // c.lwsp
+            const uimm = (bits(c, 12, 12) << 5) | (bits(c, 6, 4) << 2) | (bits(c, 3, 2) << 6);
+            return rd === 0 ? null : encode_i(uimm, 2, 0b010, rd, 0b0000011);
+        } else if (funct3 === 0b011) { // c.flwsp
+            const uimm = (bits(c, 12, 12) << 5) | (bits(c, 6, 4) << 2) | (bits(c, 3, 2) << 6);
+            return encode_i(uimm, 2, 0b010, rd, 0b0000111);
+        } else if (funct3 === 0b100) {
+            if (bits(c, 12, 12) === 0) {
+                if (rs2 === 0) { // c.jr
+                    return rd === 0 ? null : encode_i(0, rd, 0b000, 0, 0b1100111);
+                } else { // c.mv
+                    return encode_r(0, rs2, 0, 0b000, rd, 0b0110011);
+                }
+            } else {
+                if (rd === 0 && rs2 === 0) { // c.ebreak
+                    return 0x00100073;
+                } else if (rs2 === 0) { // c.jalr
+                    return encode_i(0, rd, 0b000, 1, 0b1100111);
+                } else { // c.add
+                    return encode_r(0, rs2, rd, 0b000, rd, 0b0110011);
+                }
+            }
+        } else if (funct3 === 0b110) { // c.swsp
+            const uimm = (bits(c, 12, 9) << 2) | (bits(c, 8, 7) << 6);
+            return encode_s(uimm, rs2, 2, 0b010, 0b0100011);
+        } else if (funct3 === 0b111) { // c.fswsp
+            const uimm = (bits(c, 12, 9) << 2) | (bits(c, 8, 7) << 6);
+            return encode_s(uimm, rs2, 2, 0b010, 0b0100111);
+        } else {
+            return null;
+        }
+    }
+}
+
+// Fields of RiscvState that step_back doesn't restore
+const UNRECORDED_FIELDS = new Set([ 'memory', 'pmp_cache', 'history', 'history_limit', 'shadow' ]);
+
 export class RiscvState {
     constructor(memory) {
         this.memory = memory;
         this.regs = new Uint32Array(32);
         this.pc = 0;
 
+        // FP registers hold raw single precision bit patterns
+        this.fregs = new Uint32Array(32);
+        this.fflags = 0;
+        this.frm = 0;
+        // mstatus.FS: 0 off, 1 initial, 2 clean, 3 dirty
+        this.fs = 1;
+
         this.priv = 3;
+
+        // mstatus fields
+        this.mstatus_sie = 0;
+        this.mstatus_mie = 0;
+        this.mstatus_spie = 0;
+        this.mstatus_mpie = 0;
+        this.spp = 0;
         this.mpp = 0;
+        this.mprv = 0;
+        this.sum = 0;
+        this.mxr = 0;
+        this.tvm = 0;
+        this.tw = 0;
+        this.tsr = 0;
+
+        this.medeleg = 0;
+        this.mideleg = 0;
+        this.mie = 0;
+        // Software-writable bits of mip (SSIP, STIP and SEIP)
+        this.mip_soft = 0;
         this.mscratch = 0;
         this.mepc = 0;
         this.mcause = 0;
         this.mtval = 0;
         this.mtvec = 0;
 
+        this.sscratch = 0;
+        this.sepc = 0;
+        this.scause = 0;
+        this.stval = 0;
+        this.stvec = 0;
+        this.satp = 0;
+
+        // One configuration byte per PMP entry
+        this.pmpcfg = new Uint8Array(16);
+        this.pmpaddr = new Uint32Array(16);
+        // Decoded pmp_regions(), reset when the PMP CSRs are written
+        this.pmp_cache = null;
+
+        // Set by wfi until an interrupt becomes pending
+        this.waiting = false;
+
+        // Address of the word reserved by lr.w, or null
+        this.reservation = null;
+
         this.cycle = [ 0, 0 ];
         this.instret = [ 0, 0 ];
+
+        // Undo log of the last history_limit steps, see record_history
+        this.history = [];
+        this.history_limit = 0;
+        // Copies of the fields as of the end of the last recorded step
+        this.shadow = null;
     }
 
     dump_state() {
         return {
             pc: this.pc,
             regs: new Uint32Array(this.regs),
+            mstatus: this.mstatus(),
+            fregs: new Uint32Array(this.fregs),
+            fflags: this.fflags, frm: this.frm, fs: this.fs,
 
             // XXX: There might be an easier way
             priv: this.priv, mpp: this.mpp, mscratch: this.mscratch,
+            mie: this.mie, mip: this.mip(), waiting: this.waiting,
             mepc: this.mepc, mcause: this.mcause, mtval: this.mtval,
-            mtvec: this.mtvec,
+            mtvec: this.mtvec, medeleg: this.medeleg, mideleg: this.mideleg,
+            spp: this.spp, sscratch: this.sscratch, sepc: this.sepc,
+            scause: this.scause, stval: this.stval, stvec: this.stvec,
+            satp: this.satp,
+            pmpcfg: new Uint8Array(this.pmpcfg), pmpaddr: new Uint32Array(this.pmpaddr),
             cycle: [... this.cycle], instret: [... this.instret]
         };
     }
 
     write_csr(num, value) {
-        if (this.priv < 3)
+        // csr[9:8] is the lowest privilege that can access it, and csr[11:10]
+        // = 0b11 marks it read-only
+        if (this.priv < ((num >>> 8) & 0b11) || (num >>> 10) === 0b11)
             return null;
 
-        if (num === 0x300) { // mstatus
-            const mpp = (value >> 11) & 0b11;
-            this.mpp = (mpp == 3) ? 3 : 0;
+        if (num === 0x001 || num === 0x002 || num === 0x003) { // fflags, frm, fcsr
+            if (this.fs === 0)
+                return null;
+
+            if (num !== 0x002)
+                this.fflags = value & 0b11111;
+            if (num !== 0x001)
+                this.frm = (num === 0x002 ? value : value >>> 5) & 0b111;
+            this.fs = 3;
+            return true;
+        } else if (num === 0x100) { // sstatus
+            this.set_mstatus(value, SSTATUS_MASK);
+            return true;
+        } else if (num === 0x104) { // sie
+            this.mie = ((this.mie & ~this.mideleg) | (value & this.mideleg)) >>> 0;
+            return true;
+        } else if (num === 0x144) { // sip
+            // Only SSIP is writable from S-mode
+            const mask = this.mideleg & (1 << INTERRUPT_CODE.supervisor_software);
+            this.mip_soft = ((this.mip_soft & ~mask) | (value & mask)) >>> 0;
+            return true;
+        } else if (num === 0x105) {
+            this.stvec = (value & ~0b10) >>> 0;
+            return true;
+        } else if (num === 0x140) {
+            this.sscratch = value;
+            return true;
+        } else if (num === 0x141) {
+            this.sepc = (value & ~0b1) >>> 0;
+            return true;
+        } else if (num === 0x142) {
+            this.scause = value;
+            return true;
+        } else if (num === 0x143) {
+            this.stval = value;
+            return true;
+        } else if (num === 0x180) { // satp
+            if (this.priv === 1 && this.tvm)
+                return null;
+            this.satp = value;
+            return true;
+        } else if (num === 0x300) { // mstatus
+            this.set_mstatus(value, MSTATUS_MASK);
+            return true;
+        } else if (num === 0x302) {
+            this.medeleg = value & MEDELEG_MASK;
+            return true;
+        } else if (num === 0x303) {
+            this.mideleg = value & MIDELEG_MASK;
+            return true;
+        } else if (num === 0x304) { // mie
+            this.mie = value & MIE_MASK;
+            return true;
+        } else if (num === 0x344) { // mip
+            // The M-level bits are driven by devices
+            this.mip_soft = value & MIDELEG_MASK;
+            return true;
+        } else if (0x3a0 <= num && num <= 0x3a3) { // pmpcfg0-3
+            for (let i = 0; i < 4; i ++) {
+                const entry = (num - 0x3a0) * 4 + i;
+                if (this.pmpcfg[entry] & PMP_CFG.l)
+                    continue;
+
+                let cfg = (value >>> (8 * i)) & 0b1001_1111;
+                // R = 0, W = 1 is reserved
+                if (! (cfg & PMP_CFG.r))
+                    cfg &= ~PMP_CFG.w;
+                this.pmpcfg[entry] = cfg;
+            }
+            this.pmp_cache = null;
+            return true;
+        } else if (0x3b0 <= num && num <= 0x3bf) { // pmpaddr0-15
+            // A locked TOR entry also locks the address below it
+            const entry = num - 0x3b0;
+            const locked = (this.pmpcfg[entry] & PMP_CFG.l)
+                || (entry < 15 && (this.pmpcfg[entry + 1] & PMP_CFG.l)
+                    && PMP_MODES[(this.pmpcfg[entry + 1] >>> 3) & 0b11] === 'TOR');
+            if (! locked)
+                this.pmpaddr[entry] = value;
+            this.pmp_cache = null;
             return true;
         } else if (num === 0x340) {
             this.mscratch = value;
             return true;
         } else if (num === 0x341) {
-            this.mepc = (value & ~0b11) >>> 0;
+            this.mepc = (value & ~0b1) >>> 0;
             return true;
         } else if (num === 0x342) {
             this.mcause = value;
@@ -139,7 +709,8 @@ export class RiscvState {
             this.mtval = value;
             return true;
         } else if (num === 0x305) {
-            this.mtvec = (value & ~0b11) >>> 0;
+            // Direct (0) and vectored (1) modes only
+            this.mtvec = (value & ~0b10) >>> 0;
             return true;
         } else {
             return null;
@@ -147,21 +718,62 @@ export class RiscvState {
     }
 
     read_csr(num) {
+        if (this.priv < ((num >>> 8) & 0b11))
+            return null;
+
         if (num == 0xc00) {         // cycle
             return this.cycle[0];
         } else if (num == 0xc02) {  // instret
             return this.instret[0];
+        } else if (num == 0xc01) {  // time
+            return this.memory.time()[0];
         } else if (num == 0xc80) {  // cycleh
             return this.cycle[1];
+        } else if (num == 0xc81) {  // timeh
+            return this.memory.time()[1];
         } else if (num == 0xc82) {  // instreth
             return this.instret[1];
-        }
-
-        if (this.priv < 3)
-            return null;
+        } else if (num === 0x001 || num === 0x002 || num === 0x003) { // fflags, frm, fcsr
+            if (this.fs === 0)
+                return null;
 
-        if (num === 0x300) { // mstatus
-            return (this.mpp << 11) >>> 0;
+            return (num === 0x001) ? this.fflags
+                : (num === 0x002) ? this.frm
+                : (this.frm << 5) | this.fflags;
+        } else if (num === 0x100) { // sstatus
+            return (this.mstatus() & (SSTATUS_MASK | 0x8000_0000)) >>> 0;
+        } else if (num === 0x104) { // sie
+            return (this.mie & this.mideleg) >>> 0;
+        } else if (num === 0x144) { // sip
+            return (this.mip() & this.mideleg) >>> 0;
+        } else if (num === 0x105) {
+            return this.stvec;
+        } else if (num === 0x140) {
+            return this.sscratch;
+        } else if (num === 0x141) {
+            return this.sepc;
+        } else if (num === 0x142) {
+            return this.scause;
+        } else if (num === 0x143) {
+            return this.stval;
+        } else if (num === 0x180) { // satp
+            return (this.priv === 1 && this.tvm) ? null : this.satp;
+        } else if (num === 0x300) { // mstatus
+            return this.mstatus();
+        } else if (num === 0x302) {
+            return this.medeleg;
+        } else if (num === 0x303) {
+            return this.mideleg;
+        } else if (num === 0x304) {
+            return this.mie;
+        } else if (num === 0x344) {
+            return this.mip();
+        } else if (0x3a0 <= num && num <= 0x3a3) { // pmpcfg0-3
+            const base = (num - 0x3a0) * 4;
+            return (this.pmpcfg[base] | (this.pmpcfg[base + 1] << 8)
+                | (this.pmpcfg[base + 2] << 16) | (this.pmpcfg[base + 3] << 24)) >>> 0;
+        } else if (0x3b0 <= num && num <= 0x3bf) { // pmpaddr0-15
+            return this.pmpaddr[num - 0x3b0];
         } else if (num === 0x340) {
             return this.mscratch;
         } else if (num === 0x341) {
@@ -177,18 +789,355 @@ export class RiscvState {
         }
     }
 
+    mstatus() {
+        // SD summarizes a dirty FS
+        return ((this.mstatus_sie << 1) | (this.mstatus_mie << 3)
+            | (this.mstatus_spie << 5) | (this.mstatus_mpie << 7)
+            | (this.spp << 8) | (this.mpp << 11) | (this.fs << 13)
+            | (this.mprv << 17) | (this.sum << 18) | (this.mxr << 19)
+            | (this.tvm << 20) | (this.tw << 21) | (this.tsr << 22)
+            | ((this.fs === 3) << 31)) >>> 0;
+    }
+
+    // Updates the mstatus fields selected by mask, sstatus being a
+    // restricted view of the same register
+    set_mstatus(value, mask) {
+        const status = (this.mstatus() & ~mask) | (value & mask);
+        const field = (bit, width = 1) => (status >>> bit) & ((1 << width) - 1);
+
+        this.mstatus_sie = field(1);
+        this.mstatus_mie = field(3);
+        this.mstatus_spie = field(5);
+        this.mstatus_mpie = field(7);
+        this.spp = field(8);
+        // MPP = 2 is reserved
+        this.mpp = (field(11, 2) === 2) ? 0 : field(11, 2);
+        this.fs = field(13, 2);
+        this.mprv = field(17);
+        this.sum = field(18);
+        this.mxr = field(19);
+        this.tvm = field(20);
+        this.tw = field(21);
+        this.tsr = field(22);
+    }
+
+    mip() {
+        return (this.memory.pending_interrupts() | this.mip_soft) & MIE_MASK;
+    }
+
+    // Takes a trap into M-mode, or into S-mode if it happened below M-mode
+    // and is delegated. Returns the trap vector.
+    trap(cause, tval) {
+        this.reservation = null;
+        this.waiting = false;
+
+        const code = cause & 0x7fff_ffff;
+        const deleg = (cause >>> 31) ? this.mideleg : this.medeleg;
+
+        if (this.priv <= 1 && ((deleg >>> code) & 1)) {
+            this.mstatus_spie = this.mstatus_sie;
+            this.mstatus_sie = 0;
+            this.spp = this.priv;
+            this.priv = 1;
+            this.sepc = this.pc;
+            this.scause = cause;
+            this.stval = tval;
+            return this.stvec;
+        } else {
+            this.mstatus_mpie = this.mstatus_mie;
+            this.mstatus_mie = 0;
+            this.mpp = this.priv;
+            this.priv = 3;
+            this.mepc = this.pc;
+            this.mcause = cause;
+            this.mtval = tval;
+            return this.mtvec;
+        }
+    }
+
     exception(cause, tval) {
-        this.mpp = this.priv;
-        this.priv = 3;
-        this.mepc = this.pc;
-        this.mcause = cause;
-        this.mtval = tval;
-        this.pc = this.mtvec;
+        const epc = this.pc;
+        const tvec = this.trap(cause, tval);
+        this.pc = (tvec & ~0b11) >>> 0;
 
         return {
             type: 'exception',
-            cause, tval, epc: this.mepc
+            cause, tval, epc
+        };
+    }
+
+    // Vectored mode jumps to base + 4 * cause for interrupts
+    interrupt(cause) {
+        const epc = this.pc;
+        const tvec = this.trap((0x8000_0000 | cause) >>> 0, 0);
+        const vectored = (tvec & 0b11) === 1;
+        this.pc = ((tvec & ~0b11) + (vectored ? 4 * cause : 0)) >>> 0;
+
+        return {
+            type: 'interrupt',
+            cause, epc
+        };
+    }
+
+    // Returns the highest priority interrupt that should be taken now, or
+    // null. Interrupts are always enabled in a lower privilege mode than
+    // the one handling them, and interrupts for M-mode come first.
+    pending_interrupt() {
+        const pending = this.mip() & this.mie;
+        const m_enabled = this.priv < 3 || this.mstatus_mie;
+        const s_enabled = this.priv < 1 || (this.priv === 1 && this.mstatus_sie);
+
+        for (const enabled of [ m_enabled ? pending & ~this.mideleg : 0, s_enabled ? pending & this.mideleg : 0 ]) {
+            for (const code of INTERRUPT_PRIORITY) {
+                if (enabled & (1 << code)) {
+                    return code;
+                }
+            }
+        }
+        return null;
+    }
+
+    paging(priv) {
+        return priv !== 3 && (this.satp >>> 31) !== 0;
+    }
+
+    // Loads and stores see M-mode's MPP as their privilege when MPRV is set
+    data_priv() {
+        return (this.priv === 3 && this.mprv) ? this.mpp : this.priv;
+    }
+
+    // Translates a virtual address with Sv32 when satp enables it and the
+    // effective privilege is below M, then checks the width bytes at the
+    // physical address against PMP. access is 'fetch', 'load' or 'store'
+    // (AMOs count as stores). With update set, the walk also sets the
+    // accessed and dirty bits of the leaf PTE. Returns { type: 'ok', address }
+    // or { type: 'fault', cause }.
+    translate(va, access, width, update = true) {
+        const priv = (access === 'fetch') ? this.priv : this.data_priv();
+        const res = this.paging(priv) ? this.walk(va, access, priv, update) : { type: 'ok', address: va };
+
+        if (res.type === 'ok' && ! this.pmp_check(res.address, width, access, priv)) {
+            return { type: 'fault', cause: ACCESS_FAULT[access] };
+        }
+        return res;
+    }
+
+    // Page table accesses are checked by PMP as S-mode accesses
+    walk(va, access, priv, update) {
+        const page_fault = { type: 'fault', cause: PAGE_FAULT[access] };
+        const access_fault = { type: 'fault', cause: ACCESS_FAULT[access] };
+
+        let table = (this.satp & 0x3f_ffff) * PAGE_SIZE;
+        for (let level = 1; level >= 0; level --) {
+            const vpn = (va >>> (12 + 10 * level)) & 0x3ff;
+            const pte_address = table + vpn * 4;
+            const pte = (pte_address > 0xffff_ffff || ! this.pmp_check(pte_address, 4, 'load', 1))
+                ? null
+                : this.memory.read(pte_address, 4, false);
+            if (pte === null) {
+                return access_fault;
+            }
+
+            const flag = (name) => (pte & PTE[name]) !== 0;
+            if (! flag('v') || (! flag('r') && flag('w'))) {
+                return page_fault;
+            }
+
+            const ppn = pte >>> 10;
+            if (! flag('r') && ! flag('x')) {
+                table = ppn * PAGE_SIZE;
+                continue;
+            }
+
+            // Leaf PTE
+            const allowed =
+                (access === 'fetch') ? flag('x')
+                : (access === 'load') ? flag('r') || (this.mxr && flag('x'))
+                : flag('w');
+            const user_ok = (priv === 0)
+                ? flag('u')
+                : ! flag('u') || (access !== 'fetch' && this.sum);
+            // Superpages must be aligned
+            const misaligned = level === 1 && (ppn & 0x3ff) !== 0;
+
+            if (! allowed || ! user_ok || misaligned) {
+                return page_fault;
+            }
+
+            if (update && (! flag('a') || (access === 'store' && ! flag('d')))) {
+                const new_pte = pte | PTE.a | (access === 'store' ? PTE.d : 0);
+                if (! this.pmp_check(pte_address, 4, 'store', 1)
+                    || this.memory.write(pte_address, 4, new_pte >>> 0) === null) {
+                    return access_fault;
+                }
+            }
+
+            const offset_mask = (level === 1) ? 0x3f_ffff : 0xfff;
+            const address = (ppn >>> (10 * level)) * (PAGE_SIZE << (10 * level)) + (va & offset_mask);
+            if (address > 0xffff_ffff) {
+                return access_fault;
+            }
+            return { type: 'ok', address };
+        }
+
+        return page_fault;
+    }
+
+    // Decodes the PMP entries that are turned on, in priority order, into
+    // { index, mode, start, end, r, w, x, locked } with end exclusive
+    pmp_regions() {
+        const regions = [];
+        for (let i = 0; i < 16; i ++) {
+            const cfg = this.pmpcfg[i];
+            const mode = PMP_MODES[(cfg >>> 3) & 0b11];
+            const addr = this.pmpaddr[i];
+
+            let start, end;
+            if (mode === 'OFF') {
+                continue;
+            } else if (mode === 'TOR') {
+                start = (i === 0) ? 0 : this.pmpaddr[i - 1] * 4;
+                end = addr * 4;
+            } else if (mode === 'NA4') {
+                start = addr * 4;
+                end = start + 4;
+            } else {
+                // The number of trailing ones encodes the size
+                let ones = 0;
+                while (ones < 32 && ((addr >>> ones) & 1)) {
+                    ones ++;
+                }
+                start = (addr - (2 ** ones - 1)) * 4;
+                end = start + 2 ** (ones + 3);
+            }
+
+            regions.push({
+                index: i, mode, start, end,
+                r: (cfg & PMP_CFG.r) !== 0,
+                w: (cfg & PMP_CFG.w) !== 0,
+                x: (cfg & PMP_CFG.x) !== 0,
+                locked: (cfg & PMP_CFG.l) !== 0
+            });
+        }
+        return regions;
+    }
+
+    // The lowest-numbered region touching the access decides, and it has to
+    // cover all of it. M-mode is only restricted by locked regions. With no
+    // region turned on, everything is allowed, as in QEMU.
+    pmp_check(address, width, access, priv) {
+        if (this.pmp_cache === null) {
+            this.pmp_cache = this.pmp_regions();
+        }
+        const regions = this.pmp_cache;
+        const region = regions.find(({ start, end }) => address < end && start < address + width);
+
+        if (region === undefined) {
+            return priv === 3 || regions.length === 0;
+        } else if (address < region.start || region.end < address + width) {
+            return false;
+        } else if (priv === 3 && ! region.locked) {
+            return true;
+        } else {
+            return (access === 'fetch') ? region.x : (access === 'load') ? region.r : region.w;
+        }
+    }
+
+    // Reads width bytes at a virtual address. Returns { type: 'ok', value }
+    // or { type: 'fault', cause }.
+    load(va, width) {
+        const res = this.translate_data(va, width, 'load');
+        if (res.type !== 'ok') {
+            return res;
+        }
+
+        const value = this.memory.read(res.address, width);
+        if (value === null) {
+            return { type: 'fault', cause: CAUSE_CODE.load_access };
+        }
+        return { type: 'ok', value };
+    }
+
+    store(va, width, data) {
+        const res = this.translate_data(va, width, 'store');
+        if (res.type !== 'ok') {
+            return res;
+        }
+
+        if (this.memory.write(res.address, width, data) === null) {
+            return { type: 'fault', cause: CAUSE_CODE.store_access };
+        }
+        if (this.reservation !== null
+            && res.address < this.reservation + 4 && this.reservation < res.address + width) {
+            this.reservation = null;
+        }
+        return { type: 'ok' };
+    }
+
+    // Accesses that cross a page boundary are only supported without
+    // translation, so they raise misaligned exceptions when it is on
+    translate_data(va, width, access) {
+        if (this.paging(this.data_priv()) && (va & 0xfff) + width > PAGE_SIZE) {
+            return { type: 'fault', cause: MISALIGNED[access] };
+        }
+        return this.translate(va, access, width);
+    }
+
+    // Fetches the instruction at va one 16-bit parcel at a time, so that a
+    // compressed instruction at the very end of memory (or of a page) is
+    // still reachable. Returns { type: 'ok', insn } or { type: 'fault',
+    // cause, tval }.
+    fetch_insn(update = true, va = this.pc) {
+        const parcel = (at) => {
+            const res = this.translate(at, 'fetch', 2, update);
+            if (res.type !== 'ok') {
+                return { ... res, tval: at };
+            }
+
+            const value = this.memory.fetch(res.address, 2);
+            if (value === null) {
+                return { type: 'fault', cause: CAUSE_CODE.fetch_access, tval: at };
+            }
+            return { type: 'ok', value };
         };
+
+        const low = parcel(va);
+        if (low.type !== 'ok' || (low.value & 0b11) !== 0b11) {
+            return low.type !== 'ok' ? low : { type: 'ok', insn: low.value };
+        }
+
+        const high = parcel((va + 2) >>> 0);
+        if (high.type !== 'ok') {
+            return high;
+        }
+
+        return { type: 'ok', insn: (low.value | (high.value << 16)) >>> 0 };
+    }
+
+    // The instruction at va (pc by default) for display, or null. This
+    // doesn't touch the page table's accessed bits.
+    fetch(va = this.pc) {
+        const res = this.fetch_insn(false, va);
+        return res.type === 'ok' ? res.insn : null;
+    }
+
+    // Resolves the rm field of an FP instruction, or null if it is reserved
+    rounding_mode(insn) {
+        const rm = (insn >>> 12) & 0b111;
+        const mode = (rm === 0b111) ? this.frm : rm;
+        return (mode > 0b100) ? null : mode;
+    }
+
+    write_fd(index, value) {
+        this.fregs[index] = value;
+        this.fs = 3;
+    }
+
+    raise_fflags(flags) {
+        if (flags) {
+            this.fflags |= flags;
+            this.fs = 3;
+        }
     }
 
     retire() {
@@ -196,22 +1145,157 @@ export class RiscvState {
         return { type: 'ok' };
     }
 
+    // Runs one cycle. Returns { type: 'ok' }, { type: 'stop' } for ebreak
+    // in M-mode, the exception, or after an instruction that touched a
+    // watchpoint, { type: 'watch', pc, watchpoint, access, address, width,
+    // old_value, new_value } for the last access. old_value is null for
+    // writes to devices.
     step() {
+        const recording = this.history_limit > 0;
+        if (recording) {
+            this.memory.journal = [];
+        }
+
+        this.memory.watch_hits.length = 0;
+        const pc = this.pc;
+        const res = this.execute();
+
+        if (recording) {
+            this.history.push({ changes: this.changed_fields(), journal: this.memory.journal });
+            this.memory.journal = null;
+            if (this.history.length > this.history_limit) {
+                this.history.shift();
+            }
+        }
+
+        const hits = this.memory.watch_hits;
+        if (res.type === 'ok' && hits.length) {
+            return { type: 'watch', pc, ... hits[hits.length - 1] };
+        }
+        return res;
+    }
+
+    // Keeps an undo log of the last limit steps for step_back, or none with
+    // limit 0. Each entry has the fields and memory a step changed and the
+    // saved state of the devices it accessed.
+    record_history(limit) {
+        this.history_limit = limit;
+        this.history.splice(0, Math.max(0, this.history.length - limit));
+        this.shadow = (limit > 0) ? this.copy_fields() : null;
+    }
+
+    // Copies of the fields a step can change, by their position in
+    // Object.values, which is much faster than looking each one up
+    copy_fields() {
+        const keys = Object.keys(this);
+        const values = Object.values(this).map((value, i) =>
+            UNRECORDED_FIELDS.has(keys[i]) ? undefined
+                : (typeof value === 'object' && value !== null) ? value.slice() : value);
+        return { keys, values };
+    }
+
+    // The fields that differ from the shadow copies, as a flat list of key,
+    // index and old value with index null for plain values. Updates the
+    // copies.
+    changed_fields() {
+        const changes = [];
+        const { keys, values } = this.shadow;
+        const current = Object.values(this);
+        for (let i = 0; i < values.length; i++) {
+            const copy = values[i];
+            const value = current[i];
+            if (copy === value || copy === undefined) {
+                continue;
+            } else if (typeof copy !== 'object' || copy === null) {
+                changes.push(keys[i], null, copy);
+                values[i] = value;
+                continue;
+            }
+            for (let j = 0; j < copy.length; j++) {
+                if (value[j] !== copy[j]) {
+                    changes.push(keys[i], j, copy[j]);
+                    copy[j] = value[j];
+                }
+            }
+        }
+        return changes;
+    }
+
+    // Undoes the last recorded step. Returns false if there is none.
+    step_back() {
+        const entry = this.history.pop();
+        if (entry === undefined) {
+            return false;
+        }
+
+        this.memory.undo(entry.journal);
+        const { changes } = entry;
+        for (let i = 0; i < changes.length; i += 3) {
+            const [ key, index, old_value ] = changes.slice(i, i + 3);
+            if (index === null) {
+                this[key] = old_value;
+            } else {
+                this[key][index] = old_value;
+            }
+            if (key === 'pmpcfg' || key === 'pmpaddr') {
+                this.pmp_cache = null;
+            }
+        }
+        this.shadow = this.copy_fields();
+        return true;
+    }
+
+    // Steps back at least once and until pc is in breakpoints, a Set or Map
+    // of addresses. Returns { type: 'ok' } at a breakpoint or { type:
+    // 'start' } at the oldest recorded step.
+    reverse_continue(breakpoints) {
+        while (this.step_back()) {
+            if (breakpoints.has(this.pc)) {
+                return { type: 'ok' };
+            }
+        }
+        return { type: 'start' };
+    }
+
+    execute() {
         increment(this.cycle)
+        this.memory.tick();
+
+        // wfi resumes once an enabled interrupt is pending, even if it
+        // won't be taken
+        if (this.waiting) {
+            if ((this.mip() & this.mie) === 0) {
+                return { type: 'ok' };
+            }
+            this.waiting = false;
+        }
+
+        const interrupt = this.pending_interrupt();
+        if (interrupt !== null) {
+            return this.interrupt(interrupt);
+        }
 
         const write_rd = (index, value) => {
             if (index != 0)
                 this.regs[index] = value;
         };
 
-        const insn = this.memory.fetch(this.pc);
+        const fetched = this.fetch_insn();
+
+        if (fetched.type !== 'ok') {
+            return this.exception(fetched.cause, fetched.tval);
+        }
+
+        const raw = fetched.insn;
+        const len = ((raw & 0b11) === 0b11) ? 4 : 2;
+        const insn = (len === 4) ? raw : expand_compressed(raw);
 
         if (insn === null) {
-            return this.exception(CAUSE_CODE.fetch_access, this.pc);
+            return this.exception(CAUSE_CODE.illegal_instruction, raw);
         } else if ((insn & 0b1011111) === 0b0010111) { // lui or auipc
             const add = (insn & 0b0100000) ? 0 : this.pc;
             write_rd((insn >>> 7) & 0b11111, ((insn >> 12 << 12) + add) >>> 0);
-            this.pc = (this.pc + 4) >>> 0;
+            this.pc = (this.pc + len) >>> 0;
             return this.retire();
         } else if ((insn & 0b1111111) === 0b1101111) { // jal
             const imm =
@@ -222,10 +1306,10 @@ export class RiscvState {
 
             const jump_dest = (this.pc + imm) >>> 0;
 
-            if (jump_dest & 0b11) {
+            if (jump_dest & 0b1) {
                 return this.exception(CAUSE_CODE.misaligned_fetch, 0);
             } else {
-                write_rd((insn >>> 7) & 0b11111, this.pc + 4);
+                write_rd((insn >>> 7) & 0b11111, this.pc + len);
                 this.pc = jump_dest;
                 return this.retire();
             }
@@ -233,10 +1317,10 @@ export class RiscvState {
             if (((insn >>> 12) & 0b111) === 0b000) { // jalr
                 const jump_dest = ((this.regs[(insn >>> 15) & 0b11111] + (insn >> 20)) & ~1) >>> 0;
 
-                if (jump_dest & 0b11) {
+                if (jump_dest & 0b1) {
                     return this.exception(CAUSE_CODE.misaligned_fetch, 0);
                 } else {
-                    write_rd((insn >>> 7) & 0b11111, this.pc + 4);
+                    write_rd((insn >>> 7) & 0b11111, this.pc + len);
                     this.pc = jump_dest;
                     return this.retire();
                 }
@@ -266,14 +1350,14 @@ export class RiscvState {
                 const cond = base_cond ^ (((insn >>> 12) & 0b001) !== 0);
 
                 if (cond) {
-                    if (jump_dest & 0b11) {
+                    if (jump_dest & 0b1) {
                         return this.exception(CAUSE_CODE.misaligned_fetch, 0);
                     } else {
                         this.pc = jump_dest;
                         return this.retire();
                     }
                 } else {
-                    this.pc = (this.pc + 4) >>> 0;
+                    this.pc = (this.pc + len) >>> 0;
                     return this.retire();
                 }
             }
@@ -285,16 +1369,16 @@ export class RiscvState {
                 // lb, lh, lw, lbu, lhu
                 const addr = ((insn >> 20) + this.regs[(insn >>> 15) & 0b11111]) >>> 0;
                 const width = 1 << ((insn >>> 12) & 0b011);
-                const res = this.memory.read(addr, width);
-                if (res === null) {
-                    return this.exception(CAUSE_CODE.load_access, addr);
+                const res = this.load(addr, width);
+                if (res.type !== 'ok') {
+                    return this.exception(res.cause, addr);
                 } else {
                     const load_res =
                         ((insn >>> 12) & 0b100) === 0b100
-                        ? (res << (32 - width * 8) >>> (32 - width * 8))
-                        : (res << (32 - width * 8) >> (32 - width * 8)) >>> 0;
+                        ? (res.value << (32 - width * 8) >>> (32 - width * 8))
+                        : (res.value << (32 - width * 8) >> (32 - width * 8)) >>> 0;
                     write_rd((insn >>> 7) & 0b11111, load_res);
-                    this.pc = (this.pc + 4) >>> 0;
+                    this.pc = (this.pc + len) >>> 0;
                     return this.retire();
                 }
             }
@@ -309,14 +1393,74 @@ export class RiscvState {
                 const width = 1 << ((insn >>> 12) & 0b011);
                 const op = this.regs[(insn >>> 20) & 0b11111];
                 const data = op << (32 - width * 8) >>> (32 - width * 8);
-                const res = this.memory.write(addr, width, data);
-                if (res === null) {
-                    return this.exception(CAUSE_CODE.store_access, addr);
+                const res = this.store(addr, width, data);
+                if (res.type !== 'ok') {
+                    return this.exception(res.cause, addr);
                 } else {
-                    this.pc = (this.pc + 4) >>> 0;
+                    this.pc = (this.pc + len) >>> 0;
                     return this.retire();
                 }
             }
+        } else if ((insn & 0b1011111) === 0b0000111) { // flw, fsw
+            const is_store = (insn & 0b0100000) !== 0;
+            if (((insn >>> 12) & 0b111) !== 0b010 || this.fs === 0) {
+                return this.exception(CAUSE_CODE.illegal_instruction, insn);
+            }
+
+            const imm = is_store ? ((insn >> 25 << 5) | ((insn >>> 7) & 0b11111)) : (insn >> 20);
+            const addr = (imm + this.regs[(insn >>> 15) & 0b11111]) >>> 0;
+
+            if (is_store) {
+                const res = this.store(addr, 4, this.fregs[(insn >>> 20) & 0b11111]);
+                if (res.type !== 'ok') {
+                    return this.exception(res.cause, addr);
+                }
+            } else {
+                const res = this.load(addr, 4);
+                if (res.type !== 'ok') {
+                    return this.exception(res.cause, addr);
+                }
+                this.write_fd((insn >>> 7) & 0b11111, res.value);
+            }
+            this.pc = (this.pc + len) >>> 0;
+            return this.retire();
+        } else if ((insn & 0b1110011) === 0b1000011) { // fmadd.s, fmsub.s, fnmsub.s, fnmadd.s
+            const rm = this.rounding_mode(insn);
+            if (((insn >>> 25) & 0b11) !== 0b00 || rm === null || this.fs === 0) {
+                return this.exception(CAUSE_CODE.illegal_instruction, insn);
+            }
+
+            const variant = (insn >>> 2) & 0b11;
+            const res = fmadd(
+                this.fregs[(insn >>> 15) & 0b11111],
+                this.fregs[(insn >>> 20) & 0b11111],
+                this.fregs[insn >>> 27],
+                (variant & 0b10) !== 0, (variant & 0b01) !== 0, rm);
+
+            this.write_fd((insn >>> 7) & 0b11111, res.value);
+            this.raise_fflags(res.flags);
+            this.pc = (this.pc + len) >>> 0;
+            return this.retire();
+        } else if ((insn & 0b1111111) === 0b1010011) { // OP-FP
+            const rs1 = (insn >>> 15) & 0b11111;
+            const rs2 = (insn >>> 20) & 0b11111;
+            const res = (this.fs === 0) ? null : fp_op(
+                insn >>> 25, (insn >>> 12) & 0b111, rs2,
+                this.fregs[rs1], this.fregs[rs2], this.regs[rs1],
+                this.rounding_mode(insn));
+
+            if (res === null) {
+                return this.exception(CAUSE_CODE.illegal_instruction, insn);
+            }
+
+            if (res.int) {
+                write_rd((insn >>> 7) & 0b11111, res.value);
+            } else {
+                this.write_fd((insn >>> 7) & 0b11111, res.value);
+            }
+            this.raise_fflags(res.flags);
+            this.pc = (this.pc + len) >>> 0;
+            return this.retire();
         } else if ((insn & 0b1011111) === 0b0010011) {
             const is_imm = (insn & 0b0100000) === 0;
             const funct3 = (insn >>> 12) & 0b111;
@@ -331,6 +1475,15 @@ export class RiscvState {
                 return this.exception(CAUSE_CODE.illegal_instruction, insn);
             }
 
+            if (! is_imm && funct7 === 0b0000001) {
+                // mul, mulh, mulhsu, mulhu, div, divu, rem, remu
+                const op1 = this.regs[(insn >>> 15) & 0b11111];
+                const op2 = this.regs[(insn >>> 20) & 0b11111];
+                write_rd((insn >>> 7) & 0b11111, muldiv(funct3, op1, op2));
+                this.pc = (this.pc + len) >>> 0;
+                return this.retire();
+            }
+
             const has_neg_mask = 0b00100001;
             const funct7_mask = ((has_neg_mask >>> funct3) & 1) ? 0b1011111 : 0b1111111;
 
@@ -358,17 +1511,85 @@ export class RiscvState {
                 : /* (funct3 === 0b111) ? */ op1 & op2;
 
             write_rd((insn >>> 7) & 0b11111, result >>> 0);
-            this.pc = (this.pc + 4) >>> 0;
+            this.pc = (this.pc + len) >>> 0;
             return this.retire();
         } else if ((insn & 0b1111111) === 0b0001111) {
-            if (((insn >>> 12) & 0b111) === 0b000) {
-                // fence
-                // do nothing
-                this.pc = (this.pc + 4) >>> 0;
+            if (((insn >>> 12) & 0b111) === 0b000 || ((insn >>> 12) & 0b111) === 0b001) {
+                // fence and fence.i
+                // do nothing, memory is coherent and there's no instruction cache
+                this.pc = (this.pc + len) >>> 0;
                 return this.retire();
             } else {
                 return this.exception(CAUSE_CODE.illegal_instruction, insn);
             }
+        } else if ((insn & 0b1111111) === 0b0101111) {
+            const funct5 = insn >>> 27;
+            const rd = (insn >>> 7) & 0b11111;
+            const addr = this.regs[(insn >>> 15) & 0b11111];
+            const op = this.regs[(insn >>> 20) & 0b11111];
+
+            if (((insn >>> 12) & 0b111) !== 0b010
+                || (funct5 === 0b00010 && ((insn >>> 20) & 0b11111) !== 0)
+                || ! AMO_OPS.has(funct5)) {
+                return this.exception(CAUSE_CODE.illegal_instruction, insn);
+            }
+
+            // The reservation is kept as a physical address
+            if (funct5 === 0b00010) { // lr.w
+                if (addr & 0b11) {
+                    return this.exception(CAUSE_CODE.misaligned_load, addr);
+                }
+                const pa = this.translate(addr, 'load', 4);
+                if (pa.type !== 'ok') {
+                    return this.exception(pa.cause, addr);
+                }
+                const res = this.memory.read(pa.address, 4);
+                if (res === null) {
+                    return this.exception(CAUSE_CODE.load_access, addr);
+                }
+                this.reservation = pa.address;
+                write_rd(rd, res);
+                this.pc = (this.pc + len) >>> 0;
+                return this.retire();
+            }
+
+            if (addr & 0b11) {
+                return this.exception(CAUSE_CODE.misaligned_store, addr);
+            }
+
+            const pa = this.translate(addr, 'store', 4);
+            if (pa.type !== 'ok') {
+                return this.exception(pa.cause, addr);
+            }
+
+            if (funct5 === 0b00011) { // sc.w
+                const reserved = this.reservation === pa.address;
+                this.reservation = null;
+                if (reserved) {
+                    if (this.memory.write(pa.address, 4, op) === null) {
+                        return this.exception(CAUSE_CODE.store_access, addr);
+                    }
+                }
+                write_rd(rd, reserved ? 0 : 1);
+                this.pc = (this.pc + len) >>> 0;
+                return this.retire();
+            }
+
+            // amoswap, amoadd, amoxor, amoand, amoor, amomin, amomax,
+            // amominu, amomaxu
+            const old_value = this.memory.read(pa.address, 4);
+            if (old_value === null) {
+                return this.exception(CAUSE_CODE.store_access, addr);
+            }
+            if (this.memory.write(pa.address, 4, AMO_OPS.get(funct5)(old_value, op)) === null) {
+                return this.exception(CAUSE_CODE.store_access, addr);
+            }
+            if (this.reservation === pa.address) {
+                this.reservation = null;
+            }
+            write_rd(rd, old_value);
+            this.pc = (this.pc + len) >>> 0;
+            return this.retire();
         } else if ((insn & 0b1111111) === 0b1110011) {
             if (((insn >>> 12) & 0b011) !== 0b000) {
                 // csr instruction
@@ -387,7 +1608,7 @@ export class RiscvState {
                     const new_value =
                         (op === 0b01) ? operand // write
                         : (op == 0b10) ? ((old_value | operand) >>> 0) // set
-                        : /* (op == 0b11) ? */ ((old_value | ~operand) >>> 0); // clear
+                        : /* (op == 0b11) ? */ ((old_value & ~operand) >>> 0); // clear
 
                     if (this.write_csr(insn >>> 20, new_value) === null) {
                         return this.exception(CAUSE_CODE.illegal_instruction, insn);
@@ -395,15 +1616,51 @@ export class RiscvState {
                 }
 
                 write_rd(rd, old_value);
-                this.pc = (this.pc + 4) >>> 0;
+                this.pc = (this.pc + len) >>> 0;
                 return this.retire();
             } else if (insn === 0x30200073) { // mret
+                if (this.priv < 3) {
+                    return this.exception(CAUSE_CODE.illegal_instruction, insn);
+                }
                 this.priv = this.mpp;
+                if (this.mpp !== 3) {
+                    this.mprv = 0;
+                }
                 this.mpp = 0;
+                this.mstatus_mie = this.mstatus_mpie;
+                this.mstatus_mpie = 1;
                 this.pc = this.mepc;
                 return this.retire();
+            } else if (insn === 0x10200073) { // sret
+                if (this.priv < 1 || (this.priv === 1 && this.tsr)) {
+                    return this.exception(CAUSE_CODE.illegal_instruction, insn);
+                }
+                this.priv = this.spp;
+                this.mprv = 0;
+                this.spp = 0;
+                this.mstatus_sie = this.mstatus_spie;
+                this.mstatus_spie = 1;
+                this.pc = this.sepc;
+                return this.retire();
+            } else if (insn === 0x10500073) { // wfi
+                if (this.priv === 0 || (this.priv === 1 && this.tw)) {
+                    return this.exception(CAUSE_CODE.illegal_instruction, insn);
+                }
+                this.waiting = true;
+                this.pc = (this.pc + len) >>> 0;
+                return this.retire();
+            } else if ((insn & 0xfe007fff) === 0x12000073) { // sfence.vma
+                // There is no TLB, so there is nothing to flush
+                if (this.priv === 0 || (this.priv === 1 && this.tvm)) {
+                    return this.exception(CAUSE_CODE.illegal_instruction, insn);
+                }
+                this.pc = (this.pc + len) >>> 0;
+                return this.retire();
             } else if (insn === 0x00000073) { // ecall
-                const code = this.priv === 3 ? CAUSE_CODE.machine_ecall : CAUSE_CODE.user_ecall;
+                const code =
+                    (this.priv === 3) ? CAUSE_CODE.machine_ecall
+                    : (this.priv === 1) ? CAUSE_CODE.supervisor_ecall
+                    : CAUSE_CODE.user_ecall;
                 return this.exception(code, 0);
             } else if (insn === 0x00100073) { // ebreak
                 if (this.priv === 3) {
@@ -0,0 +1,283 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Links objects from assemble_riscv(text, 0, { object: true }) into an image
+// like the assembler's, for programs split across several files
+
+import { DEFAULT_LAYOUT, layout_sections, linker_symbols, flat_image } from './assembler.js';
+
+const hex = (x) => `0x${(x >>> 0).toString(16).padStart(8, '0')}`;
+
+// The %hi part of a value, rounded so that adding the sign-extended low 12
+// bits gives it back
+const hi20 = (value) => ((value + 0x800) >>> 12) & 0xfffff;
+
+function set_u_imm(view, at, value) {
+    const insn = view.getUint32(at, /* littleEndian */ true);
+    view.setUint32(at, ((insn & 0xfff) | (hi20(value) << 12)) >>> 0, /* littleEndian */ true);
+}
+
+function set_i_imm(view, at, value) {
+    const insn = view.getUint32(at, /* littleEndian */ true);
+    view.setUint32(at, ((insn & 0x000fffff) | ((value & 0xfff) << 20)) >>> 0, /* littleEndian */ true);
+}
+
+function set_s_imm(view, at, value) {
+    const insn = view.getUint32(at, /* littleEndian */ true);
+    view.setUint32(at, ((insn & 0x01fff07f)
+        | ((value & 0xfe0) << 20)
+        | ((value & 0x1f) << 7)) >>> 0, /* littleEndian */ true);
+}
+
+function set_b_imm(view, at, value) {
+    const insn = view.getUint32(at, /* littleEndian */ true);
+    view.setUint32(at, ((insn & 0x01fff07f)
+        | (((value >> 12) & 1) << 31)
+        | (((value >> 5) & 0x3f) << 25)
+        | (((value >> 1) & 0xf) << 8)
+        | (((value >> 11) & 1) << 7)) >>> 0, /* littleEndian */ true);
+}
+
+function set_j_imm(view, at, value) {
+    const insn = view.getUint32(at, /* littleEndian */ true);
+    view.setUint32(at, ((insn & 0xfff)
+        | (((value >> 20) & 1) << 31)
+        | (((value >> 1) & 0x3ff) << 21)
+        | (((value >> 11) & 1) << 20)
+        | (((value >> 12) & 0xff) << 12)) >>> 0, /* littleEndian */ true);
+}
+
+// Checks that an offset from pc fits in a signed field of bits bits and is
+// even
+function check_pcrel(offset, bits, what) {
+    if (offset < -(2 ** (bits - 1)) || offset >= 2 ** (bits - 1)) {
+        return `${what} offset ${offset} out of range`;
+    } else if (offset & 1) {
+        return `${what} offset ${offset} is odd`;
+    } else {
+        return null;
+    }
+}
+
+// objects is a list of { name, object } where name is used in messages.
+// Sections of the same name are concatenated in order and then placed by
+// layout_sections. Returns { type: 'ok', data, sections, symbols, entry,
+// rvc, dump } like assemble_riscv, or { type: 'errors', errors: [{ file, message }] }.
+export function link_objects(objects, origin, { layout = DEFAULT_LAYOUT } = {}) {
+    const errors = [];
+
+    // Output sections, and where each input section went
+    const sections = new Map();
+    const placement = new Map();
+    const output_section = (name, flags, nobits) => {
+        if (! sections.has(name)) {
+            sections.set(name, { name, flags, nobits, align: 1, size: 0, address: 0, pieces: [] });
+        }
+        const section = sections.get(name);
+        // Mixing in contents makes the whole section have them
+        section.nobits &&= nobits;
+        return section;
+    };
+    for (const { name: file, object } of objects) {
+        for (const input of object.sections) {
+            const section = output_section(input.name, input.flags, input.nobits);
+            section.size = Math.ceil(section.size / input.align) * input.align;
+            section.align = Math.max(section.align, input.align);
+            section.pieces.push({ offset: section.size, input });
+            placement.set(`${file}:${input.name}`, { section, offset: section.size });
+            section.size += input.size;
+        }
+    }
+
+    // Global symbols, strong definitions beat weak ones and the largest
+    // common wins if there is no definition
+    const globals = new Map();
+    for (const { name: file, object } of objects) {
+        for (const [name, symbol] of object.symbols) {
+            if (symbol.binding === 'local' || symbol.type === 'section') {
+                continue;
+            } else if (symbol.section === null && symbol.common === null) {
+                continue;
+            }
+            const previous = globals.get(name);
+            const definition = { file, symbol };
+            if (previous === undefined) {
+                globals.set(name, definition);
+            } else if (symbol.common !== null) {
+                if (previous.symbol.common !== null) {
+                    const { size, align } = previous.symbol.common;
+                    previous.symbol = {
+                        ... previous.symbol,
+                        common: {
+                            size: Math.max(size, symbol.common.size),
+                            align: Math.max(align, symbol.common.align)
+                        }
+                    };
+                }
+            } else if (previous.symbol.common !== null
+                || (previous.symbol.binding === 'weak' && symbol.binding !== 'weak')) {
+                globals.set(name, definition);
+            } else if (previous.symbol.binding !== 'weak' && symbol.binding !== 'weak') {
+                errors.push({
+                    file,
+                    message: `Symbol ${name} is already defined in ${previous.file}`
+                });
+            }
+        }
+    }
+
+    // Commons go at the end of .bss
+    for (const [name, { symbol }] of globals) {
+        if (symbol.common === null) {
+            continue;
+        }
+        const bss = output_section('.bss', 'aw', true);
+        const { size, align } = symbol.common;
+        bss.size = Math.ceil(bss.size / align) * align;
+        bss.align = Math.max(bss.align, align);
+        placement.set(`*COM*:${name}`, { section: bss, offset: bss.size });
+        bss.size += size;
+    }
+
+    const placed = layout_sections(sections, origin, layout);
+    if (placed.type === 'error') {
+        errors.push({ file: null, message: placed.message });
+    }
+    if (errors.length) {
+        return { type: 'errors', errors };
+    }
+
+    const place = (file, section_name) => {
+        const { section, offset } = placement.get(`${file}:${section_name}`);
+        return section.address + offset;
+    };
+    const address_of = (file, symbol) => {
+        if (symbol.section === '*ABS*') {
+            return symbol.value;
+        } else if (symbol.common !== null) {
+            return place('*COM*', symbol.name);
+        } else {
+            return place(file, symbol.section) + symbol.value;
+        }
+    };
+
+    const all = [ ... sections.values() ].sort((a, b) => a.address - b.address);
+
+    const symbols = new Map();
+    for (const [name, { file, symbol }] of globals) {
+        symbols.set(name, address_of(file, { ... symbol, name }));
+    }
+
+    // Symbols a linker script would define, unless a program has its own
+    const small_data = sections.get('.sdata') ?? sections.get('.data');
+    const defined = linker_symbols(all, origin);
+    if (small_data) {
+        defined.push([ '__global_pointer$', small_data.address + 0x800 ]);
+    }
+    for (const [name, value] of defined) {
+        if (! symbols.has(name)) {
+            symbols.set(name, value);
+        }
+    }
+
+    // Looks up a symbol referenced by a relocation in file
+    const resolve = (file, object, name) => {
+        const symbol = object.symbols.get(name);
+        if (symbol && (symbol.binding === 'local' || symbol.type === 'section')
+            && symbol.section !== null) {
+            return { type: 'ok', value: address_of(file, { ... symbol, name }) };
+        } else if (symbols.has(name)) {
+            return { type: 'ok', value: symbols.get(name) };
+        } else if (symbol?.binding === 'weak') {
+            return { type: 'ok', value: 0 };
+        } else {
+            return { type: 'error', message: `Undefined reference to ${name}` };
+        }
+    };
+
+    for (const section of all) {
+        section.buffer = new ArrayBuffer(section.nobits ? 0 : section.size);
+        section.view = new DataView(section.buffer);
+        for (const { offset, input } of section.pieces) {
+            if (input.data !== null) {
+                new Uint8Array(section.buffer, offset, input.size).set(new Uint8Array(input.data));
+            }
+        }
+    }
+
+    // %pcrel_hi relocations go first so that the %pcrel_lo ones can find
+    // the offsets by the address of their auipc
+    const pcrel_hi = new Map();
+    const relocations = objects.flatMap(({ name: file, object }) =>
+        object.relocations.map((relocation) => ({ file, object, ... relocation })));
+    relocations.sort((a, b) => (b.type === 'R_RISCV_PCREL_HI20') - (a.type === 'R_RISCV_PCREL_HI20'));
+
+    for (const { file, object, section: section_name, offset, type, symbol, addend } of relocations) {
+        const { section, offset: base } = placement.get(`${file}:${section_name}`);
+        const at = base + offset;
+        const pc = section.address + at;
+        const { view } = section;
+        const target = resolve(file, object, symbol);
+        if (target.type === 'error') {
+            errors.push({ file, message: target.message });
+            continue;
+        }
+        const value = (target.value + addend) | 0;
+
+        let error = null;
+        if (type === 'R_RISCV_32') {
+            view.setUint32(at, value >>> 0, /* littleEndian */ true);
+        } else if (type === 'R_RISCV_HI20') {
+            set_u_imm(view, at, value);
+        } else if (type === 'R_RISCV_LO12_I') {
+            set_i_imm(view, at, value);
+        } else if (type === 'R_RISCV_LO12_S') {
+            set_s_imm(view, at, value);
+        } else if (type === 'R_RISCV_PCREL_HI20') {
+            pcrel_hi.set(pc, value - pc);
+            set_u_imm(view, at, value - pc);
+        } else if (type === 'R_RISCV_PCREL_LO12_I' || type === 'R_RISCV_PCREL_LO12_S') {
+            // The target is the auipc with the matching R_RISCV_PCREL_HI20
+            if (! pcrel_hi.has(value)) {
+                error = `No corresponding %pcrel_hi found at ${hex(value)}`;
+            } else if (type === 'R_RISCV_PCREL_LO12_I') {
+                set_i_imm(view, at, pcrel_hi.get(value));
+            } else {
+                set_s_imm(view, at, pcrel_hi.get(value));
+            }
+        } else if (type === 'R_RISCV_BRANCH') {
+            error = check_pcrel(value - pc, 13, 'Branch');
+            set_b_imm(view, at, value - pc);
+        } else if (type === 'R_RISCV_JAL') {
+            error = check_pcrel(value - pc, 21, 'Jump');
+            set_j_imm(view, at, value - pc);
+        } else if (type === 'R_RISCV_CALL') {
+            set_u_imm(view, at, value - pc);
+            set_i_imm(view, at + 4, value - pc);
+        } else {
+            error = `Unknown relocation ${type}`;
+        }
+        if (error !== null) {
+            errors.push({ file, message: `${error} for ${symbol} at ${section_name}+${hex(offset)}` });
+        }
+    }
+
+    if (errors.length) {
+        return { type: 'errors', errors };
+    }
+
+    const sec = all.map(({ name, address, size, flags, nobits }) =>
+        `# ${hex(address)} ${name} (${size} bytes${nobits ? ', no contents' : ''}${flags.includes('a') ? '' : ', not loaded'})`);
+    const sym = [ ... symbols ].sort(([ , a ], [ , b ]) => a - b).map(([ name, address ]) => `# ${hex(address)} ${name}`);
+    return {
+        type: 'ok',
+        data: flat_image(all, origin),
+        sections: all.map(({ name, address, size, flags, nobits, align, buffer }) => ({
+            name, address, size, flags, nobits, align,
+            data: nobits ? null : buffer
+        })),
+        symbols,
+        entry: symbols.get('_start') ?? origin,
+        rvc: objects.some(({ object }) => object.rvc),
+        dump: `# Sections\n${sec.join('\n')}\n\n# Symbols\n${sym.join('\n')}\n`
+    };
+}
@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// IEEE-754 single precision arithmetic on raw bit patterns, with all five
+// rounding modes and exception flags. JS only computes in double precision,
+// so each operation produces a double approximation and a comparison
+// function against the exact result, and round() picks the correct single
+// precision neighbour from those.
+
+export const RM = {
+    rne: 0, // round to nearest, ties to even
+    rtz: 1, // round towards zero
+    rdn: 2, // round down
+    rup: 3, // round up
+    rmm: 4, // round to nearest, ties to max magnitude
+};
+
+export const FLAGS = {
+    nv: 0b10000, // invalid operation
+    dz: 0b01000, // divide by zero
+    of: 0b00100, // overflow
+    uf: 0b00010, // underflow
+    nx: 0b00001, // inexact
+};
+
+export const CANONICAL_NAN = 0x7fc0_0000;
+
+const FLT_MAX = (2 - 2 ** -23) * 2 ** 127;
+const FLT_MIN_NORMAL = 2 ** -126;
+
+const scratch = new DataView(new ArrayBuffer(4));
+
+export function to_float(bits) {
+    scratch.setUint32(0, bits);
+    return scratch.getFloat32(0);
+}
+
+export function to_bits(value) {
+    scratch.setFloat32(0, value);
+    return scratch.getUint32(0);
+}
+
+export function is_nan(bits) {
+    return (bits & 0x7f80_0000) === 0x7f80_0000 && (bits & 0x007f_ffff) !== 0;
+}
+
+export function is_snan(bits) {
+    return is_nan(bits) && (bits & 0x0040_0000) === 0;
+}
+
+// Next representable single towards +Infinity
+function next_up(value) {
+    if (value === Infinity) {
+        return value;
+    } else if (value === 0) {
+        return 2 ** -149;
+    }
+    const bits = to_bits(value);
+    return to_float(value > 0 ? bits + 1 : bits - 1);
+}
+
+function next_down(value) {
+    return -next_up(-value);
+}
+
+// Halfway point between two adjacent singles, which is exact in double. The
+// one past FLT_MAX is where rounding to nearest goes to infinity.
+function midpoint(lo, hi) {
+    if (hi === Infinity) {
+        return FLT_MAX + 2 ** 103;
+    } else if (lo === -Infinity) {
+        return -FLT_MAX - 2 ** 103;
+    } else {
+        return (lo + hi) / 2;
+    }
+}
+
+function is_even(value) {
+    return ! Number.isFinite(value) || (to_bits(value) & 1) === 0;
+}
+
+// approx: a double close to the exact result (within one single ulp)
+// cmp(x): the sign of (exact result - x), for any double x
+function round(approx, cmp, rm) {
+    let value = Math.fround(approx);
+    if (! Number.isFinite(value)) {
+        value = Math.sign(approx) * FLT_MAX;
+    }
+
+    const c = cmp(value);
+    if (c === 0) {
+        return { value: to_bits(value), flags: 0 };
+    }
+
+    const lo = c > 0 ? value : next_down(value);
+    const hi = c > 0 ? next_up(value) : value;
+
+    let result;
+    if (rm === RM.rne || rm === RM.rmm) {
+        const cm = cmp(midpoint(lo, hi));
+        result =
+            (cm < 0) ? lo
+            : (cm > 0) ? hi
+            : (rm === RM.rmm) ? ((hi <= 0) ? lo : hi)
+            : (is_even(lo) ? lo : hi);
+    } else if (rm === RM.rtz) {
+        result = (lo >= 0) ? lo : hi;
+    } else if (rm === RM.rdn) {
+        result = lo;
+    } else {
+        result = hi;
+    }
+
+    let flags = FLAGS.nx;
+
+    // Overflow is judged on the result rounded with an unbounded exponent,
+    // which would be 2^128 or beyond
+    if (! Number.isFinite(result)
+        || (hi === Infinity && cmp(2 ** 128) >= 0)
+        || (lo === -Infinity && cmp(-(2 ** 128)) <= 0)) {
+        flags |= FLAGS.of;
+    }
+
+    // Tininess is detected after rounding, as RISC-V requires, so a result
+    // that only reached FLT_MIN_NORMAL thanks to the bounded exponent range
+    // is still tiny.
+    const magnitude = Math.abs(result);
+    let tiny = magnitude < FLT_MIN_NORMAL;
+    if (magnitude === FLT_MIN_NORMAL) {
+        const sign = Math.sign(result);
+        if (sign * cmp(sign * FLT_MIN_NORMAL) < 0) {
+            if (rm === RM.rne || rm === RM.rmm) {
+                tiny = sign * cmp(sign * (FLT_MIN_NORMAL - 2 ** -151)) < 0;
+            } else {
+                tiny = sign * cmp(sign * (FLT_MIN_NORMAL - 2 ** -150)) <= 0;
+            }
+        }
+    }
+    if (tiny) {
+        flags |= FLAGS.uf;
+    }
+
+    return { value: to_bits(result), flags };
+}
+
+function nan_result(...operands) {
+    return {
+        value: CANONICAL_NAN,
+        flags: operands.some(is_snan) ? FLAGS.nv : 0
+    };
+}
+
+const INVALID = { value: CANONICAL_NAN, flags: FLAGS.nv };
+
+// Rounds the exact sum of two finite doubles
+function round_sum(a, b, rm) {
+    // TwoSum: sum + err is exactly a + b
+    const sum = a + b;
+    const bb = sum - a;
+    const err = (a - (sum - bb)) + (b - bb);
+
+    if (sum === 0 && err === 0) {
+        // x + (-x) is +0, except when rounding down
+        const zero = (a === 0 && b === 0 && Object.is(a, b)) ? a : (rm === RM.rdn ? -0 : 0);
+        return { value: to_bits(zero), flags: 0 };
+    }
+
+    return round(sum, (x) => Math.sign((sum - x) + err), rm);
+}
+
+export function fadd(a_bits, b_bits, rm) {
+    if (is_nan(a_bits) || is_nan(b_bits)) {
+        return nan_result(a_bits, b_bits);
+    }
+
+    const a = to_float(a_bits), b = to_float(b_bits);
+    if (! Number.isFinite(a) || ! Number.isFinite(b)) {
+        const sum = a + b;
+        return Number.isNaN(sum) ? INVALID : { value: to_bits(sum), flags: 0 };
+    }
+
+    return round_sum(a, b, rm);
+}
+
+export function fsub(a_bits, b_bits, rm) {
+    return fadd(a_bits, is_nan(b_bits) ? b_bits : (b_bits ^ 0x8000_0000) >>> 0, rm);
+}
+
+export function fmul(a_bits, b_bits, rm) {
+    if (is_nan(a_bits) || is_nan(b_bits)) {
+        return nan_result(a_bits, b_bits);
+    }
+
+    // Singles have 24-bit significands, so the product is exact in double
+    const product = to_float(a_bits) * to_float(b_bits);
+    if (Number.isNaN(product)) {
+        return INVALID;
+    } else if (! Number.isFinite(product)) {
+        return { value: to_bits(product), flags: 0 };
+    }
+
+    return round(product, (x) => Math.sign(product - x), rm);
+}
+
+export function fdiv(a_bits, b_bits, rm) {
+    if (is_nan(a_bits) || is_nan(b_bits)) {
+        return nan_result(a_bits, b_bits);
+    }
+
+    const a = to_float(a_bits), b = to_float(b_bits);
+    const quotient = a / b;
+    if (Number.isNaN(quotient)) {
+        return INVALID;
+    } else if (b === 0 && Number.isFinite(a)) {
+        return { value: to_bits(quotient), flags: FLAGS.dz };
+    } else if (! Number.isFinite(quotient) || a === 0 || ! Number.isFinite(b)) {
+        return { value: to_bits(quotient), flags: 0 };
+    }
+
+    // x * b is exact for any single (or midpoint) x
+    return round(quotient, (x) => Math.sign(a - x * b) * Math.sign(b), rm);
+}
+
+export function fsqrt(a_bits, rm) {
+    if (is_nan(a_bits)) {
+        return nan_result(a_bits);
+    }
+
+    const a = to_float(a_bits);
+    if (a < 0) {
+        return INVALID;
+    } else if (a === 0 || a === Infinity) {
+        return { value: a_bits, flags: 0 };
+    }
+
+    const root = Math.sqrt(a);
+    return round(root, (x) => Math.sign(a - x * x), rm);
+}
+
+// (a * b) + c with a single rounding. The fnm* forms negate the product and
+// the fm*sub forms negate the addend.
+export function fmadd(a_bits, b_bits, c_bits, negate_product, negate_addend, rm) {
+    const a = to_float(a_bits), b = to_float(b_bits);
+
+    // 0 * Infinity is invalid even when the addend is a quiet NaN
+    if ((a === 0 && Math.abs(b) === Infinity) || (b === 0 && Math.abs(a) === Infinity)) {
+        return INVALID;
+    }
+
+    if (is_nan(a_bits) || is_nan(b_bits) || is_nan(c_bits)) {
+        return nan_result(a_bits, b_bits, c_bits);
+    }
+
+    const product = negate_product ? -(a * b) : a * b;
+    const c = negate_addend ? -to_float(c_bits) : to_float(c_bits);
+
+    if (! Number.isFinite(product) || ! Number.isFinite(c)) {
+        const sum = product + c;
+        return Number.isNaN(sum) ? INVALID : { value: to_bits(sum), flags: 0 };
+    }
+
+    return round_sum(product, c, rm);
+}
+
+export function fmin(a_bits, b_bits) {
+    return min_max(a_bits, b_bits, (a, b) => a < b || (a === b && Object.is(a, -0)));
+}
+
+export function fmax(a_bits, b_bits) {
+    return min_max(a_bits, b_bits, (a, b) => a > b || (a === b && Object.is(a, 0)));
+}
+
+// A single NaN operand is ignored, and -0 is treated as less than +0
+function min_max(a_bits, b_bits, pick_a) {
+    const flags = (is_snan(a_bits) || is_snan(b_bits)) ? FLAGS.nv : 0;
+    if (is_nan(a_bits) && is_nan(b_bits)) {
+        return { value: CANONICAL_NAN, flags };
+    } else if (is_nan(a_bits)) {
+        return { value: b_bits, flags };
+    } else if (is_nan(b_bits)) {
+        return { value: a_bits, flags };
+    } else {
+        return { value: pick_a(to_float(a_bits), to_float(b_bits)) ? a_bits : b_bits, flags };
+    }
+}
+
+// feq only signals on signaling NaNs, flt and fle on any NaN
+export function fcompare(a_bits, b_bits, op) {
+    if (is_nan(a_bits) || is_nan(b_bits)) {
+        const signaling = op !== 'eq' || is_snan(a_bits) || is_snan(b_bits);
+        return { value: 0, flags: signaling ? FLAGS.nv : 0 };
+    }
+
+    const a = to_float(a_bits), b = to_float(b_bits);
+    const res = (op === 'eq') ? a === b : (op === 'lt') ? a < b : a <= b;
+    return { value: res ? 1 : 0, flags: 0 };
+}
+
+export function fclass(bits) {
+    const negative = (bits >>> 31) !== 0;
+    const exponent = (bits >>> 23) & 0xff;
+    const mantissa = bits & 0x007f_ffff;
+
+    if (exponent === 0xff) {
+        if (mantissa === 0) {
+            return negative ? 1 << 0 : 1 << 7;
+        } else {
+            return is_snan(bits) ? 1 << 8 : 1 << 9;
+        }
+    } else if (exponent === 0) {
+        if (mantissa === 0) {
+            return negative ? 1 << 3 : 1 << 4;
+        } else {
+            return negative ? 1 << 2 : 1 << 5;
+        }
+    } else {
+        return negative ? 1 << 1 : 1 << 6;
+    }
+}
+
+function round_to_integer(value, rm) {
+    if (rm === RM.rtz) {
+        return Math.trunc(value);
+    } else if (rm === RM.rdn) {
+        return Math.floor(value);
+    } else if (rm === RM.rup) {
+        return Math.ceil(value);
+    } else {
+        const floor = Math.floor(value);
+        const diff = value - floor;
+        if (diff !== 0.5) {
+            return diff < 0.5 ? floor : floor + 1;
+        } else if (rm === RM.rmm) {
+            return value < 0 ? floor : floor + 1;
+        } else {
+            return (floor % 2 === 0) ? floor : floor + 1;
+        }
+    }
+}
+
+// Float to integer conversion, saturating on overflow and NaN
+export function fcvt_to_int(bits, signed, rm) {
+    const min = signed ? -0x8000_0000 : 0;
+    const max = signed ? 0x7fff_ffff : 0xffff_ffff;
+
+    if (is_nan(bits)) {
+        return { value: max >>> 0, flags: FLAGS.nv };
+    }
+
+    const value = to_float(bits);
+    const rounded = round_to_integer(value, rm);
+    if (rounded < min) {
+        return { value: min >>> 0, flags: FLAGS.nv };
+    } else if (rounded > max) {
+        return { value: max >>> 0, flags: FLAGS.nv };
+    } else {
+        return { value: rounded >>> 0, flags: rounded === value ? 0 : FLAGS.nx };
+    }
+}
+
+export function fcvt_from_int(value, signed, rm) {
+    const exact = signed ? value | 0 : value >>> 0;
+    return round(exact, (x) => Math.sign(exact - x), rm);
+}
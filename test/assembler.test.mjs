@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Run with node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+
+// The words of the assembled image
+function words(text) {
+    const res = assemble_riscv(text, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    return [ ... new Uint32Array(res.data) ];
+}
+
+test('.exitm inside .if', () => {
+    const text = `
+.macro m n
+.if \\n > 1
+.word 1
+.exitm
+.endif
+.word 2
+.endm
+m 2
+m 1
+`;
+    assert.deepEqual(words(text), [ 1, 2 ]);
+});
+
+test('% without spaces', () => {
+    assert.deepEqual(words('.word 7%3, 7 % 3, %lo(0x12345)'), [ 1, 1, 0x345 ]);
+    assert.deepEqual(words('addi a0, a0, 10%4'), words('addi a0, a0, 2'));
+});
+
+test('shifts by 32 or more', () => {
+    assert.deepEqual(words('.word 1 << 32, 1 << 31, -8 >> 40, 8 >> 32, 1 << 33'), [ 0, 0x80000000, 0xffffffff, 0, 0 ]);
+    const res = assemble_riscv('.word 1 << -1', 0x40000000);
+    assert.match(res.errors[0].message, /Negative shift count/);
+});
+
+test('macros defined twice', () => {
+    const res = assemble_riscv(`
+.macro m
+.word 1
+.endm
+.macro m
+.word 2
+.endm
+m
+`, 0x40000000);
+    assert.deepEqual(res.errors.map(({ lineno, message }) => [ lineno, message ]), [ [ 5, 'Macro m is already defined' ] ]);
+    assert.deepEqual(words('.macro m\n.word 1\n.endm\n.purgem m\n.macro m\n.word 2\n.endm\nm'), [ 2 ]);
+});
+
+test('labels before conditionals', () => {
+    const res = assemble_riscv(`
+.word 0
+x: .if 0
+.word 1
+y: .else
+.word 2
+z: .endif
+.word 3
+`, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    assert.deepEqual([ ... new Uint32Array(res.data) ], [ 0, 2, 3 ]);
+    assert.equal(res.symbols.get('x'), 0x40000004);
+    assert.equal(res.symbols.has('y'), false);
+    assert.equal(res.symbols.get('z'), 0x40000008);
+});
+
+test('sections that are not loaded', () => {
+    const res = assemble_riscv(`
+.section .comment
+.byte 71, 67, 67, 0
+.section .debug_info
+.word 1
+.section .mydata, "aw"
+.word 2
+.text
+addi zero, zero, 0
+`, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    const flags = new Map(res.sections.map(({ name, flags, address }) => [ name, { flags, address } ]));
+    assert.deepEqual(flags.get('.comment'), { flags: '', address: 0 });
+    assert.deepEqual(flags.get('.debug_info'), { flags: '', address: 0 });
+    assert.deepEqual(flags.get('.mydata'), { flags: 'aw', address: 0x40000004 });
+    assert.equal(res.data.byteLength, 8);
+});
+
+test('padding that cannot fit in memory', () => {
+    const errors = (text) => assemble_riscv(text, 0x40000000).errors?.map(({ message }) => message);
+    assert.match(errors('.word 0\n.org 0x40000100')[0], /offset in the section/);
+    assert.match(errors('.space 0x40000000')[0], /larger than/);
+    assert.match(errors('.fill 0x1000000, 8')[0], /larger than/);
+    assert.match(errors('.word 0\n.p2align 30')[0], /larger than/);
+    assert.deepEqual(words('.word 1\n.org 8\n.word 2'), [ 1, 0, 2 ]);
+});
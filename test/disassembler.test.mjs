@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { disassemble, disassembly_listing, symbolize } from '../disassembler.js';
+
+// Each line assembled on its own and disassembled again at 0x40000010, with
+// loop at 0x40000000
+function round_trip(lines, rvc = false) {
+    const symbols = new Map([ [ 'loop', 0x40000000 ] ]);
+    return lines.map((line) => {
+        const res = assemble_riscv(`${rvc ? '.option rvc\n' : ''}.equ loop, 0x40000000\n${line}`, 0x40000010);
+        assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+        const bytes = new Uint8Array(res.data);
+        const word = bytes.length === 2 ? bytes[0] | (bytes[1] << 8) : new DataView(res.data).getUint32(0, /* littleEndian */ true);
+        return disassemble(word, 0x40000010, symbols).text;
+    });
+}
+
+test('instructions print like objdump', () => {
+    assert.deepEqual(round_trip([
+        'addi a0, zero, 5', 'addi a0, a1, 0', 'addi zero, zero, 0', 'xori a0, a1, -1', 'sub a0, zero, a1',
+        'lui a0, 0x12345', 'lw a0, -4(sp)', 'sw ra, 12(sp)',
+        'beq a0, zero, loop', 'bne a0, a1, loop', 'jal ra, loop', 'jal zero, loop', 'jalr zero, 0(ra)',
+        'csrrs a0, mstatus, zero', 'csrrw zero, mtvec, a0', 'csrrwi zero, 0x7c0, 1',
+        'mul a0, a1, a2', 'amoadd.w a0, a1, (a2)', 'lr.w a0, (a1)',
+        'fadd.s fa0, fa1, fa2', 'fcvt.w.s a0, fa0, rtz', 'fmv.x.w a0, fa0',
+        'ecall', 'mret', 'sfence.vma',
+    ]), [
+        'li a0, 5', 'mv a0, a1', 'nop', 'not a0, a1', 'neg a0, a1',
+        'lui a0, 0x12345', 'lw a0, -4(sp)', 'sw ra, 12(sp)',
+        'beqz a0, loop', 'bne a0, a1, loop', 'jal loop', 'j loop', 'ret',
+        'csrr a0, mstatus', 'csrw mtvec, a0', 'csrwi 0x7c0, 1',
+        'mul a0, a1, a2', 'amoadd.w a0, a1, (a2)', 'lr.w a0, (a1)',
+        'fadd.s fa0, fa1, fa2', 'fcvt.w.s a0, fa0, rtz', 'fmv.x.w a0, fa0',
+        'ecall', 'mret', 'sfence.vma',
+    ]);
+});
+
+test('compressed instructions print expanded', () => {
+    assert.deepEqual(round_trip([ 'c.addi a0, 1', 'c.j loop', 'c.lwsp ra, 4(sp)', 'c.ebreak' ], true),
+        [ 'addi a0, a0, 1', 'j loop', 'lw ra, 4(sp)', 'ebreak' ]);
+});
+
+test('unknown instructions and symbols', () => {
+    assert.deepEqual(disassemble(0xffffffff, 0), { length: 4, text: '.word 0xffffffff' });
+    assert.deepEqual(disassemble(0x0000, 0), { length: 2, text: '.half 0x0000' });
+
+    const symbols = new Map([ [ 'a', 0x100 ], [ 'b', 0x200 ] ]);
+    assert.equal(symbolize(0x100, symbols), 'a');
+    assert.equal(symbolize(0x1ff, symbols), 'a+0xff');
+    assert.equal(symbolize(0x80, symbols), '0x80');
+
+    // Labels go before their instruction and a trailing half word is left out
+    const bytes = new Uint8Array([ 0x13, 0x00, 0x00, 0x00, 0x73, 0x00, 0x10, 0x00, 0x13, 0x00 ]);
+    assert.equal(disassembly_listing(bytes, 0x100, new Map([ [ 'start', 0x100 ], [ 'stop', 0x104 ] ])), [
+        'start:',
+        '{ 0x00000100: 00000013 } nop',
+        'stop:',
+        '{ 0x00000104: 00100073 } ebreak',
+    ].join('\n'));
+});
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { parse_elf, load_elf, write_elf_executable } from '../elf.js';
+import { RiscvState, RiscvMemory } from '../emulator.js';
+import { RamDevice } from '../devices.js';
+
+// Builds an ELF32 file with a program header for each of segments, which
+// are { type, address, data, mem_size }, and a symbol table for symbols
+function build_elf({ type = 2, entry = 0, segments = [], symbols = new Map() }) {
+    const names = new TextEncoder().encode(`\0${[ ... symbols.keys() ].join('\0')}\0`);
+    let size = 52 + segments.length * 32;
+    const offsets = segments.map(({ data }) => {
+        const offset = size;
+        size += data.length;
+        return offset;
+    });
+    const symtab = size = Math.ceil(size / 4) * 4;
+    size += (symbols.size + 1) * 16;
+    const strtab = size;
+    size += names.length;
+    const shoff = size = Math.ceil(size / 4) * 4;
+    size += 3 * 40;
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    const u16 = (offset, value) => view.setUint16(offset, value, /* littleEndian */ true);
+    const u32 = (offset, value) => view.setUint32(offset, value >>> 0, /* littleEndian */ true);
+    bytes.set([ 0x7f, 0x45, 0x4c, 0x46, 1, 1, 1 ]);
+    u16(16, type);
+    u16(18, 243);
+    u32(20, 1);
+    u32(24, entry);
+    u32(28, 52);
+    u32(32, shoff);
+    u16(40, 52);
+    u16(42, 32);
+    u16(44, segments.length);
+    u16(46, 40);
+    u16(48, 3);
+    segments.forEach(({ type = 1, address, data, mem_size = data.length }, i) => {
+        const ph = 52 + i * 32;
+        u32(ph, type);
+        u32(ph + 4, offsets[i]);
+        u32(ph + 8, address);
+        u32(ph + 12, address);
+        u32(ph + 16, data.length);
+        u32(ph + 20, mem_size);
+        u32(ph + 24, 7);
+        bytes.set(data, offsets[i]);
+    });
+    let name = 1;
+    [ ... symbols ].forEach(([ symbol, value ], i) => {
+        const sym = symtab + (i + 1) * 16;
+        u32(sym, name);
+        u32(sym + 4, value);
+        bytes[sym + 12] = 0x10; // STB_GLOBAL, STT_NOTYPE
+        u16(sym + 14, 0xfff1); // SHN_ABS
+        name += symbol.length + 1;
+    });
+    bytes.set(names, strtab);
+    // Section 1 is .symtab, linked to .strtab at 2
+    u32(shoff + 40 + 4, 2);
+    u32(shoff + 40 + 16, symtab);
+    u32(shoff + 40 + 20, (symbols.size + 1) * 16);
+    u32(shoff + 40 + 24, 2);
+    u32(shoff + 80 + 4, 3);
+    u32(shoff + 80 + 16, strtab);
+    u32(shoff + 80 + 20, names.length);
+    return bytes.buffer;
+}
+
+const CODE = `
+_start:
+    lui a0, 0x40001
+    lw a1, 0(a0)
+    addi a1, a1, 1
+    sw a1, 0(a0)
+    ebreak
+`;
+
+test('loading and running an executable', () => {
+    const code = assemble_riscv(CODE, 0x40000000);
+    assert.equal(code.type, 'ok', JSON.stringify(code.errors));
+    const elf = parse_elf(build_elf({
+        entry: 0x40000000,
+        segments: [
+            { address: 0x40000000, data: new Uint8Array(code.data) },
+            // A word of .data and then .bss
+            { address: 0x40001000, data: new Uint8Array([ 41, 0, 0, 0 ]), mem_size: 0x100 },
+        ],
+        symbols: new Map([ [ '_start', 0x40000000 ], [ 'counter', 0x40001000 ], [ '.L0', 0x40000004 ] ])
+    }));
+    assert.equal(elf.type, 'ok', elf.message);
+    assert.equal(elf.entry, 0x40000000);
+    assert.deepEqual([ ... elf.symbols ], [ [ '_start', 0x40000000 ], [ 'counter', 0x40001000 ] ]);
+
+    const ram = new RamDevice(1 << 16);
+    new Uint8Array(ram.buffer).fill(0xff);
+    const memory = new RiscvMemory([ { name: 'ram', base: 0x40000000, device: ram } ]);
+    assert.equal(load_elf(elf, memory).type, 'ok');
+    assert.equal(memory.read(0x40001004, 4), 0);
+
+    const riscv = new RiscvState(memory);
+    riscv.pc = elf.entry;
+    while (riscv.step().type === 'ok');
+    assert.equal(memory.read(0x40001000, 4), 42);
+
+    const far = parse_elf(build_elf({ segments: [ { address: 0x40010000, data: new Uint8Array(4) } ] }));
+    assert.match(load_elf(far, memory).message, /doesn't fit in memory/);
+});
+
+test('executables that cannot be loaded', () => {
+    assert.equal(parse_elf(new ArrayBuffer(8)).message, 'Not an ELF file');
+    assert.equal(parse_elf(new TextEncoder().encode('#!/bin/sh\n'.repeat(8)).buffer).message, 'Not an ELF file');
+    const wide = new Uint8Array(build_elf({}));
+    wide[4] = 2;
+    assert.match(parse_elf(wide.buffer).message, /64-bit/);
+    assert.match(parse_elf(build_elf({ type: 1 })).message, /Not an executable/);
+    const dynamic = build_elf({ segments: [ { type: 3, address: 0, data: new Uint8Array(4) } ] });
+    assert.match(parse_elf(dynamic).message, /Dynamically linked/);
+    const truncated = build_elf({ segments: [ { address: 0x40000000, data: new Uint8Array(64) } ] }).slice(0, 100);
+    assert.equal(parse_elf(truncated).type, 'error');
+});
+
+// Section indices of symbols in an executable, by name
+function symbol_sections(buffer) {
+    const view = new DataView(buffer);
+    const u32 = (offset) => view.getUint32(offset, /* littleEndian */ true);
+    const shoff = u32(32);
+    const section = (i) => ({ type: u32(shoff + i * 40 + 4), offset: u32(shoff + i * 40 + 16), size: u32(shoff + i * 40 + 20), link: u32(shoff + i * 40 + 24) });
+    const count = view.getUint16(48, /* littleEndian */ true);
+    const symtab = [ ... Array(count).keys() ].map(section).find(({ type }) => type === 2);
+    const strtab = section(symtab.link);
+    const bytes = new Uint8Array(buffer);
+    const sections = new Map();
+    for (let sym = symtab.offset + 16; sym < symtab.offset + symtab.size; sym += 16) {
+        const start = strtab.offset + u32(sym);
+        const name = new TextDecoder().decode(bytes.subarray(start, bytes.indexOf(0, start)));
+        sections.set(name, view.getUint16(sym + 14, /* littleEndian */ true));
+    }
+    return sections;
+}
+
+test('symbols in written executables are in their sections', () => {
+    const program = assemble_riscv('_start: li a0, 1\nebreak\nend_of_code:\n.data\nx: .word 5', 0x40000000);
+    assert.equal(program.type, 'ok', JSON.stringify(program.errors));
+    const sections = symbol_sections(write_elf_executable(program, 0x40000000));
+    const index = (name) => program.sections.findIndex((section) => section.name === name) + 1;
+    assert.equal(sections.get('_start'), index('.text'));
+    assert.equal(sections.get('end_of_code'), index('.text'));
+    assert.equal(sections.get('x'), index('.data'));
+    assert.equal(sections.get('_etext'), index('.text'));
+    assert.equal(sections.get('_end'), index('.data'));
+
+    // Without the assembler's symbol information only addresses tell
+    const by_address = symbol_sections(write_elf_executable({ ... program, symbol_info: undefined }, 0x40000000));
+    assert.equal(by_address.get('x'), index('.data'));
+    assert.equal(by_address.get('_etext'), index('.text'));
+});
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { RiscvState, RiscvMemory } from '../emulator.js';
+import { RamDevice, ClintDevice, Uart16550 } from '../devices.js';
+
+const PROGRAM = `
+_start:
+    la t0, trap
+    csrw mtvec, t0
+    li t1, 0x10000000
+    li a0, 'H'
+    sb a0, 0(t1)
+    la a1, buf
+    li a2, 0x12345678
+    sw a2, 0(a1)
+    amoadd.w a3, a2, (a1)
+    li t2, 0x02004000
+    sw a2, 0(t2)
+    ecall
+    lb a5, 0(t1)
+    li a0, 'i'
+    sb a0, 0(t1)
+    ebreak
+trap:
+    csrr t3, mepc
+    addi t3, t3, 4
+    csrw mepc, t3
+    mret
+.data
+buf: .word 0
+`;
+
+function machine() {
+    const res = assemble_riscv(PROGRAM, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    const output = [];
+    const uart = new Uart16550((byte) => output.push(byte));
+    uart.on_unwrite = (count) => output.splice(output.length - count);
+    uart.receive(0x41);
+    const ram = new RamDevice(1 << 12);
+    const clint = new ClintDevice();
+    const memory = new RiscvMemory([
+        { name: 'clint', base: 0x02000000, device: clint },
+        { name: 'uart', base: 0x10000000, device: uart },
+        { name: 'ram', base: 0x40000000, device: ram },
+    ]);
+    memory.load(0x40000000, new Uint8Array(res.data));
+    const riscv = new RiscvState(memory);
+    riscv.pc = 0x40000000;
+    const snapshot = () => JSON.stringify([
+        riscv.dump_state(), [ ... new Uint8Array(ram.buffer) ], clint.save(), uart.save(), riscv.reservation
+    ]);
+    return { riscv, uart, output, snapshot, symbols: res.symbols };
+}
+
+// Steps until ebreak, returning the number of steps
+function run(riscv) {
+    for (let steps = 1; steps < 100; steps++) {
+        const res = riscv.step();
+        if (res.type === 'stop') {
+            return steps;
+        }
+        assert.ok(res.type === 'ok' || res.type === 'exception', res.type);
+    }
+    assert.fail('No ebreak');
+}
+
+test('stepping back to the start and forward again', () => {
+    const { riscv, output, snapshot } = machine();
+    riscv.record_history(1000);
+    const start = snapshot();
+    const steps = run(riscv);
+    const end = snapshot();
+    assert.equal(String.fromCharCode(... output), 'Hi');
+    assert.equal(riscv.regs[15], 0x41);
+
+    let back = 0;
+    while (riscv.step_back()) back++;
+    assert.equal(back, steps);
+    assert.equal(snapshot(), start);
+    assert.deepEqual(output, []);
+
+    for (let i = 0; i < steps; i++) riscv.step();
+    assert.equal(snapshot(), end);
+    assert.equal(String.fromCharCode(... output), 'Hi');
+});
+
+test('reverse continue and the history limit', () => {
+    const { riscv, output, symbols } = machine();
+    riscv.record_history(1000);
+    run(riscv);
+    assert.deepEqual(riscv.reverse_continue(new Set([ symbols.get('trap') ])), { type: 'ok' });
+    assert.equal(riscv.pc, symbols.get('trap'));
+    assert.equal(String.fromCharCode(... output), 'H');
+
+    riscv.record_history(3);
+    run(riscv);
+    assert.equal(riscv.history.length, 3);
+    riscv.record_history(0);
+    assert.equal(riscv.history.length, 0);
+    assert.equal(riscv.step_back(), false);
+});
+
+test('input received after a recorded step is kept', () => {
+    const { riscv, uart } = machine();
+    riscv.record_history(100);
+    run(riscv);
+    assert.deepEqual(uart.rx_fifo, []);
+    // Typed while paused at the end
+    uart.receive(0x42);
+    while (riscv.step_back());
+    assert.deepEqual(uart.rx_fifo, [ 0x41, 0x42 ]);
+    run(riscv);
+    assert.equal(riscv.regs[15], 0x41);
+    assert.deepEqual(uart.rx_fifo, [ 0x42 ]);
+});
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { link_objects } from '../linker.js';
+import { write_elf_executable, write_elf_object, parse_elf_object } from '../elf.js';
+import { RiscvState, RiscvMemory } from '../emulator.js';
+import { RamDevice, ConsoleDevice } from '../devices.js';
+
+const MAIN = `
+.globl _start
+_start:
+    la a0, message
+    call puts
+    ebreak
+.data
+message: .string "Hi!"
+`;
+
+// A shared runtime, in its own file
+const RUNTIME = `
+.globl puts
+puts:
+    li t0, 0x10000000
+1:  lbu t1, 0(a0)
+    beqz t1, 2f
+    sb t1, 0(t0)
+    addi a0, a0, 1
+    j 1b
+2:  ret
+`;
+
+function object(text) {
+    const res = assemble_riscv(text, 0, { object: true });
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    return res.object;
+}
+
+// Runs an image until ebreak, returning what it wrote to the console
+function run(program) {
+    let out = '';
+    const memory = new RiscvMemory([
+        { name: 'console', base: 0x10000000, device: new ConsoleDevice((byte) => { out += String.fromCharCode(byte); }) },
+        { name: 'ram', base: 0x40000000, device: new RamDevice(1 << 16) },
+    ]);
+    memory.load(0x40000000, new Uint8Array(program.data));
+    const riscv = new RiscvState(memory);
+    riscv.pc = program.entry;
+    for (let i = 0; i < 1000; i++) {
+        const res = riscv.step();
+        if (res.type === 'stop') {
+            return out;
+        }
+        assert.equal(res.type, 'ok');
+    }
+    assert.fail('No ebreak');
+}
+
+test('linking objects', () => {
+    const res = link_objects([ { name: 'main.s', object: object(MAIN) }, { name: 'runtime.s', object: object(RUNTIME) } ], 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    assert.equal(run(res), 'Hi!');
+});
+
+test('linking objects read back from ELF files', () => {
+    const objects = [ [ 'main.o', MAIN ], [ 'runtime.o', RUNTIME ] ].map(([ name, text ]) => {
+        const parsed = parse_elf_object(write_elf_object(object(text)));
+        assert.equal(parsed.type, 'ok', parsed.message);
+        return { name, object: parsed.object };
+    });
+    const res = link_objects(objects, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    assert.equal(run(res), 'Hi!');
+});
+
+test('code after an object that ends on an odd size', () => {
+    const first = object('.globl _start\n_start: call puts\nebreak\n.byte 1');
+    const res = link_objects([ { name: 'main.s', object: first }, { name: 'runtime.s', object: object(RUNTIME) } ], 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    assert.equal(res.symbols.get('puts'), 0x40000010);
+
+    const parsed = parse_elf_object(write_elf_object(first));
+    assert.equal(parsed.object.sections.find(({ name }) => name === '.text').align, 4);
+    const rvc = object('.option rvc\nret');
+    assert.equal(rvc.sections[0].align, 2);
+});
+
+test('undefined and duplicate symbols', () => {
+    const res = link_objects([ { name: 'main.s', object: object(MAIN) }, { name: 'a.s', object: object('.globl _start\n_start: nop') } ], 0x40000000);
+    assert.deepEqual(res.errors, [
+        { file: 'a.s', message: 'Symbol _start is already defined in main.s' },
+    ]);
+    const undefined_puts = link_objects([ { name: 'main.s', object: object(MAIN) } ], 0x40000000);
+    assert.equal(undefined_puts.type, 'errors');
+    assert.match(undefined_puts.errors[0].message, /Undefined reference to puts/);
+});
+
+test('the RVC flag follows compressed code', () => {
+    const e_flags = (buffer) => new DataView(buffer).getUint32(36, /* littleEndian */ true);
+    assert.equal(e_flags(write_elf_object(object(RUNTIME))), 0);
+    const compressed = object('.option rvc\n.globl f\nf: ret');
+    assert.equal(e_flags(write_elf_object(compressed)), 1);
+    assert.equal(e_flags(write_elf_object(object('.attribute arch, "rv32imac"\nret'))), 1);
+
+    const parsed = parse_elf_object(write_elf_object(compressed));
+    const res = link_objects([ { name: 'main.s', object: object(MAIN) }, { name: 'runtime.s', object: object(RUNTIME) },
+        { name: 'f.o', object: parsed.object } ], 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    assert.equal(e_flags(write_elf_executable(res, 0x40000000)), 1);
+});
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+// Helpers for tests that run assembled programs
+
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { RiscvState, RiscvMemory } from '../emulator.js';
+import { RamDevice } from '../devices.js';
+
+export const RAM_BASE = 0x4000_0000;
+
+// A hart with the assembled source in RAM, starting at its beginning
+export function machine(source, size = 1 << 16) {
+    const res = assemble_riscv(source, RAM_BASE);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    const memory = new RiscvMemory([ { name: 'ram', base: RAM_BASE, device: new RamDevice(size) } ]);
+    memory.load(RAM_BASE, new Uint8Array(res.data));
+    const riscv = new RiscvState(memory);
+    riscv.pc = RAM_BASE;
+    return { riscv, memory, symbols: res.symbols };
+}
+
+// Steps through traps until ebreak or a watchpoint, returning that result
+export function run(riscv, limit = 10000) {
+    for (let i = 0; i < limit; i++) {
+        const res = riscv.step();
+        if (res.type !== 'ok' && res.type !== 'exception' && res.type !== 'interrupt') {
+            return res;
+        }
+    }
+    assert.fail(`Still running after ${limit} steps`);
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { machine, run } from './machine.mjs';
+
+// The root table at 0x40004000 maps a user data page at VA 0x1000 to PA
+// 0x40002000 and user code at VA 0x2000 to PA 0x40003000, and a kernel
+// megapage maps 0x40000000 to itself
+const PROGRAM = `
+_start:
+    la t0, mtrap
+    csrw mtvec, t0
+    # delegate ecall from U and fetch and store page faults to S
+    li t0, 0x100
+    lui t1, 0x9
+    or t0, t0, t1
+    csrw medeleg, t0
+    la t0, strap
+    csrw stvec, t0
+
+    # root table
+    lui s0, 0x40004
+    # megapage entry for VPN1 = 0x100 (0x40000000): PPN = 0x40000000 >> 12 = 0x40000
+    lui t0, 0x10000       # 0x40000 << 10 = 0x10000000
+    addi t0, t0, 0xcf     # V R W X A D
+    sw t0, 0x400(s0)      # 0x100 * 4
+    # VPN1 = 0 -> second level at 0x40005000
+    lui t0, 0x10001       # 0x40005 << 10 = 0x10001400
+    addi t0, t0, 0x400
+    addi t0, t0, 1        # V
+    sw t0, 0(s0)
+    # second level: VPN0 = 1 -> PA 0x40002000, V R W U (no A/D)
+    lui s1, 0x40005
+    lui t0, 0x10001
+    addi t0, t0, -2048    # 0x40002 << 10 = 0x10000800
+    addi t0, t0, 0x17     # V R W U
+    sw t0, 4(s1)
+    # user code page VPN0 = 2 -> PA 0x40003000, V R X U A
+    lui t0, 0x10001       # 0x40003 << 10 = 0x10000c00
+    addi t0, t0, -1024
+    addi t0, t0, 0x5b     # V R X U A
+    sw t0, 8(s1)
+
+    # user code at 0x40003000: store to 0x1000, load back, ecall
+    lui t2, 0x40003
+    la t3, ucode
+    lw t4, 0(t3)
+    sw t4, 0(t2)
+    lw t4, 4(t3)
+    sw t4, 4(t2)
+    lw t4, 8(t3)
+    sw t4, 8(t2)
+    lw t4, 12(t3)
+    sw t4, 12(t2)
+
+    # satp = MODE | PPN 0x40004
+    lui t0, 0x80040
+    addi t0, t0, 4
+    csrw satp, t0
+    # drop to S-mode at skernel
+    lui t0, 0x2
+    addi t0, t0, -2048
+    csrc mstatus, t0
+    addi t0, t0, -2048
+    addi t0, t0, -2048
+    csrs mstatus, t0
+    la t0, skernel
+    csrw mepc, t0
+    mret
+
+skernel:
+    csrr s2, sstatus
+    # sret to U at VA 0x2000
+    li t0, 0x100
+    csrc sstatus, t0
+    lui t0, 0x2
+    csrw sepc, t0
+    sret
+
+ucode:
+    lui a0, 0x1
+    sw a0, 0(a0)
+    lw a1, 0(a0)
+    ecall
+
+strap:
+    csrr s3, scause
+    csrr s4, sepc
+    csrr s5, sstatus
+    # the user store went to PA 0x40002000
+    lui t0, 0x40002
+    lw s6, 0(t0)
+    # PTE got A and D set
+    lui t0, 0x40005
+    lw s7, 4(t0)
+    # now a page fault: read VA 0x3000 (unmapped) from S
+    lui t0, 0x3
+    lw t1, 0(t0)
+    ebreak
+
+mtrap:
+    csrr s8, mcause
+    csrr s9, mtval
+    csrr s10, mepc
+    ebreak
+`;
+
+test('Sv32 translation, A/D updates and page faults', () => {
+    const { riscv } = machine(PROGRAM);
+    assert.equal(run(riscv).type, 'stop');
+    const [ sstatus, scause, sepc, user_sstatus, stored, pte, mcause, mtval ] = riscv.regs.slice(18, 26);
+    // Entered from M with SPP clear, then back from U with an ecall
+    assert.equal((sstatus >>> 8) & 1, 0);
+    assert.equal(scause, 8);
+    assert.equal(sepc, 0x200c);
+    assert.equal(user_sstatus & 0x120, 0);
+    // The user store went through the page table, which got A and D set
+    assert.equal(stored, 0x1000);
+    assert.equal(pte & 0xc0, 0xc0);
+    // Load page faults from S are not delegated
+    assert.equal(mcause, 13);
+    assert.equal(mtval, 0x3000);
+});
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { machine, run } from './machine.mjs';
+
+// NAPOT RWX over the code at 0x40000000-0x40007fff and TOR read-only over
+// 0x40008000-0x4000bfff, then a load and a store there from U-mode
+const USER = `
+_start:
+    la t0, mtrap
+    csrw mtvec, t0
+    # pmpaddr0 = NAPOT 32K at 0x40000000: (0x40000000 >> 2) | (0x8000 >> 3) - 1
+    lui t0, 0x10001
+    addi t0, t0, -1
+    csrw pmpaddr0, t0
+    # pmpaddr2 = 0x4000c000 >> 2 (TOR top), pmpaddr1 = 0x40008000 >> 2
+    lui t0, 0x10002
+    csrw pmpaddr1, t0
+    lui t0, 0x10003
+    csrw pmpaddr2, t0
+    # cfg0 = NAPOT RWX (0x1f), cfg1 = OFF, cfg2 = TOR R (0x09)
+    lui t0, 0x90
+    addi t0, t0, 0x1f
+    csrw pmpcfg0, t0
+    csrr s0, pmpcfg0
+    la t0, user
+    csrw mepc, t0
+    mret
+user:
+    lui a0, 0x40008
+    lw a1, 0(a0)
+    addi s1, zero, 1
+    sw a1, 0(a0)
+    addi s2, zero, 1
+mtrap:
+    csrr s3, mcause
+    csrr s4, mtval
+    ebreak
+`;
+
+test('PMP regions restrict U-mode', () => {
+    const { riscv } = machine(USER);
+    assert.equal(run(riscv).type, 'stop');
+    assert.deepEqual(riscv.pmp_regions().map(({ index, mode, start, end, r, w, x }) => [ index, mode, start, end, r, w, x ]), [
+        [ 0, 'NAPOT', 0x40000000, 0x40008000, true, true, true ],
+        [ 2, 'TOR', 0x40008000, 0x4000c000, true, false, false ],
+    ]);
+    const [ loaded, stored, mcause, mtval ] = [ riscv.regs[9], riscv.regs[18], riscv.regs[19], riscv.regs[20] ];
+    assert.equal(loaded, 1);
+    assert.equal(stored, 0);
+    assert.equal(mcause, 7);
+    assert.equal(mtval, 0x40008000);
+});
+
+test('locked PMP regions restrict M-mode', () => {
+    const { riscv } = machine(`
+_start:
+    la t0, trap
+    csrw mtvec, t0
+    la t1, word
+    srli t0, t1, 2
+    csrw pmpaddr0, t0
+    # Locked NA4, read-only
+    li t0, 0x91
+    csrw pmpcfg0, t0
+    csrw pmpcfg0, zero
+    csrr a2, pmpcfg0
+    lw a0, 0(t1)
+    sw zero, 0(t1)
+    li a1, 0
+trap:
+    csrr a1, mcause
+    ebreak
+word:
+    .word 7
+`);
+    assert.equal(run(riscv).type, 'stop');
+    // Locked entries ignore writes until reset
+    assert.equal(riscv.regs[12], 0x91);
+    assert.equal(riscv.regs[10], 7);
+    assert.equal(riscv.regs[11], 7);
+});
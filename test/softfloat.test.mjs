@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { machine, run, RAM_BASE } from './machine.mjs';
+import {
+    RM, FLAGS, CANONICAL_NAN, fadd, fmul, fdiv, fsqrt, fmadd, fmin, fmax,
+    fcompare, fclass, fcvt_to_int, fcvt_from_int
+} from '../softfloat.js';
+
+const ONE = 0x3f80_0000;
+const INF = 0x7f80_0000;
+const NEG_INF = 0xff80_0000;
+const FLT_MAX = 0x7f7f_ffff;
+const QNAN = 0x7fc0_0001;
+const SNAN = 0x7f80_0001;
+const INVALID = { value: CANONICAL_NAN, flags: FLAGS.nv };
+const exact = (value) => ({ value, flags: 0 });
+const inexact = (value) => ({ value, flags: FLAGS.nx });
+
+test('division by zero and infinity', () => {
+    assert.deepEqual(fdiv(ONE, 0, RM.rne), { value: INF, flags: FLAGS.dz });
+    assert.deepEqual(fdiv(0xbf80_0000, 0, RM.rne), { value: NEG_INF, flags: FLAGS.dz });
+    assert.deepEqual(fdiv(INF, 0, RM.rne), exact(INF));
+    assert.deepEqual(fdiv(NEG_INF, 0, RM.rne), exact(NEG_INF));
+    assert.deepEqual(fdiv(ONE, INF, RM.rne), exact(0));
+    assert.deepEqual(fdiv(0, 0, RM.rne), INVALID);
+    assert.deepEqual(fdiv(INF, INF, RM.rne), INVALID);
+});
+
+test('rounding modes', () => {
+    const third = 0x4040_0000;
+    assert.deepEqual(fdiv(ONE, third, RM.rne), inexact(0x3eaa_aaab));
+    assert.deepEqual(fdiv(ONE, third, RM.rtz), inexact(0x3eaa_aaaa));
+    // 1 + 2^-24 is halfway between 1 and the next single
+    const half_ulp = 0x3380_0000;
+    assert.deepEqual(fadd(ONE, half_ulp, RM.rne), inexact(ONE));
+    assert.deepEqual(fadd(ONE, half_ulp, RM.rmm), inexact(ONE + 1));
+    assert.deepEqual(fadd(ONE, half_ulp, RM.rup), inexact(ONE + 1));
+    assert.deepEqual(fadd(ONE, half_ulp, RM.rdn), inexact(ONE));
+});
+
+test('overflow and underflow', () => {
+    assert.deepEqual(fadd(FLT_MAX, FLT_MAX, RM.rne), { value: INF, flags: FLAGS.of | FLAGS.nx });
+    assert.deepEqual(fadd(FLT_MAX, FLT_MAX, RM.rtz), { value: FLT_MAX, flags: FLAGS.of | FLAGS.nx });
+    // Exact subnormals do not underflow, rounded ones do
+    assert.deepEqual(fmul(0x0080_0000, 0x3f00_0000, RM.rne), exact(0x0040_0000));
+    assert.deepEqual(fmul(0x0000_0001, 0x3f00_0000, RM.rne), { value: 0, flags: FLAGS.uf | FLAGS.nx });
+});
+
+test('NaNs and invalid operations', () => {
+    assert.deepEqual(fadd(INF, NEG_INF, RM.rne), INVALID);
+    assert.deepEqual(fmul(INF, 0, RM.rne), INVALID);
+    assert.deepEqual(fsqrt(0xbf80_0000, RM.rne), INVALID);
+    assert.deepEqual(fadd(QNAN, ONE, RM.rne), exact(CANONICAL_NAN));
+    assert.deepEqual(fadd(SNAN, ONE, RM.rne), INVALID);
+});
+
+test('square roots and fused multiply-add', () => {
+    assert.deepEqual(fsqrt(0x8000_0000, RM.rne), exact(0x8000_0000));
+    assert.deepEqual(fsqrt(0x4080_0000, RM.rne), exact(0x4000_0000));
+    assert.deepEqual(fsqrt(0x4000_0000, RM.rne), inexact(0x3fb5_04f3));
+    // (1 + 2^-23)^2 - (1 + 2^-22) is 2^-46, which separate roundings lose
+    assert.deepEqual(fmadd(ONE + 1, ONE + 1, 0xbf80_0002, false, false, RM.rne), exact(0x2880_0000));
+});
+
+test('minimum, maximum and comparisons', () => {
+    assert.deepEqual(fmin(0x8000_0000, 0), exact(0x8000_0000));
+    assert.deepEqual(fmax(0x8000_0000, 0), exact(0));
+    assert.deepEqual(fmin(QNAN, ONE), exact(ONE));
+    assert.deepEqual(fmin(SNAN, ONE), { value: ONE, flags: FLAGS.nv });
+    assert.deepEqual(fmax(QNAN, QNAN), exact(CANONICAL_NAN));
+    assert.deepEqual(fcompare(0x8000_0000, 0, 'eq'), exact(1));
+    assert.deepEqual(fcompare(QNAN, 0, 'eq'), exact(0));
+    assert.deepEqual(fcompare(QNAN, 0, 'lt'), { value: 0, flags: FLAGS.nv });
+    assert.deepEqual(fcompare(SNAN, 0, 'eq'), { value: 0, flags: FLAGS.nv });
+    assert.deepEqual([ NEG_INF, 0xbf80_0000, 0x8000_0001, 0x8000_0000, 0, 1, ONE, INF, SNAN, QNAN ].map(fclass),
+        [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9 ].map((bit) => 1 << bit));
+});
+
+test('conversions', () => {
+    const two_and_a_half = 0x4020_0000;
+    assert.deepEqual(fcvt_to_int(two_and_a_half, true, RM.rne), inexact(2));
+    assert.deepEqual(fcvt_to_int(two_and_a_half, true, RM.rmm), inexact(3));
+    assert.deepEqual(fcvt_to_int(0xbf00_0000, false, RM.rtz), inexact(0));
+    assert.deepEqual(fcvt_to_int(0xbfc0_0000, false, RM.rtz), { value: 0, flags: FLAGS.nv });
+    assert.deepEqual(fcvt_to_int(0x4f00_0000, true, RM.rne), { value: 0x7fff_ffff, flags: FLAGS.nv });
+    assert.deepEqual(fcvt_to_int(0x4f00_0000, false, RM.rne), exact(0x8000_0000));
+    assert.deepEqual(fcvt_to_int(QNAN, true, RM.rne), { value: 0x7fff_ffff, flags: FLAGS.nv });
+    assert.deepEqual(fcvt_from_int(16777217, true, RM.rne), inexact(0x4b80_0000));
+    assert.deepEqual(fcvt_from_int(-1, true, RM.rne), exact(0xbf80_0000));
+    assert.deepEqual(fcvt_from_int(-1, false, RM.rne), inexact(0x4f80_0000));
+});
+
+test('F instructions accrue flags in fcsr', () => {
+    const { riscv } = machine(`
+        lui t0, 0x3f800
+        fmv.w.x f1, t0
+        fmv.w.x f2, zero
+        fdiv.s f3, f1, f2
+        csrrs a0, fflags, zero
+        fmv.x.w a1, f3
+        fdiv.s f4, f3, f2
+        csrrw a2, fflags, zero
+        lui t0, 0x40200
+        fmv.w.x f5, t0
+        fcvt.w.s a3, f5, rmm
+        fcvt.w.s a4, f5
+        csrrs a5, fflags, zero
+        fclass.s a6, f4
+        ebreak
+    `);
+    assert.equal(run(riscv).type, 'stop');
+    assert.deepEqual([ ... riscv.regs.slice(10, 17) ].map((x) => x >>> 0), [ FLAGS.dz, INF, FLAGS.dz, 3, 2, FLAGS.nx, 1 << 7 ]);
+
+    // With mstatus.FS off, F instructions are illegal
+    riscv.pc = RAM_BASE + 12;
+    riscv.fs = 0;
+    assert.equal(riscv.step().type, 'exception');
+    assert.equal(riscv.mcause, 2);
+});
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assemble_riscv } from '../assembler.js';
+import { RiscvState, RiscvMemory } from '../emulator.js';
+import { RamDevice, Uart16550 } from '../devices.js';
+
+const RBR = 0, IER = 1, IIR = 2, LCR = 3, LSR = 5, SCR = 7;
+const MEIP = 1 << 11;
+
+function uart() {
+    const output = [];
+    return { uart: new Uart16550((byte) => output.push(byte)), output };
+}
+
+test('transmitting, receiving and overruns', () => {
+    const { uart: u, output } = uart();
+    u.write(RBR, 1, 0x41);
+    assert.deepEqual(output, [ 0x41 ]);
+    assert.equal(u.read(LSR, 1), 0x60);
+
+    u.receive(0x61);
+    u.receive(0x62);
+    assert.equal(u.read(LSR, 1) & 0x01, 0x01);
+    assert.equal(u.read(RBR, 1), 0x61);
+    assert.equal(u.read(RBR, 1), 0x62);
+    assert.equal(u.read(LSR, 1) & 0x01, 0);
+
+    for (let i = 0; i < 17; i++) {
+        u.receive(i);
+    }
+    // The 17th byte is lost, and reading LSR clears the error
+    assert.equal(u.read(LSR, 1) & 0x02, 0x02);
+    assert.equal(u.read(LSR, 1) & 0x02, 0);
+    u.write(IIR, 1, 0x03);
+    assert.equal(u.read(LSR, 1) & 0x01, 0);
+    assert.equal(u.read(2, 2), null);
+});
+
+test('divisor latch and scratch register', () => {
+    const { uart: u, output } = uart();
+    u.write(LCR, 1, 0x83);
+    u.write(RBR, 1, 0x0c);
+    u.write(IER, 1, 0x00);
+    assert.equal(u.divisor, 12);
+    assert.deepEqual(output, []);
+    u.write(LCR, 1, 0x03);
+    u.write(SCR, 1, 0x5a);
+    assert.equal(u.read(SCR, 1), 0x5a);
+    assert.equal(u.read(LCR, 1), 0x03);
+});
+
+test('interrupts', () => {
+    const { uart: u } = uart();
+    u.receive(0x61);
+    assert.equal(u.pending_interrupts(), 0);
+    assert.equal(u.read(IIR, 1), 0x01);
+
+    u.write(IER, 1, 0x01);
+    assert.equal(u.pending_interrupts(), MEIP);
+    assert.equal(u.read(IIR, 1), 0x04);
+    u.read(RBR, 1);
+    assert.equal(u.pending_interrupts(), 0);
+
+    // THR empty is raised when enabled and cleared by reading IIR
+    u.write(IER, 1, 0x02);
+    assert.equal(u.read(IIR, 1), 0x02);
+    assert.equal(u.read(IIR, 1), 0x01);
+    u.write(RBR, 1, 0x41);
+    assert.equal(u.pending_interrupts(), MEIP);
+
+    // Line status comes first
+    u.write(IER, 1, 0x07);
+    for (let i = 0; i < 17; i++) {
+        u.receive(i);
+    }
+    assert.equal(u.read(IIR, 1), 0x06);
+    u.read(LSR, 1);
+    assert.equal(u.read(IIR, 1), 0x04);
+});
+
+test('a program echoing its input', () => {
+    const res = assemble_riscv(`
+_start:
+    lui t0, 0x10000
+wait:
+    lbu t1, 5(t0)
+    andi t1, t1, 1
+    beq t1, zero, wait
+    lbu a0, 0(t0)
+    addi a1, zero, 10
+    beq a0, a1, done
+    addi a0, a0, -32
+    sb a0, 0(t0)
+    jal zero, wait
+done:
+    ebreak
+`, 0x40000000);
+    assert.equal(res.type, 'ok', JSON.stringify(res.errors));
+    const { uart: u, output } = uart();
+    const memory = new RiscvMemory([
+        { name: 'uart', base: 0x10000000, device: u },
+        { name: 'ram', base: 0x40000000, device: new RamDevice(1 << 12) },
+    ]);
+    memory.load(0x40000000, new Uint8Array(res.data));
+    const riscv = new RiscvState(memory);
+    riscv.pc = 0x40000000;
+    for (let i = 0; i < 100; i++) {
+        assert.equal(riscv.step().type, 'ok');
+    }
+    for (const byte of new TextEncoder().encode('echo\n')) {
+        u.receive(byte);
+    }
+    let steps = 0;
+    while (riscv.step().type === 'ok' && steps++ < 1000);
+    assert.equal(String.fromCharCode(... output), 'ECHO');
+});
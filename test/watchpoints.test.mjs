@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: CC0-1.0 OR 0BSD
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { machine, run } from './machine.mjs';
+
+test('write and read watchpoints', () => {
+    const { riscv, memory, symbols } = machine(`
+_start:
+    la a0, g
+    li a1, 5
+    sw a1, 0(a0)
+    lw a2, 0(a0)
+    sb a1, 3(a0)
+    li a1, 7
+    sw a1, 0(a0)
+    amoadd.w a3, a1, (a0)
+    lw a4, 0(a0)
+    ebreak
+g: .word 1
+`);
+    const g = symbols.get('g');
+    const writes = memory.add_watchpoint({ start: g, end: g + 4, access: 'write' });
+    const sevens = memory.add_watchpoint({ start: g, end: g + 4, access: 'read', value: 7 });
+    const hits = [];
+    for (let res = run(riscv); res.type === 'watch'; res = run(riscv)) {
+        const { pc, watchpoint, access, address, width, old_value, new_value } = res;
+        hits.push([ pc - 0x40000000, watchpoint.id, access, address - g, width, old_value, new_value ]);
+    }
+    assert.deepEqual(hits, [
+        [ 0x0c, writes, 'write', 0, 4, 1, 5 ],
+        [ 0x14, writes, 'write', 3, 1, 0, 5 ],
+        [ 0x1c, writes, 'write', 0, 4, 0x05000005, 7 ],
+        // The read of the AMO matches too, but its write comes last
+        [ 0x20, writes, 'write', 0, 4, 7, 14 ],
+    ]);
+
+    memory.remove_watchpoint(writes);
+    assert.deepEqual(memory.watchpoints.map(({ id }) => id), [ sevens ]);
+});
+
+test('page table walks do not hit watchpoints', () => {
+    const { riscv, memory, symbols } = machine(`
+_start:
+    la t0, mtrap
+    csrw mtvec, t0
+    # A megapage mapping 0x40000000 to itself, V R W X A D
+    la t0, table
+    lui t1, 0x10000
+    addi t1, t1, 0xcf
+    sw t1, 0x400(t0)
+    srli t0, t0, 12
+    lui t1, 0x80000
+    or t0, t0, t1
+    csrw satp, t0
+    # To S-mode
+    lui t0, 0x1
+    addi t0, t0, -2048
+    csrs mstatus, t0
+    la t0, supervisor
+    csrw mepc, t0
+    mret
+supervisor:
+    la t0, value
+    lw a0, 0(t0)
+    ecall
+mtrap:
+    ebreak
+value:
+    .word 42
+    .balign 4096
+table:
+    .space 4096
+`);
+    const table = symbols.get('table');
+    memory.add_watchpoint({ start: table, end: table + 4096, access: 'read' });
+    const value = memory.add_watchpoint({ start: symbols.get('value'), end: symbols.get('value') + 4, access: 'read' });
+    const res = run(riscv);
+    assert.equal(res.type, 'watch');
+    assert.equal(res.watchpoint.id, value);
+    assert.equal(res.new_value, 42);
+    assert.equal(run(riscv).type, 'stop');
+});